@@ -1,26 +1,47 @@
-import React, { useState, useMemo, useEffect } from "react";
+import React, { useState, useMemo, useEffect, useRef, useCallback } from "react";
 import { Button } from "@/components/ui/button";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Input } from "@/components/ui/input";
 import { Textarea } from "@/components/ui/textarea";
 import { Tabs, TabsList, TabsTrigger, TabsContent } from "@/components/ui/tabs";
 import { Badge } from "@/components/ui/badge";
-import { CheckCircle, Plus, Users, Trophy, Calendar, Upload, Play } from "lucide-react";
+import { CheckCircle, Plus, Users, Trophy, Calendar, Upload, Play, Lock, ShoppingCart } from "lucide-react";
 
 // Minimal, single-file React app you can deploy for free.
 // Features:
 // - Landing page
-// - Simple join form with localStorage persistence
-// - Announcements and Events boards (editable in-session)
-// - Resource links section (videos, PDFs, external)
-// - Pseudo-auth for "admin" mode using a shared pin (stored in memory only)
+// - Simple join form with localStorage persistence, or a shared REST backend
+// - Announcements with markdown, pinning, scheduling and expiry
+// - Events board (editable in-session)
+// - Recurring events with time zones and .ics calendar downloads
+// - Event RSVPs with capacity, waitlist and day-of check-in
+// - Member directory with profiles, search and admin tools
+// - Coaching applications with custom questions and an admin review pipeline
+// - Cart and checkout for digital products with discount codes
+// - Daily 5 habit tracker, daily/weekly challenges, streaks and a leaderboard
+// - Accountability squads with weekly goals and check-ins
+// - Resource library with categories, embedded videos, PDF previews and members-only items
+// - Edit in place, drag-and-drop ordering and an undo log for admin-managed lists
+// - Per-community branding, copy, tabs and seed content from site.json, editable in Settings
+// - Shareable links for every tab, event, product and resource, plus ?apply=<productId>
+// - Installable on phones, with offline reading of announcements, events and resources
+// - Admin analytics: signups, application funnel, product clicks, resource opens and RSVPs
+// - Email notifications (welcome, application received, event reminders) with editable templates
+// - Shared form validation with inline errors, and spam protection on the join form
+// - Admin mode behind a deploy-time passphrase hash or a server login, with session timeout and lockout
 // - Clean, mobile-first UI with shadcn/ui + Tailwind
 //
 // How to use:
-// 1) Click the Admin switch (top right) and set any 4-digit pin to enable editing.
+// 0) Optional: deploy a site.json next to the app to rebrand it (see DEFAULT_SITE),
+//    and point STORAGE at a shared backend so every visitor sees the same lists.
+// 1) Set ADMIN_AUTH (Settings > Admin setup makes one) or use a backend that checks the
+//    admin passphrase, then unlock (top right) to enable editing.
 // 2) Add announcements, events, and resources.
 // 3) Export data as a JSON file (Settings tab) then re-import later.
 // 4) Deploy free on Netlify or GitHub Pages (instructions provided in chat).
+// 5) Deploy manifest.webmanifest, sw.js and icon.svg next to the app to make it installable.
+// 6) Give digital products a payment link, or set PAYMENTS to your payment server to
+//    sell them through the cart (see the Store section).
 
 const seedAnnouncements = [
   { id: 1, text: "Welcome to The Locker Room — a private space for former athletes to connect, grow, and thrive.", createdAt: Date.now() - 1000 * 60 * 60 * 24 },
@@ -33,9 +54,17 @@ const seedEvents = [
 ];
 
 const seedResources = [
-  { id: 1, title: "Daily 5 Habits Tracker (PDF)", url: "#" },
-  { id: 2, title: "Book List for High Performers", url: "#" },
-  { id: 3, title: "Schedule a 1:1", url: "https://calendly.com/raisethevibes/collaboration-meeting" },
+  { id: 1, title: "Daily 5 Habits Tracker (PDF)", url: "#", type: "pdf", category: "Habits", tags: ["daily 5"], membersOnly: true },
+  { id: 2, title: "Book List for High Performers", url: "#", type: "article", category: "Reading", tags: [] },
+  { id: 3, title: "Schedule a 1:1", url: "https://calendly.com/raisethevibes/collaboration-meeting", type: "booking", category: "Coaching", tags: [] },
+];
+
+const seedHabits = [
+  { id: 1, label: "Move for 30 minutes" },
+  { id: 2, label: "Drink 8 glasses of water" },
+  { id: 3, label: "Read 10 pages" },
+  { id: 4, label: "Write down one win" },
+  { id: 5, label: "Lights out on time" },
 ];
 
 const seedProducts = [
@@ -44,284 +73,4650 @@ const seedProducts = [
   { id: 3, kind: "coaching", title: "Beyond The Game – 4 Week", price: 2500, description: "Four weeks of high touch coaching, weekly sessions, and a personalized plan.", cta: "Apply", link: "#" }
 ];
 
-function useLocalState(key, initial) {
+// Site configuration. DEFAULT_SITE is overlaid with SITE_CONFIG_URL (a JSON file
+// deployed next to the app, any subset of these fields) and then with the edits an
+// admin saves in Settings, so each coach can brand an instance without forking.
+// Seeds only fill lists that have never been saved on this device or backend.
+const SITE_CONFIG_URL = "site.json";
+const SITE_TABS = { announcements: "Community", events: "Events", store: "Products", resources: "Resources" };
+const TAB_GRID_COLS = ["grid-cols-1", "grid-cols-1", "grid-cols-2", "grid-cols-3", "grid-cols-4", "grid-cols-5", "grid-cols-6"];
+const DEFAULT_SITE = {
+  name: "The Locker Room",
+  brand: "Raise The Vibes",
+  logo: "",
+  colors: { primary: "#0f172a" },
+  hero: {
+    title: "A community for former athletes",
+    text: "Stay connected to your competitive edge with structure, accountability, and a reason to show up every day.",
+    bullets: ["Weekly workshops", "Exclusive events", "1 on 1 coaching", "Daily challenges"],
+    joinTitle: "Join for free",
+    storyPrompt: "Share a bit about you and your sport background",
+  },
+  footer: "Built with love for former athletes.",
+  // Google Apps Script Web App URL. Every visitor's page posts signups and
+  // applications to it, so it is public; only admins can change it.
+  webhookUrl: "",
+  defaultTab: "announcements",
+  tabs: { events: true, store: true, resources: true },
+  seeds: { announcements: seedAnnouncements, events: seedEvents, resources: seedResources, products: seedProducts, habits: seedHabits },
+};
+
+const isPlainObject = (v)=> !!v && typeof v === "object" && !Array.isArray(v);
+
+// Objects merge key by key; arrays and plain values from `patch` replace. Where
+// the base has an object or a list, a patch value of another shape (say
+// "tabs": null in site.json) is ignored, so a bad file cannot break the render.
+function mergeDeep(base, patch) {
+  const out = { ...base };
+  for (const [key, value] of Object.entries(patch)) {
+    if (isPlainObject(base[key])) {
+      if (isPlainObject(value)) out[key] = mergeDeep(base[key], value);
+    } else if (Array.isArray(base[key])) {
+      if (Array.isArray(value)) out[key] = value;
+    } else {
+      out[key] = value;
+    }
+  }
+  return out;
+}
+
+function mergeSite(...layers) {
+  const site = layers.filter(isPlainObject).reduce(mergeDeep, {});
+  const tabEnabled = (tab)=> tab === "announcements" || site.tabs[tab] !== false;
+  return { ...site, defaultTab: SITE_TABS[site.defaultTab] && tabEnabled(site.defaultTab) ? site.defaultTab : "announcements" };
+}
+
+async function loadSiteFile(url) {
+  try {
+    const res = await fetch(url, { cache: "no-cache" });
+    if (!res.ok) return null;
+    const config = await res.json();
+    return isPlainObject(config) ? config : null;
+  } catch (err) {
+    console.warn(`Could not load ${url}, using the built-in site settings.`, err);
+    return null;
+  }
+}
+
+// shadcn/ui colors are "h s% l%" triplets in CSS variables
+function hexToHsl(hex) {
+  const m = /^#?([0-9a-f]{6})$/i.exec(hex || "");
+  if (!m) return null;
+  const [r, g, b] = [0, 2, 4].map((i)=> parseInt(m[1].slice(i, i + 2), 16) / 255);
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const l = (max + min) / 2;
+  const d = max - min;
+  const s = d === 0 ? 0 : d / (1 - Math.abs(2 * l - 1));
+  const h = d === 0 ? 0 : max === r ? ((g - b) / d) % 6 : max === g ? (b - r) / d + 2 : (r - g) / d + 4;
+  return `${Math.round((h * 60 + 360) % 360)} ${Math.round(s * 100)}% ${Math.round(l * 100)}%`;
+}
+
+function siteTheme(site) {
+  const primary = hexToHsl(site.colors.primary);
+  if (!primary) return {};
+  const light = Number(primary.split(" ")[2].replace("%", "")) > 60;
+  return { "--primary": primary, "--ring": primary, "--primary-foreground": light ? "222 47% 11%" : "210 40% 98%" };
+}
+
+function safeImageSrc(src) {
+  return /^data:image\//i.test(src || "") ? src : safeHref(src);
+}
+
+// Routing. "hash" URLs (#/events/3) work on any static host with no setup. "history"
+// URLs (/events/3) need the host to serve index.html for unknown paths: on Netlify add
+// a _redirects file with "/*  /index.html  200"; on GitHub Pages add a 404.html that
+// redirects to `${base}?route=` + the requested path, which the app then restores.
+// Set base to the folder the app is served from, e.g. "/my-repo/" on GitHub Pages.
+const ROUTER = { mode: "hash", base: "/" };
+const ROUTE_EVENT = "lr:navigate";
+const ROUTE_SEGMENTS = { announcements: "community", events: "events", store: "products", resources: "resources", applications: "applications", settings: "settings" };
+const ROUTE_TITLES = { ...SITE_TABS, applications: "Applications", settings: "Settings" };
+const EVENT_PAGE_DATES = 4;
+
+function parseRoute(path, params) {
+  const [segment = "", id = null] = path.split("/").filter(Boolean).map(decodeURIComponent);
+  const tab = Object.keys(ROUTE_SEGMENTS).find((t)=> ROUTE_SEGMENTS[t] === segment) || null;
+  return { tab, id: tab ? id : null, apply: params.get("apply") };
+}
+
+// ?apply= may arrive in the real query string (a link from an email or social post)
+// or inside the hash, so both are read and the hash copy wins.
+function currentRoute() {
+  const { pathname, search, hash } = window.location;
+  const params = new URLSearchParams(search);
+  if (ROUTER.mode === "hash") {
+    const [path, query = ""] = hash.replace(/^#/, "").split("?");
+    new URLSearchParams(query).forEach((value, key)=> params.set(key, value));
+    return parseRoute(path, params);
+  }
+  // the 404 page may pass the path with or without the base
+  const raw = params.get("route") ?? pathname;
+  const path = raw.startsWith(ROUTER.base) ? raw.slice(ROUTER.base.length) : raw;
+  const [routePath, query = ""] = path.split("?");
+  new URLSearchParams(query).forEach((value, key)=> params.set(key, value));
+  return parseRoute(routePath, params);
+}
+
+function routeHref({ tab = null, id = null, apply = null }) {
+  const path = tab ? `/${ROUTE_SEGMENTS[tab]}${id != null ? `/${encodeURIComponent(id)}` : ""}` : "/";
+  const query = apply != null ? `?apply=${encodeURIComponent(apply)}` : "";
+  return ROUTER.mode === "hash" ? `#${path}${query}` : `${ROUTER.base.replace(/\/$/, "")}${path}${query}`;
+}
+
+// Other query params (checkout returns, for one) are kept; route ones move into the route.
+function routeUrl(route) {
+  const params = new URLSearchParams(window.location.search);
+  params.delete("apply");
+  params.delete("route");
+  const rest = params.toString() ? `?${params}` : "";
+  if (ROUTER.mode === "hash") return `${window.location.pathname}${rest}${routeHref(route)}`;
+  const [path, query] = routeHref(route).split("?");
+  return `${path}${query ? `?${query}${rest ? `&${rest.slice(1)}` : ""}` : rest}`;
+}
+
+function navigate(route, { replace = false } = {}) {
+  window.history[replace ? "replaceState" : "pushState"](null, "", routeUrl(route));
+  window.dispatchEvent(new Event(ROUTE_EVENT));
+}
+
+function useRoute() {
+  const [route, setRoute] = useState(currentRoute);
+
+  useEffect(() => {
+    const sync = ()=> setRoute(currentRoute());
+    const params = new URLSearchParams(window.location.search);
+    if (params.has("route") || (ROUTER.mode === "hash" && params.has("apply"))) navigate(currentRoute(), { replace: true });
+    window.addEventListener("popstate", sync);
+    window.addEventListener("hashchange", sync);
+    window.addEventListener(ROUTE_EVENT, sync);
+    return () => {
+      window.removeEventListener("popstate", sync);
+      window.removeEventListener("hashchange", sync);
+      window.removeEventListener(ROUTE_EVENT, sync);
+    };
+  }, []);
+
+  return route;
+}
+
+function pageMeta(route, site, { events, products, resources }) {
+  const page = { title: site.name, description: site.hero.text, image: safeHref(site.logo), url: new URL(routeUrl({ tab: route.tab, id: route.id }), window.location.href).href };
+  if (!route.tab) return page;
+  const list = { events, store: products, resources }[route.tab];
+  const item = route.id != null && list ? list.find((i)=> String(i.id) === route.id) : null;
+  if (!item) return { ...page, title: `${ROUTE_TITLES[route.tab]} · ${site.name}` };
+  const next = route.tab === "events" ? upcomingOccurrences([item])[0] : null;
+  const details = [next && formatOccurrence(next), item.location, item.membersOnly ? "" : item.description];
+  return { ...page, title: `${item.title} · ${site.name}`, description: details.filter(Boolean).join(" · ") || page.description };
+}
+
+function setMeta(attr, key, content) {
+  let tag = document.head.querySelector(`meta[${attr}="${key}"]`);
+  if (!content) { if (tag) tag.remove(); return; }
+  if (!tag) {
+    tag = document.createElement("meta");
+    tag.setAttribute(attr, key);
+    document.head.appendChild(tag);
+  }
+  tag.setAttribute("content", content);
+}
+
+// Browsers and crawlers that run scripts (Google) see these tags. Link unfurlers that
+// only read the HTML (Facebook, Slack, iMessage) see what index.html ships with, so
+// put the community's default og: tags there too.
+function usePageMeta({ title, description, image, url }) {
+  useEffect(() => {
+    document.title = title;
+    setMeta("name", "description", description);
+    setMeta("property", "og:type", "website");
+    setMeta("property", "og:title", title);
+    setMeta("property", "og:description", description);
+    setMeta("property", "og:url", url);
+    setMeta("property", "og:image", image);
+  }, [title, description, image, url]);
+}
+
+// Admin auth is part of the deploy; there is no way to claim admin from a browser.
+// - With a REST backend (STORAGE) the server checks the passphrase, so its lockout
+//   survives cleared storage and the hash never ships:
+//     POST /auth/login { pin } -> 200 { token } | 401 { attemptsLeft } | 429 { retryAfter }
+//     POST /auth/pin { current, next } with the token -> 200 | 401
+//   The token is sent with every backend request while the session lasts.
+// - Otherwise ADMIN_AUTH holds a salted PBKDF2 hash made with Settings > Admin setup.
+//   It ships to every visitor, so the passphrase must be long enough to resist offline
+//   guessing; the lockout below only slows down guessing in the page.
+// With neither, admin stays locked. The unlocked session lives in memory only and
+// times out when idle.
+const ADMIN_AUTH = null; // { salt, iterations, hash } from makeCredential()
+const ADMIN_SESSION_MS = 1000 * 60 * 30;
+const ADMIN_MAX_ATTEMPTS = 5;
+const ADMIN_LOCKOUT_MS = 1000 * 60 * 15;
+const ADMIN_PIN_MIN_LENGTH = 12;
+
+function toHex(buf) {
+  return Array.from(new Uint8Array(buf), (b)=> b.toString(16).padStart(2, "0")).join("");
+}
+
+async function hashPin(pin, salt, iterations) {
+  const enc = new TextEncoder();
+  const key = await crypto.subtle.importKey("raw", enc.encode(pin), "PBKDF2", false, ["deriveBits"]);
+  const bits = await crypto.subtle.deriveBits({ name: "PBKDF2", salt: enc.encode(salt), iterations, hash: "SHA-256" }, key, 256);
+  return toHex(bits);
+}
+
+async function makeCredential(pin) {
+  const salt = toHex(crypto.getRandomValues(new Uint8Array(16)));
+  const iterations = 310000;
+  return { salt, iterations, hash: await hashPin(pin, salt, iterations) };
+}
+
+// Storage. useLocalState always keeps a copy in localStorage; the community
+// collections below are additionally synced through the adapter STORAGE picks,
+// so what an admin posts reaches every member. Device settings (admin lockout,
+// cart, outbox) never leave the browser.
+//
+// Adapter shape: { remote, load(key) -> { value, version } | null,
+// save(key, value, version) -> { version } }. save throws StorageConflictError
+// when the backend has moved past `version`. Remote adapters also have
+// append(key, item) -> { version } for lists the page may not read.
+const SHARED_KEYS = ["lr_members", "lr_member_contacts", "lr_announcements", "lr_events", "lr_resources", "lr_products", "lr_product_files", "lr_rsvps", "lr_applications", "lr_orders", "lr_coupons", "lr_habits", "lr_challenges", "lr_habit_logs", "lr_squads", "lr_goals", "lr_resource_views", "lr_audit", "lr_templates", "lr_notifications", "lr_product_clicks", "lr_site"];
+// STORAGE is set per deploy, like ADMIN_AUTH, so every visitor's browser talks to
+// the same backend:
+//   { adapter: "local" } keeps each browser's lists to itself.
+//   { adapter: "rest", baseUrl } shares them through the API described at createRestAdapter.
+//   { adapter: "mock" } uses an in-memory server that resets on reload, for demos.
+// This file ships to every visitor, so never put an API secret here.
+const STORAGE = { adapter: "local" };
+// Shared lists only admins may read. On a shared backend visitors add to them
+// with append and never load them, and admins' copies are not cached on the device.
+const PRIVATE_KEYS = ["lr_member_contacts", "lr_applications", "lr_orders", "lr_coupons", "lr_product_files", "lr_audit", "lr_notifications"];
+// Shared lists only admins change; visitors' pages never write them. Every other
+// shared list that is not private is written by members themselves (profiles,
+// RSVPs, habit logs, goals, resource views, product clicks), and since members
+// have no accounts the server takes any PUT to those.
+const ADMIN_KEYS = ["lr_announcements", "lr_events", "lr_resources", "lr_products", "lr_habits", "lr_challenges", "lr_squads", "lr_templates", "lr_site"];
+// The mock server's stand-in for an admin session, handed out by useAdminAuth.
+const MOCK_ADMIN_TOKEN = "mock-admin";
+
+class StorageRateLimitError extends Error {
+  constructor(retryAfter) {
+    super("Too many requests");
+    this.name = "StorageRateLimitError";
+    this.retryAfter = retryAfter; // seconds
+  }
+}
+
+class StorageConflictError extends Error {
+  constructor(remote) {
+    super("The stored list changed since it was loaded");
+    this.name = "StorageConflictError";
+    this.remote = remote; // { value, version }
+  }
+}
+
+function readLocal(key) {
+  try {
+    const raw = localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : undefined;
+  } catch {
+    return undefined;
+  }
+}
+
+function writeLocal(key, value) {
+  try { localStorage.setItem(key, JSON.stringify(value)); } catch {}
+}
+
+const localStorageAdapter = {
+  remote: false,
+  async load(key) {
+    const value = readLocal(key);
+    return value === undefined ? null : { value, version: null };
+  },
+  async save(key, value) {
+    writeLocal(key, value);
+    return { version: null };
+  },
+};
+
+// Talks to a small self-hosted JSON API:
+//   GET /collections/:key -> 200 { value, version } | 404
+//   PUT /collections/:key { value, version } -> 200 { version } | 409 { value, version }
+//   POST /collections/:key/items { item } -> 200 { version } | 429 { retryAfter }
+// The server must check the admin token (401 without it) on:
+//   - PUT to ADMIN_KEYS, so the catalog, content, email templates and site
+//     config cannot be rewritten from a visitor's devtools
+//   - GET and PUT to PRIVATE_KEYS
+// POST adds one record to the front of a PRIVATE_KEYS list and is open to
+// visitors; other lists take no POST. A POST
+// to lr_member_contacts is a signup, so the server should rate limit it per
+// client, answering 429 with the seconds to wait.
+// token is a string or a function returning the current one (the admin session).
+function createRestAdapter({ baseUrl, token, fetch: fetchImpl = (...args) => fetch(...args) }) {
+  const url = (key) => `${baseUrl.replace(/\/$/, "")}/collections/${encodeURIComponent(key)}`;
+  const headers = () => {
+    const bearer = typeof token === "function" ? token() : token;
+    return { "Content-Type": "application/json", ...(bearer ? { Authorization: `Bearer ${bearer}` } : {}) };
+  };
+  return {
+    remote: true,
+    async load(key) {
+      const res = await fetchImpl(url(key), { headers: headers() });
+      if (res.status === 404) return null;
+      if (!res.ok) throw new Error(`Could not load ${key} (${res.status})`);
+      return res.json();
+    },
+    async save(key, value, version) {
+      const res = await fetchImpl(url(key), { method: "PUT", headers: headers(), body: JSON.stringify({ value, version }) });
+      if (res.status === 409) throw new StorageConflictError(await res.json());
+      if (!res.ok) throw new Error(`Could not save ${key} (${res.status})`);
+      return res.json();
+    },
+    async append(key, item) {
+      const res = await fetchImpl(`${url(key)}/items`, { method: "POST", headers: headers(), body: JSON.stringify({ item }) });
+      if (res.status === 429) throw new StorageRateLimitError((await res.json().catch(()=> ({}))).retryAfter || 60);
+      if (!res.ok) throw new Error(`Could not send ${key} (${res.status})`);
+      return res.json();
+    },
+  };
+}
+
+// Whether a request to `key` needs the admin token, per the contract above.
+function requiresAdmin(key, method) {
+  if (PRIVATE_KEYS.includes(key)) return method !== "POST";
+  return method === "PUT" && ADMIN_KEYS.includes(key);
+}
+
+// In-memory stand-in for the REST API above, with the same status codes,
+// versioning and admin checks. Pass its fetch to createRestAdapter for tests or
+// a quick demo.
+function createMockServer({ latency = 150, adminToken = MOCK_ADMIN_TOKEN } = {}) {
+  const rows = new Map();
+  let signups = []; // one client, so one signup limit for everyone
+
+  const reply = (status, body) => new Promise((resolve) => setTimeout(() => resolve({
+    status,
+    ok: status >= 200 && status < 300,
+    json: async () => JSON.parse(JSON.stringify(body)),
+  }), latency));
+  return {
+    rows,
+    fetch(url, init = {}) {
+      const [path, sub] = (url.split("/collections/")[1] || "").split("/");
+      const key = decodeURIComponent(path);
+      const row = rows.get(key);
+      const method = init.method || "GET";
+      const authorization = (init.headers || {}).Authorization;
+      if (requiresAdmin(key, method) && authorization !== `Bearer ${adminToken}`) return reply(401, { error: "admin only" });
+      if (method === "GET") return row ? reply(200, row) : reply(404, { error: "not found" });
+      if (sub === "items") {
+        if (!PRIVATE_KEYS.includes(key)) return reply(405, { error: "use PUT" });
+        if (key === "lr_member_contacts") {
+          const limit = joinRateLimit(signups);
+          if (limit.blocked) return reply(429, { retryAfter: Math.ceil(limit.retryInMs / 1000) });
+          signups = [...limit.recent, Date.now()];
+        }
+        const { item } = JSON.parse(init.body);
+        const next = { value: [item, ...(row ? row.value : [])], version: (row ? row.version : 0) + 1 };
+        rows.set(key, next);
+        return reply(200, { version: next.version });
+      }
+      const { value, version } = JSON.parse(init.body);
+      if (row && row.version !== version) return reply(409, row);
+      const next = { value, version: (row ? row.version : 0) + 1 };
+      rows.set(key, next);
+      return reply(200, { version: next.version });
+    },
+  };
+}
+
+let storageAdapter = null;
+let adminToken = null; // set by useAdminAuth while a server-checked (or mock) session is open
+function sharedStorageAdapter() {
+  if (storageAdapter) return storageAdapter;
+  if (STORAGE.adapter === "rest" && STORAGE.baseUrl) storageAdapter = createRestAdapter({ baseUrl: STORAGE.baseUrl, token: ()=> adminToken });
+  else if (STORAGE.adapter === "mock") storageAdapter = createRestAdapter({ baseUrl: "/mock", token: ()=> adminToken, fetch: createMockServer().fetch });
+  else storageAdapter = localStorageAdapter;
+  return storageAdapter;
+}
+
+function storageAdapterFor(key) {
+  return SHARED_KEYS.includes(key) ? sharedStorageAdapter() : localStorageAdapter;
+}
+
+// Three-way merge for lists of { id } records: keep their list, drop what we
+// deleted, take our version of what we edited and prepend what we added.
+// Anything that is not a list of records falls back to last write wins.
+function mergeById(base, ours, theirs) {
+  if (!Array.isArray(ours) || !Array.isArray(theirs)) return ours;
+  const baseById = new Map((Array.isArray(base) ? base : []).map((i)=> [i.id, i]));
+  const oursById = new Map(ours.map((i)=> [i.id, i]));
+  const theirIds = new Set(theirs.map((i)=> i.id));
+  const kept = theirs
+    .filter((i)=> !(baseById.has(i.id) && !oursById.has(i.id)))
+    .map((i)=> {
+      const mine = oursById.get(i.id);
+      const changed = mine && JSON.stringify(mine) !== JSON.stringify(baseById.get(i.id));
+      return changed ? mine : i;
+    });
+  const added = ours.filter((i)=> !baseById.has(i.id) && !theirIds.has(i.id));
+  return [...added, ...kept];
+}
+
+// Shared-list writes that have not reached the backend, as key -> { base }, where
+// base is the last copy known to be on the server. The edits themselves are in
+// the localStorage copy, so after a reload the next load merges them over the
+// server copy instead of replacing them. PRIVATE_KEYS are not cached on the
+// device, so their unsent writes only last until the page closes.
+const PENDING_WRITES_KEY = "lr_pending_writes";
+
+function pendingWrite(key) {
+  return (readLocal(PENDING_WRITES_KEY) || {})[key];
+}
+
+// keeps the first base, which is what the server still has
+function markPending(key, base) {
+  const all = readLocal(PENDING_WRITES_KEY) || {};
+  if (!(key in all)) writeLocal(PENDING_WRITES_KEY, { ...all, [key]: { base } });
+}
+
+function clearPending(key) {
+  const all = readLocal(PENDING_WRITES_KEY) || {};
+  if (!(key in all)) return;
+  const rest = { ...all };
+  delete rest[key];
+  writeLocal(PENDING_WRITES_KEY, rest);
+}
+
+// Returns [state, setState, status]. Writes are optimistic: state updates at
+// once, then is pushed to the backend; a conflict is merged and retried, any
+// other failure keeps the change pending (status.pending) and sends it again
+// when the connection is back. For PRIVATE_KEYS on a shared backend, `readable`
+// says whether this page may load the list; until it may, records it adds are
+// appended one by one and the list holds only those.
+function useLocalState(key, initial, { readable = true } = {}) {
+  const adapter = storageAdapterFor(key);
+  const guarded = adapter.remote && PRIVATE_KEYS.includes(key);
+  const live = !guarded || readable;
   const [state, setState] = useState(() => {
+    const cached = guarded ? undefined : readLocal(key);
+    return cached === undefined ? initial : cached;
+  });
+  const [status, setStatus] = useState(()=> ({ loading: adapter.remote && live, saving: false, error: null, conflict: false, pending: adapter.remote && !guarded && !!pendingWrite(key) }));
+  const [reload, setReload] = useState(0);
+  const first = useRef(state);
+  const latest = useRef(state);
+  const synced = useRef({ value: undefined, version: null, loaded: !adapter.remote });
+  const busy = useRef(false);
+  const appended = useRef(new Set()); // ids already sent with append
+
+  // Sends what this page added to a list it cannot read.
+  async function appendNew() {
+    busy.current = true;
     try {
-      const raw = localStorage.getItem(key);
-      return raw ? JSON.parse(raw) : initial;
-    } catch {
-      return initial;
+      let item;
+      while ((item = latest.current.find((i)=> !appended.current.has(i.id)))) {
+        setStatus((s)=> ({ ...s, saving: true }));
+        await adapter.append(key, item);
+        appended.current.add(item.id);
+      }
+      setStatus((s)=> ({ ...s, saving: false, error: null, pending: false }));
+    } catch (err) {
+      console.error(err);
+      setStatus((s)=> ({ ...s, saving: false, error: `${err.message}. It will be sent when the connection is back.`, pending: true }));
+      requestBackgroundSync(STORAGE_SYNC_TAG);
+    } finally {
+      busy.current = false;
     }
-  });
+  }
+
+  async function flush() {
+    if (!adapter.remote || busy.current) return;
+    if (!live) return appendNew();
+    // the server refuses these without an admin session, so visitors keep seeds to themselves
+    if (ADMIN_KEYS.includes(key) && !adminToken) return;
+    if (!synced.current.loaded) {
+      // the load failed, so what was cached at mount is the best guess at the server copy
+      if (latest.current === first.current) return;
+      if (!guarded) markPending(key, first.current);
+      setStatus((s)=> s.pending ? s : { ...s, pending: true });
+      return;
+    }
+    busy.current = true;
+    let conflict = false;
+    try {
+      while (latest.current !== synced.current.value) {
+        const value = latest.current;
+        setStatus((s)=> ({ ...s, saving: true }));
+        try {
+          const { version } = await adapter.save(key, value, synced.current.version);
+          synced.current = { ...synced.current, value, version };
+        } catch (err) {
+          if (!(err instanceof StorageConflictError)) throw err;
+          conflict = true;
+          const merged = mergeById(synced.current.value, latest.current, err.remote.value);
+          synced.current = { ...synced.current, ...err.remote };
+          latest.current = merged;
+          setState(merged);
+        }
+      }
+      if (!guarded) clearPending(key);
+      setStatus({ loading: false, saving: false, error: null, conflict, pending: false });
+    } catch (err) {
+      console.error(err);
+      if (!guarded) markPending(key, synced.current.value);
+      setStatus({ loading: false, saving: false, error: `${err.message}. Your change is kept on this device and will be sent when the connection is back.`, conflict, pending: true });
+      requestBackgroundSync(STORAGE_SYNC_TAG);
+    } finally {
+      busy.current = false;
+    }
+  }
+
+  useEffect(() => {
+    if (!adapter.remote || !live) return;
+    let cancelled = false;
+    setStatus((s)=> ({ ...s, loading: true }));
+    adapter.load(key).then((res) => {
+      if (cancelled) return;
+      synced.current = { value: res ? res.value : undefined, version: res ? res.version : null, loaded: true };
+      if (res) {
+        // merge edits made since mount, or left unsent by an earlier visit
+        const pending = guarded ? undefined : pendingWrite(key);
+        const edited = latest.current !== first.current;
+        latest.current = pending || edited ? mergeById(pending ? pending.base : first.current, latest.current, res.value) : res.value;
+        setState(latest.current);
+      }
+      setStatus((s)=> ({ ...s, loading: false, error: null }));
+      flush();
+    }, (err) => {
+      if (cancelled) return;
+      console.error(err);
+      setStatus((s)=> ({ ...s, loading: false, error: `${err.message}. Showing the copy saved on this device.` }));
+      requestBackgroundSync(STORAGE_SYNC_TAG);
+    });
+    return () => { cancelled = true; };
+  }, [key, adapter, live, reload]);
+
+  // a failed load or save is tried again when the connection is back
+  useEffect(() => {
+    if (!adapter.remote) return;
+    const retry = () => {
+      if (live && !synced.current.loaded) setReload((n)=> n + 1);
+      else flush();
+    };
+    const onMessage = (e) => { if (e.data && e.data.type === "sync" && e.data.tag === STORAGE_SYNC_TAG) retry(); };
+    window.addEventListener("online", retry);
+    if ("serviceWorker" in navigator) navigator.serviceWorker.addEventListener("message", onMessage);
+    return () => {
+      window.removeEventListener("online", retry);
+      if ("serviceWorker" in navigator) navigator.serviceWorker.removeEventListener("message", onMessage);
+    };
+  }, [key, adapter, live]);
+
+  // losing access (an admin signing out) drops the loaded copy
+  useEffect(() => {
+    if (live) return;
+    synced.current = { value: undefined, version: null, loaded: false };
+    first.current = initial;
+    latest.current = initial;
+    appended.current = new Set();
+    setState(initial);
+    setStatus({ loading: false, saving: false, error: null, conflict: false, pending: false });
+  }, [live]);
+
   useEffect(() => {
-    try { localStorage.setItem(key, JSON.stringify(state)); } catch {}
+    if (!guarded) writeLocal(key, state);
+    latest.current = state;
+    flush();
   }, [key, state]);
-  return [state, setState];
+
+  return [state, setState, status];
 }
 
-export default function App() {
-  const [adminPin, setAdminPin] = useState("");
-  const [adminSet, setAdminSet] = useState(false);
-  const isAdmin = useMemo(() => adminSet && adminPin.length === 4, [adminPin, adminSet]);
+// Backups. Exports are wrapped as { format, version, exportedAt, data } so old
+// files can be upgraded through BACKUP_MIGRATIONS and checked against
+// BACKUP_SCHEMA before anything is written. Any change to BACKUP_COLLECTIONS or
+// BACKUP_SCHEMA bumps BACKUP_VERSION and adds the step that upgrades older files.
+const BACKUP_FORMAT = "locker-room-backup";
+const BACKUP_VERSION = 8;
+const BACKUP_COLLECTIONS = ["members", "memberContacts", "announcements", "events", "resources", "products", "productFiles", "rsvps", "applications", "orders", "coupons", "habits", "challenges", "habitLogs", "squads", "goals", "resourceViews", "templates", "productClicks"];
+
+// Field rules per collection: field -> [type, required]. Unknown fields are kept.
+const BACKUP_SCHEMA = {
+  members: { id: ["id", true], name: ["string", true], story: ["string"], ts: ["string"], source: ["string"], sport: ["string"], position: ["string"], yearsPlayed: ["number"], goals: ["string"], avatar: ["string"], tags: ["object"], active: ["boolean"] },
+  memberContacts: { id: ["id", true], email: ["string", true] },
+  announcements: { id: ["id", true], text: ["string", true], createdAt: ["number"], updatedAt: ["number"], pinned: ["boolean"], publishAt: ["number"], expiresAt: ["number"], image: ["string"], link: ["string"], linkTitle: ["string"] },
+  events: { id: ["id", true], title: ["string", true], date: ["string", true], startTime: ["string"], endTime: ["string"], timeZone: ["string"], recurrence: ["object"], capacity: ["number"], location: ["string"], description: ["string"] },
+  resources: { id: ["id", true], title: ["string", true], url: ["string", true], type: [["video", "pdf", "article", "booking"]], category: ["string"], tags: ["object"], description: ["string"], membersOnly: ["boolean"] },
+  products: { id: ["id", true], kind: [["digital", "coaching"], true], title: ["string", true], price: ["number", true], description: ["string"], cta: ["string"], link: ["string"], questions: ["object"] },
+  productFiles: { id: ["id", true], url: ["string", true] },
+  rsvps: { id: ["id", true], eventId: ["id", true], day: ["string", true], memberId: ["id", true], status: [["going", "maybe", "no"], true], respondedAt: ["number", true], checkedInAt: ["number"] },
+  applications: { id: ["id", true], productId: ["id"], program: ["string", true], name: ["string", true], email: ["string", true], phone: ["string"], goals: ["string"], answers: ["object"], status: [["new", "contacted", "accepted", "declined", "enrolled"], true], notes: ["object"], memberId: ["id"], ts: ["string", true] },
+  orders: { id: ["id", true], items: ["object", true], currency: ["string", true], subtotal: ["number", true], discount: ["number", true], total: ["number", true], couponCode: ["string"], name: ["string"], email: ["string", true], status: [["pending", "paid", "failed", "cancelled"], true], provider: ["string", true], paymentId: ["string"], error: ["string"], createdAt: ["number", true], paidAt: ["number"] },
+  coupons: { id: ["id", true], code: ["string", true], type: [["percent", "amount"], true], value: ["number", true], expiresAt: ["string"], active: ["boolean"] },
+  habits: { id: ["id", true], label: ["string", true] },
+  challenges: { id: ["id", true], title: ["string", true], description: ["string"], cadence: [["daily", "weekly"], true], date: ["string", true] },
+  habitLogs: { id: ["id", true], memberId: ["id", true], day: ["string", true], habits: ["object", true], challenges: ["object", true], habitIds: ["object"] },
+  squads: { id: ["id", true], name: ["string", true], memberIds: ["object", true] },
+  goals: { id: ["id", true], memberId: ["id", true], week: ["string", true], goal: ["string", true], checkIn: ["object"], createdAt: ["number", true] },
+  resourceViews: { id: ["id", true], resourceId: ["id", true], day: ["string", true], opens: ["number", true], memberIds: ["object", true] },
+  productClicks: { id: ["id", true], productId: ["id", true], action: [["apply", "cart", "link"], true], day: ["string", true], count: ["number", true] },
+  templates: { id: ["id", true], subject: ["string", true], body: ["string", true], enabled: ["boolean"], label: ["string"] },
+};
 
-  const [members, setMembers] = useLocalState("lr_members", []);
-  const [announcements, setAnnouncements] = useLocalState("lr_announcements", seedAnnouncements);
-  const [events, setEvents] = useLocalState("lr_events", seedEvents);
-  const [resources, setResources] = useLocalState("lr_resources", seedResources);
-  const [products, setProducts] = useLocalState("lr_products", seedProducts);
-  const [showApply, setShowApply] = useState(false);
-  const [selectedProgram, setSelectedProgram] = useState(null);
-  const [webhookUrl, setWebhookUrl] = useLocalState("lr_webhook", ""); // Google Apps Script Web App URL
+// Each entry upgrades a backup from version n to n + 1.
+const BACKUP_MIGRATIONS = {
+  // v1 is the original unversioned export: { members, announcements, events, resources }
+  1: (doc) => ({
+    format: BACKUP_FORMAT,
+    version: 2,
+    exportedAt: null,
+    data: Object.fromEntries([...BACKUP_COLLECTIONS, "webhookUrl"].filter((k)=> k in doc).map((k)=> [k, doc[k]])),
+  }),
+  // v3 added templates and productClicks; v2 files simply have neither
+  2: (doc) => ({ ...doc, version: 3 }),
+  // v4 moved member emails into memberContacts
+  3: (doc) => {
+    const members = doc.data && doc.data.members;
+    if (!Array.isArray(members)) return { ...doc, version: 4 };
+    const records = members.filter((m)=> m && typeof m === "object" && !Array.isArray(m));
+    return {
+      ...doc,
+      version: 4,
+      data: {
+        ...doc.data,
+        members: members.map((m)=> records.includes(m) ? publicProfile(m) : m),
+        memberContacts: records.filter((m)=> m.email).map((m)=> ({ id: m.id, email: m.email })),
+      },
+    };
+  },
+  // v5 moved download links out of products into productFiles
+  4: (doc) => {
+    const products = doc.data && doc.data.products;
+    if (!Array.isArray(products)) return { ...doc, version: 5 };
+    const records = products.filter((p)=> p && typeof p === "object" && !Array.isArray(p));
+    return {
+      ...doc,
+      version: 5,
+      data: {
+        ...doc.data,
+        products: products.map((p)=> records.includes(p) ? omitFields(p, ["downloadUrl"]) : p),
+        productFiles: records.filter((p)=> p.downloadUrl).map((p)=> ({ id: p.id, url: p.downloadUrl })),
+      },
+    };
+  },
+  // v6 added habitIds to habitLogs; older logs fall back to the current habits
+  5: (doc) => ({ ...doc, version: 6 }),
+  // v7 keeps resourceViews as one row per resource per day
+  6: (doc) => {
+    const views = doc.data && doc.data.resourceViews;
+    const readable = Array.isArray(views) && views.every((v)=> v && typeof v === "object" && (v.day || typeof v.ts === "number"));
+    return { ...doc, version: 7, data: readable ? { ...doc.data, resourceViews: compactViews(views) } : doc.data };
+  },
+  // v8 keeps productClicks as one row per product, action and day
+  7: (doc) => {
+    const clicks = doc.data && doc.data.productClicks;
+    const readable = Array.isArray(clicks) && clicks.every((c)=> c && typeof c === "object" && (c.day || typeof c.ts === "number"));
+    return { ...doc, version: 8, data: readable ? { ...doc.data, productClicks: compactClicks(clicks) } : doc.data };
+  },
+};
+
+function makeBackup(data) {
+  return { format: BACKUP_FORMAT, version: BACKUP_VERSION, exportedAt: new Date().toISOString(), data };
+}
 
-  function handleJoin(member) {
-    setMembers((m) => [{ id: Date.now(), ...member }, ...m]);
+function migrateBackup(doc) {
+  let current = doc.format === BACKUP_FORMAT ? doc : { ...doc, version: 1 };
+  if (typeof current.version !== "number") throw new Error("Backup has no version number.");
+  if (current.version > BACKUP_VERSION) throw new Error(`Backup is version ${current.version}, this app reads up to ${BACKUP_VERSION}.`);
+  while (current.version < BACKUP_VERSION) {
+    const step = BACKUP_MIGRATIONS[current.version];
+    if (!step) throw new Error(`No migration from backup version ${current.version}.`);
+    current = step(current);
   }
+  return current;
+}
 
-  function exportAll() {
-    const data = { members, announcements, events, resources };
-    const blob = new Blob([JSON.stringify(data, null, 2)], { type: "application/json" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = `locker-room-export-${new Date().toISOString().slice(0,10)}.json`;
-    a.click();
-    URL.revokeObjectURL(url);
+function checkField(value, type) {
+  if (Array.isArray(type)) return type.includes(value) ? null : `must be one of ${type.join(", ")}`;
+  if (type === "id") return (typeof value === "number" && Number.isFinite(value)) || (typeof value === "string" && value) ? null : "must be a number or non-empty string";
+  if (type === "number") return typeof value === "number" && Number.isFinite(value) ? null : "must be a number";
+  return typeof value === type ? null : `must be a ${type}`;
+}
+
+// Returns a list of { path, message }; empty means the data is safe to import.
+function validateBackup(data) {
+  const errors = [];
+  if (!data || typeof data !== "object" || Array.isArray(data)) return [{ path: "data", message: "must be an object" }];
+  for (const name of BACKUP_COLLECTIONS) {
+    if (!(name in data)) continue;
+    const list = data[name];
+    if (!Array.isArray(list)) { errors.push({ path: name, message: "must be a list" }); continue; }
+    const seen = new Set();
+    list.forEach((item, i) => {
+      const at = `${name}[${i}]`;
+      if (!item || typeof item !== "object" || Array.isArray(item)) { errors.push({ path: at, message: "must be an object" }); return; }
+      for (const [field, [type, required]] of Object.entries(BACKUP_SCHEMA[name])) {
+        if (item[field] === undefined || item[field] === null) {
+          if (required) errors.push({ path: `${at}.${field}`, message: "is required" });
+          continue;
+        }
+        const problem = checkField(item[field], type);
+        if (problem) errors.push({ path: `${at}.${field}`, message: problem });
+      }
+      if (seen.has(item.id)) errors.push({ path: `${at}.id`, message: `duplicates id ${item.id}` });
+      seen.add(item.id);
+    });
   }
+  if ("webhookUrl" in data && typeof data.webhookUrl !== "string") errors.push({ path: "webhookUrl", message: "must be a string" });
+  return errors;
+}
 
-  function importAll(file) {
-    const reader = new FileReader();
-    reader.onload = () => {
-      try {
-        const data = JSON.parse(reader.result);
-        if (data.members) setMembers(data.members);
-        if (data.announcements) setAnnouncements(data.announcements);
-        if (data.events) setEvents(data.events);
-        if (data.resources) setResources(data.resources);
-      } catch {}
-    };
-    reader.readAsText(file);
+// Incoming records replace current ones with the same id; new ones go on top.
+function mergeImport(current, incoming) {
+  const byId = new Map(incoming.map((i)=> [i.id, i]));
+  const currentIds = new Set(current.map((i)=> i.id));
+  return [...incoming.filter((i)=> !currentIds.has(i.id)), ...current.map((i)=> byId.get(i.id) || i)];
+}
+
+function downloadFile(filename, text, type) {
+  const blob = new Blob([text], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+// Events. `date` is the first (or only) day as YYYY-MM-DD. Timed events add
+// startTime/endTime as HH:MM wall-clock time in `timeZone`; events without a
+// startTime are all-day. recurrence is { freq: "weekly", byDay: ["TU", "TH"],
+// until: "YYYY-MM-DD" | "", exdates: ["YYYY-MM-DD"] }.
+const WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+const WEEKDAY_LABELS = { SU: "Sun", MO: "Mon", TU: "Tue", WE: "Wed", TH: "Thu", FR: "Fri", SA: "Sat" };
+const EVENTS_WINDOW_DAYS = 56;
+const DEFAULT_TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+
+function addDays(day, n) {
+  const d = new Date(`${day}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+}
+
+function weekdayOf(day) {
+  return WEEKDAYS[new Date(`${day}T00:00:00Z`).getUTCDay()];
+}
+
+function localToday() {
+  return new Date().toLocaleDateString("en-CA"); // YYYY-MM-DD
+}
+
+// Offset of `timeZone` from UTC at instant `ms`, in milliseconds.
+function zoneOffset(ms, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat("en-US", {
+    timeZone, hourCycle: "h23", year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit", second: "2-digit",
+  }).formatToParts(new Date(ms)).map((p)=> [p.type, p.value]));
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - Math.floor(ms / 1000) * 1000;
+}
+
+// Wall-clock day + time in `timeZone` to a Date. Re-checks the offset once so
+// times next to a DST change land on the right side of it.
+function zonedTime(day, time, timeZone) {
+  const [y, m, d] = day.split("-").map(Number);
+  const [hh, mm] = time.split(":").map(Number);
+  const guess = Date.UTC(y, m - 1, d, hh, mm);
+  const first = guess - zoneOffset(guess, timeZone);
+  return new Date(guess - zoneOffset(first, timeZone));
+}
+
+// Occurrences of `event` whose day falls in [from, to], as { event, day, start, end }.
+// start/end are null for all-day events.
+function expandEvent(event, from, to) {
+  const rule = event.recurrence && event.recurrence.freq === "weekly" ? event.recurrence : null;
+  const skipped = new Set(rule?.exdates || []);
+  const byDay = rule?.byDay?.length ? rule.byDay : [weekdayOf(event.date)];
+  const last = rule ? (rule.until && rule.until < to ? rule.until : to) : event.date;
+  const days = [];
+  for (let day = event.date > from ? event.date : from; day <= last; day = addDays(day, 1)) {
+    if (!rule && day !== event.date) break;
+    if (rule && (!byDay.includes(weekdayOf(day)) || skipped.has(day))) continue;
+    days.push(day);
   }
+  return days.map((day)=> {
+    if (!event.startTime) return { event, day, start: null, end: null };
+    const tz = event.timeZone || DEFAULT_TIME_ZONE;
+    return { event, day, start: zonedTime(day, event.startTime, tz), end: zonedTime(day, event.endTime || event.startTime, tz) };
+  });
+}
 
-  return (
-    <div className="min-h-screen bg-gradient-to-b from-white to-slate-50 text-slate-900">
-      <header className="sticky top-0 z-10 backdrop-blur bg-white/70 border-b">
-        <div className="max-w-5xl mx-auto px-4 py-3 flex items-center justify-between">
-          <div className="flex items-center gap-3">
-            <Badge className="text-sm">Raise The Vibes</Badge>
-            <h1 className="text-xl md:text-2xl font-semibold">The Locker Room</h1>
-          </div>
-          <div className="flex items-center gap-2">
-            {!adminSet ? (
-              <div className="flex items-center gap-2">
-                <Input placeholder="Set 4-digit admin pin" maxLength={4} value={adminPin} onChange={(e)=>setAdminPin(e.target.value.replace(/\D/g, "").slice(0,4))} className="w-40"/>
-                <Button onClick={()=> setAdminSet(true)} variant="secondary">Admin</Button>
-              </div>
-            ) : (
-              <div className="flex items-center gap-2">
-                <Badge variant={isAdmin?"default":"secondary"}>{isAdmin?"Admin On":"Admin Locked"}</Badge>
-                <Button onClick={()=> { setAdminSet(false); setAdminPin(""); }} variant="ghost">Exit</Button>
-              </div>
-            )}
-          </div>
-        </div>
-      </header>
+function upcomingOccurrences(events, now = new Date()) {
+  const today = localToday();
+  // start a day early so timed events from another zone that are still running show up
+  const from = addDays(today, -1);
+  const to = addDays(today, EVENTS_WINDOW_DAYS);
+  return events
+    .flatMap((e)=> expandEvent(e, from, to))
+    .filter((o)=> o.end ? o.end > now : o.day >= today)
+    .sort((a, b)=> (a.start ? a.start.getTime() : Date.parse(a.day)) - (b.start ? b.start.getTime() : Date.parse(b.day)));
+}
 
-      <main className="max-w-5xl mx-auto px-4 py-6 space-y-6">
-        <Hero onJoin={handleJoin} />
-
-        <Tabs defaultValue="announcements" className="w-full">
-          <TabsList className="grid grid-cols-5">
-            <TabsTrigger value="announcements"><Users className="w-4 h-4 mr-2"/>Community</TabsTrigger>
-            <TabsTrigger value="events"><Calendar className="w-4 h-4 mr-2"/>Events</TabsTrigger>
-            <TabsTrigger value="store"><Trophy className="w-4 h-4 mr-2"/>Products</TabsTrigger>
-            <TabsTrigger value="resources"><Play className="w-4 h-4 mr-2"/>Resources</TabsTrigger>
-            <TabsTrigger value="settings">Settings</TabsTrigger>
-          </TabsList>
+function isPastEvent(event) {
+  const lastDay = event.recurrence?.freq === "weekly" ? event.recurrence.until : event.date;
+  return !!lastDay && lastDay < localToday();
+}
 
-          <TabsContent value="announcements">
-            <Board
-              title="Announcements"
-              items={announcements}
-              isAdmin={isAdmin}
-              onAdd={(text)=> setAnnouncements((list)=> [{ id: Date.now(), text, createdAt: Date.now() }, ...list])}
-              onDelete={(id)=> setAnnouncements((list)=> list.filter(i=> i.id!==id))}
-            />
-            <Members members={members} />
-          </TabsContent>
+function formatOccurrence(o) {
+  if (!o.start) return new Date(`${o.day}T12:00:00Z`).toLocaleDateString(undefined, { timeZone: "UTC", weekday: "short", month: "short", day: "numeric", year: "numeric" });
+  const day = o.start.toLocaleDateString(undefined, { weekday: "short", month: "short", day: "numeric" });
+  const start = o.start.toLocaleTimeString(undefined, { hour: "numeric", minute: "2-digit" });
+  const end = o.end.toLocaleTimeString(undefined, { hour: "numeric", minute: "2-digit", timeZoneName: "short" });
+  return `${day} · ${start} – ${end}`;
+}
 
-          <TabsContent value="events">
-            <Events
-              items={events}
-              isAdmin={isAdmin}
-              onAdd={(event)=> setEvents((list)=> [{ id: Date.now(), ...event }, ...list])}
-              onDelete={(id)=> setEvents((list)=> list.filter(i=> i.id!==id))}
-            />
-          </TabsContent>
+function describeRecurrence(event) {
+  const rule = event.recurrence;
+  if (!rule || rule.freq !== "weekly") return "";
+  const days = (rule.byDay?.length ? rule.byDay : [weekdayOf(event.date)]).map((d)=> WEEKDAY_LABELS[d]).join(", ");
+  return `Every ${days}${rule.until ? ` until ${rule.until}` : ""}`;
+}
 
-          <TabsContent value="store">
-            <Products
-              items={products}
-              isAdmin={isAdmin}
-              onAdd={(p)=> setProducts((list)=> [{ id: Date.now(), ...p }, ...list])}
-              onDelete={(id)=> setProducts((list)=> list.filter(i=> i.id!==id))}
-              onApply={(program)=> { setSelectedProgram(program); setShowApply(true); }}
-            />
-          </TabsContent>
+// iCalendar (RFC 5545). Timed events keep their wall-clock times with the IANA zone
+// as TZID, so weekly series stay put across DST changes. RFC 5545 wants every TZID
+// defined in the file, so each zone gets a VTIMEZONE built from the offsets Intl
+// reports, covering the years the events span.
+const ICS_ZONE_YEARS_AHEAD = 5; // for series with no end date
+const ICS_ZONE_STEP_MS = 1000 * 60 * 60 * 24 * 7;
 
-          <TabsContent value="resources">
-            <Resources
-              items={resources}
-              isAdmin={isAdmin}
-              onAdd={(res)=> setResources((list)=> [{ id: Date.now(), ...res }, ...list])}
-              onDelete={(id)=> setResources((list)=> list.filter(i=> i.id!==id))}
-            />
-          </TabsContent>
+function icsEscape(text) {
+  return String(text || "").replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+}
 
-          <TabsContent value="settings">
-            <Card className="border-dashed">
-              <CardHeader>
-                <CardTitle>Backup and Restore</CardTitle>
-              </CardHeader>
-              <CardContent className="space-y-4">
-                <div className="flex items-center gap-2">
-                  <Button onClick={exportAll} className="flex items-center gap-2"><Upload className="w-4 h-4"/>Export JSON</Button>
-                  <label className="text-sm text-slate-600">Save a copy of your data</label>
-                </div>
-                <div className="flex items-center gap-2">
-                  <Input type="file" accept="application/json" onChange={(e)=> e.target.files && importAll(e.target.files[0])} />
-                </div>
-                <hr className="my-4"/>
-                <div className="space-y-2">
-                  <h3 className="font-medium">Google Sheets connection</h3>
-                  <p className="text-sm text-slate-600">Paste your Google Apps Script Web App URL. New signups will be sent to your Sheet.</p>
-                  <div className="flex gap-2">
-                    <Input placeholder="https://script.google.com/.../exec" value={webhookUrl} onChange={(e)=> setWebhookUrl(e.target.value)} />
-                  </div>
-                </div>
-                <p className="text-sm text-slate-500">This demo stores data in your browser using localStorage. For real accounts connect a backend later.</p>
-              </CardContent>
-            </Card>
-          </TabsContent>
-        </Tabs>
-        {showApply && (
-          <ApplicationForm open={showApply} onClose={()=> setShowApply(false)} program={selectedProgram} />
-        )}
-      </main>
+function icsFold(line) {
+  const out = [];
+  for (let rest = line; rest.length; rest = rest.slice(73)) out.push(rest.slice(0, 73));
+  return out.join("\r\n ");
+}
 
-      <footer className="py-10 text-center text-sm text-slate-500">
-        Built with love for former athletes. © {new Date().getFullYear()} Raise The Vibes
-      </footer>
-    </div>
-  );
+function icsStamp(date) {
+  return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
 }
 
-function Hero({ onJoin }) {
-  const [name, setName] = useState("");
-  const [email, setEmail] = useState("");
-  const [story, setStory] = useState("");
-  const [status, setStatus] = useState("idle"); // idle | sending | done | error
+function icsDay(day) {
+  return day.replace(/-/g, "");
+}
 
-  // access webhook from localStorage so Hero does not need prop drilling
-  const [webhookUrl] = useLocalState("lr_webhook", "");
+function icsLocal(day, time) {
+  return `${icsDay(day)}T${time.replace(":", "")}00`;
+}
 
-  async function submit() {
-    if (!name || !email) return;
-    setStatus("sending");
+function icsOffset(ms) {
+  const minutes = Math.round(ms / 60000);
+  const abs = Math.abs(minutes);
+  return `${minutes < 0 ? "-" : "+"}${String(Math.floor(abs / 60)).padStart(2, "0")}${String(abs % 60).padStart(2, "0")}`;
+}
+
+// One observance per offset change from fromYear through toYear, found by stepping
+// a week at a time and narrowing each change down to the minute. The first one
+// covers the start of the range, so zones without DST get a single STANDARD block.
+function icsTimeZone(timeZone, fromYear, toYear) {
+  const start = Date.UTC(fromYear, 0, 1);
+  const end = Date.UTC(toYear + 1, 0, 1);
+  const first = zoneOffset(start, timeZone);
+  const changes = [{ at: start - first, from: first, to: first }];
+  for (let t = start; t < end; t += ICS_ZONE_STEP_MS) {
+    const before = zoneOffset(t, timeZone);
+    if (zoneOffset(t + ICS_ZONE_STEP_MS, timeZone) === before) continue;
+    let lo = t;
+    let hi = t + ICS_ZONE_STEP_MS;
+    while (hi - lo > 60000) {
+      const mid = lo + Math.floor((hi - lo) / 120000) * 60000;
+      if (zoneOffset(mid, timeZone) === before) lo = mid;
+      else hi = mid;
+    }
+    changes.push({ at: hi, from: before, to: zoneOffset(hi, timeZone) });
+  }
+  const standard = Math.min(...changes.map((c)=> c.to));
+  const lines = ["BEGIN:VTIMEZONE", `TZID:${timeZone}`];
+  for (const c of changes) {
+    const kind = c.to > standard ? "DAYLIGHT" : "STANDARD";
+    // DTSTART is the wall-clock time just before the change
+    lines.push(`BEGIN:${kind}`, `DTSTART:${icsStamp(new Date(c.at + c.from)).replace("Z", "")}`, `TZOFFSETFROM:${icsOffset(c.from)}`, `TZOFFSETTO:${icsOffset(c.to)}`, `END:${kind}`);
+  }
+  lines.push("END:VTIMEZONE");
+  return lines;
+}
 
-    const member = { name, email, story, ts: new Date().toISOString(), source: "locker-room-app" };
-    onJoin(member);
+// zone -> [fromYear, toYear] for the timed events in `events`
+function icsZoneYears(events, now = new Date()) {
+  const zones = new Map();
+  for (const event of events.filter((e)=> e.startTime)) {
+    const tz = event.timeZone || DEFAULT_TIME_ZONE;
+    const rule = event.recurrence?.freq === "weekly" ? event.recurrence : null;
+    const from = Number(event.date.slice(0, 4));
+    const to = !rule ? from : rule.until ? Number(rule.until.slice(0, 4)) : Math.max(from, now.getFullYear()) + ICS_ZONE_YEARS_AHEAD;
+    const [a, b] = zones.get(tz) || [from, to];
+    zones.set(tz, [Math.min(a, from), Math.max(b, to)]);
+  }
+  return zones;
+}
 
-    try {
-      if (webhookUrl) {
-        // Send as application/x-www-form-urlencoded to avoid CORS preflight
-        const body = new URLSearchParams(member).toString();
-        await fetch(webhookUrl, {
-          method: "POST",
-          headers: { "Content-Type": "application/x-www-form-urlencoded" },
-          body,
-          mode: "cors",
-        });
-      }
-      setStatus("done");
-      setName("");
-      setEmail("");
-      setStory("");
-    } catch (e) {
-      console.error(e);
-      setStatus("error");
+function eventToIcs(event) {
+  const tz = event.timeZone || DEFAULT_TIME_ZONE;
+  const rule = event.recurrence?.freq === "weekly" ? event.recurrence : null;
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:event-${event.id}@raisethevibes`,
+    `DTSTAMP:${icsStamp(new Date())}`,
+  ];
+  if (event.startTime) {
+    lines.push(`DTSTART;TZID=${tz}:${icsLocal(event.date, event.startTime)}`);
+    lines.push(`DTEND;TZID=${tz}:${icsLocal(event.date, event.endTime || event.startTime)}`);
+  } else {
+    lines.push(`DTSTART;VALUE=DATE:${icsDay(event.date)}`);
+    lines.push(`DTEND;VALUE=DATE:${icsDay(addDays(event.date, 1))}`);
+  }
+  if (rule) {
+    const byDay = rule.byDay?.length ? rule.byDay : [weekdayOf(event.date)];
+    const until = rule.until ? `;UNTIL=${event.startTime ? icsStamp(zonedTime(rule.until, "23:59", tz)) : icsDay(rule.until)}` : "";
+    lines.push(`RRULE:FREQ=WEEKLY;BYDAY=${byDay.join(",")}${until}`);
+    for (const day of rule.exdates || []) {
+      lines.push(event.startTime ? `EXDATE;TZID=${tz}:${icsLocal(day, event.startTime)}` : `EXDATE;VALUE=DATE:${icsDay(day)}`);
     }
   }
+  lines.push(`SUMMARY:${icsEscape(event.title)}`);
+  if (event.location) lines.push(`LOCATION:${icsEscape(event.location)}`);
+  if (event.description) lines.push(`DESCRIPTION:${icsEscape(event.description)}`);
+  lines.push("END:VEVENT");
+  return lines;
+}
 
-  return (
-    <div className="grid md:grid-cols-2 gap-6 items-stretch">
-      <Card className="shadow-md">
-        <CardHeader>
-          <CardTitle className="text-2xl">A community for former athletes</CardTitle>
-        </CardHeader>
-        <CardContent className="space-y-4">
-          <p className="text-slate-600">Stay connected to your competitive edge with structure, accountability, and a reason to show up every day.</p>
-          <ul className="grid grid-cols-2 gap-2 text-sm">
-            <li className="flex items-center gap-2"><CheckCircle className="w-4 h-4"/>Weekly workshops</li>
-            <li className="flex items-center gap-2"><CheckCircle className="w-4 h-4"/>Exclusive events</li>
-            <li className="flex items-center gap-2"><CheckCircle className="w-4 h-4"/>1 on 1 coaching</li>
-            <li className="flex items-center gap-2"><CheckCircle className="w-4 h-4"/>Daily challenges</li>
-          </ul>
-        </CardContent>
-      </Card>
+function eventsToIcs(events, site = DEFAULT_SITE) {
+  const lines = ["BEGIN:VCALENDAR", "VERSION:2.0", `PRODID:-//${icsEscape(site.brand)}//${icsEscape(site.name)}//EN`, "CALSCALE:GREGORIAN", "METHOD:PUBLISH", `X-WR-CALNAME:${icsEscape(site.name)}`];
+  for (const [tz, [from, to]] of icsZoneYears(events)) lines.push(...icsTimeZone(tz, from, to));
+  for (const event of events) lines.push(...eventToIcs(event));
+  lines.push("END:VCALENDAR");
+  return lines.map(icsFold).join("\r\n") + "\r\n";
+}
+
+// RSVPs are one record per member per occurrence: { id, eventId, day, memberId,
+// status, respondedAt, checkedInAt }. The waitlist is not stored; when an
+// event has a capacity, the earliest "going" replies fill it and the rest wait.
+// That way a cancellation promotes the next person without any bookkeeping.
+function rsvpSummary(rsvps, eventId, day, capacity) {
+  const mine = latestRsvps(rsvps.filter((r)=> r.eventId === eventId && r.day === day));
+  const going = mine.filter((r)=> r.status === "going").sort((a, b)=> a.respondedAt - b.respondedAt);
+  const limit = capacity > 0 ? capacity : Infinity;
+  return {
+    all: mine,
+    confirmed: going.slice(0, limit),
+    waitlist: going.slice(limit),
+    maybe: mine.filter((r)=> r.status === "maybe"),
+    no: mine.filter((r)=> r.status === "no"),
+    spotsLeft: capacity > 0 ? Math.max(0, capacity - going.length) : null,
+  };
+}
+
+// Two devices can each add a reply for the same member and occurrence before
+// they sync. The latest reply counts, and a check-in on either one is kept.
+function latestRsvps(rsvps) {
+  const byKey = new Map();
+  for (const r of rsvps) {
+    const key = `${r.eventId}|${r.day}|${r.memberId}`;
+    const prev = byKey.get(key);
+    if (!prev) { byKey.set(key, r); continue; }
+    const [older, newer] = prev.respondedAt > r.respondedAt ? [r, prev] : [prev, r];
+    byKey.set(key, { ...newer, checkedInAt: newer.checkedInAt || older.checkedInAt || null });
+  }
+  return [...byKey.values()];
+}
+
+// Per-member attendance for the coaches: how often they said yes and how often
+// they were actually checked in.
+function attendanceByMember(members, rsvps, events) {
+  const eventTitles = new Map(events.map((e)=> [e.id, e.title]));
+  const replies = latestRsvps(rsvps);
+  return members.map((m)=> {
+    const mine = replies.filter((r)=> r.memberId === m.id && eventTitles.has(r.eventId));
+    const attended = mine.filter((r)=> r.checkedInAt).sort((a, b)=> b.day.localeCompare(a.day));
+    return {
+      member: m,
+      going: mine.filter((r)=> r.status === "going").length,
+      attended: attended.length,
+      lastAttended: attended[0]?.day || null,
+      history: attended.map((r)=> ({ day: r.day, title: eventTitles.get(r.eventId) })),
+    };
+  }).sort((a, b)=> b.attended - a.attended || b.going - a.going);
+}
+
+// Members. Profiles extend the join form record with sport, position,
+// yearsPlayed, goals, avatar (URL or small data URL), tags and active.
+// Missing `active` means active, so records from before profiles still show.
+// Emails are kept apart in memberContacts ({ id: member id, email }), a private
+// list, so the public directory never carries them.
+const PRIVATE_MEMBER_FIELDS = ["email"];
+const MEMBER_CSV_COLUMNS = ["id", "name", "email", "sport", "position", "yearsPlayed", "goals", "tags", "active", "ts", "source"];
+
+function isActiveMember(m) {
+  return m.active !== false;
+}
+
+function normalizeEmail(email) {
+  return String(email || "").trim().toLowerCase();
+}
+
+function omitFields(record, fields) {
+  return Object.fromEntries(Object.entries(record).filter(([field])=> !fields.includes(field)));
+}
+
+function publicProfile(member) {
+  return omitFields(member, PRIVATE_MEMBER_FIELDS);
+}
+
+// Members with their email filled in from contacts, for admin views.
+function withContacts(members, contacts) {
+  const emails = new Map(contacts.map((c)=> [c.id, c.email]));
+  return members.map((m)=> emails.has(m.id) ? { ...m, email: emails.get(m.id) } : m);
+}
+
+// Collections whose records point at members, through memberId or memberIds.
+const MEMBER_REF_COLLECTIONS = ["rsvps", "applications", "habitLogs", "goals", "squads", "resourceViews"];
+
+// Points the records of one of those collections at the kept members after
+// dedupeMembers.
+function remapMemberRefs(list, remap) {
+  return list.map((r)=> {
+    let next = r;
+    if (remap.has(r.memberId)) next = { ...next, memberId: remap.get(r.memberId) };
+    if (Array.isArray(r.memberIds) && r.memberIds.some((id)=> remap.has(id))) {
+      next = { ...next, memberIds: [...new Set(r.memberIds.map((id)=> remap.get(id) ?? id))] };
+    }
+    return next;
+  });
+}
+
+// Keeps the earliest record per email, fills its blanks from the later ones and
+// unions tags. Takes members withContacts. Returns the new list and a map of
+// removed id -> kept id.
+function dedupeMembers(members) {
+  const byEmail = new Map();
+  for (const m of [...members].sort((a, b)=> (a.id > b.id ? 1 : -1))) {
+    const key = normalizeEmail(m.email);
+    if (!key) continue;
+    byEmail.set(key, [...(byEmail.get(key) || []), m]);
+  }
+  const remap = new Map();
+  const merged = new Map();
+  for (const group of byEmail.values()) {
+    if (group.length < 2) continue;
+    const [keep, ...rest] = group;
+    let result = { ...keep };
+    for (const dup of rest) {
+      remap.set(dup.id, keep.id);
+      for (const [field, value] of Object.entries(dup)) {
+        if (result[field] === undefined || result[field] === "" || result[field] === null) result[field] = value;
+      }
+    }
+    result.tags = [...new Set(group.flatMap((m)=> m.tags || []))];
+    result.active = group.some(isActiveMember);
+    merged.set(keep.id, result);
+  }
+  const list = members.filter((m)=> !remap.has(m.id)).map((m)=> merged.get(m.id) || m);
+  return { members: list, remap };
+}
+
+function toCsv(rows, columns) {
+  const cell = (v)=> {
+    const text = Array.isArray(v) ? v.join("; ") : v === undefined || v === null ? "" : String(v);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [columns.join(","), ...rows.map((r)=> columns.map((c)=> cell(r[c])).join(","))].join("\n");
+}
+
+// Shrinks an uploaded picture to a small square data URL so it fits in storage.
+function readAvatar(file, size = 96) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => {
+      const canvas = document.createElement("canvas");
+      canvas.width = size;
+      canvas.height = size;
+      const side = Math.min(img.width, img.height);
+      canvas.getContext("2d").drawImage(img, (img.width - side) / 2, (img.height - side) / 2, side, side, 0, 0, size, size);
+      URL.revokeObjectURL(img.src);
+      resolve(canvas.toDataURL("image/jpeg", 0.8));
+    };
+    img.onerror = () => reject(new Error("Could not read that image"));
+    img.src = URL.createObjectURL(file);
+  });
+}
+
+// Applications for coaching programs. Products can carry their own questions,
+// [{ id, label, required }], asked on top of the standard fields; answers are
+// stored by question id so renaming a question keeps old answers attached.
+const APPLICATION_STATUSES = ["new", "contacted", "accepted", "declined", "enrolled"];
+const APPLICATION_CSV_COLUMNS = ["id", "ts", "program", "status", "name", "email", "phone", "goals", "answers", "notes"];
+
+// Products whose call to action is "Apply" take applications instead of a sale.
+function acceptsApplications(product) {
+  return !!product.cta && product.cta.toLowerCase() === "apply";
+}
+
+// One question per line; a trailing * marks it required.
+function parseQuestions(text, existing = []) {
+  return text.split("\n").map((line)=> line.trim()).filter(Boolean).map((line, i)=> {
+    const required = line.endsWith("*");
+    const label = required ? line.slice(0, -1).trim() : line;
+    const match = existing.find((q)=> q.label === label);
+    return { id: match ? match.id : `q${Date.now()}${i}`, label, required };
+  });
+}
+
+function questionsToText(questions = []) {
+  return questions.map((q)=> `${q.label}${q.required ? " *" : ""}`).join("\n");
+}
+
+function flattenApplication(app, products) {
+  const questions = products.find((p)=> p.id === app.productId)?.questions || [];
+  const label = (id)=> questions.find((q)=> q.id === id)?.label || id;
+  return {
+    ...app,
+    answers: Object.entries(app.answers || {}).map(([id, answer])=> `${label(id)}: ${answer}`),
+    notes: (app.notes || []).map((n)=> `${new Date(n.ts).toLocaleDateString()} ${n.text}`),
+  };
+}
+
+// Store. Product prices stay in whole currency units (29 means $29) for the
+// existing data; orders work in cents so discounts never round twice. A digital
+// product with a payment link (such as a Stripe Payment Link) sells through it;
+// one without goes through the cart, and its file (lr_product_files) is handed
+// out by the provider once the order is paid.
+// PAYMENTS picks the provider for this deploy:
+//   { provider: null } has no cart. Checkout fails with "Checkout not configured."
+//   { provider: "stripe", endpoint } expects your server to expose
+//     POST {endpoint}/quotes { items: [{ productId, quantity }], couponCode } -> { discount, couponCode } | 422 { error }
+//     POST {endpoint}/checkout-sessions { orderId, currency, customerEmail, items, couponCode, successUrl, cancelUrl }
+//          -> { id, url } (a Stripe Checkout Session) | { id, paid: true } when nothing is owed
+//     GET  {endpoint}/checkout-sessions/:id -> { id, payment_status }
+//     GET  {endpoint}/checkout-sessions/:id/downloads -> [{ productId, url }], only once paid
+//     The server prices items from lr_products, checks codes against lr_coupons and
+//     reads files from lr_product_files; nothing the page sends about money is trusted.
+//   { provider: "fake", outcome: "paid" | "declined" } marks orders paid or declined
+//     without charging anyone, using this browser's coupons and files. For trying the
+//     store out only; never deploy it.
+const STORE_CURRENCY = "USD";
+const PAYMENTS = { provider: null };
+const PENDING_CHECKOUT_KEY = "lr_pending_checkout";
+
+function priceCents(product) {
+  return Math.round((Number(product.price) || 0) * 100);
+}
+
+function formatMoney(cents, currency = STORE_CURRENCY) {
+  return new Intl.NumberFormat(undefined, { style: "currency", currency }).format(cents / 100);
+}
+
+function findCoupon(coupons, code) {
+  const wanted = String(code || "").trim().toUpperCase();
+  if (!wanted) return null;
+  const coupon = coupons.find((c)=> c.code.toUpperCase() === wanted);
+  if (!coupon || coupon.active === false) return null;
+  if (coupon.expiresAt && coupon.expiresAt < localToday()) return null;
+  return coupon;
+}
+
+function couponDiscount(subtotal, coupon) {
+  if (!coupon) return 0;
+  if (coupon.type === "percent") return Math.round(subtotal * Math.min(100, coupon.value) / 100);
+  return Math.min(subtotal, Math.round(coupon.value * 100));
+}
+
+function orderItems(cart, products) {
+  return cart
+    .map((c)=> products.find((p)=> p.id === c.productId))
+    .filter(Boolean)
+    .map((p)=> ({ productId: p.id, title: p.title, unitAmount: priceCents(p), qty: 1 }));
+}
+
+function orderSubtotal(items) {
+  return items.reduce((sum, i)=> sum + i.unitAmount * i.qty, 0);
+}
+
+// quote is the provider's answer for the buyer's code, or null. The amounts are
+// for showing the buyer; the provider charges what it works out itself.
+function buildOrder(cart, products, quote, buyer) {
+  const items = orderItems(cart, products);
+  const subtotal = orderSubtotal(items);
+  const discount = quote ? Math.min(subtotal, quote.discount) : 0;
+  return {
+    id: Date.now(),
+    items,
+    currency: STORE_CURRENCY,
+    subtotal,
+    discount,
+    total: subtotal - discount,
+    couponCode: quote ? quote.couponCode : "",
+    name: buyer.name,
+    email: buyer.email,
+    status: "pending",
+    provider: PAYMENTS.provider,
+    paymentId: "",
+    error: "",
+    createdAt: Date.now(),
+    paidAt: null,
+  };
+}
+
+// Payment providers share one shape:
+//   quote(items, couponCode) -> { discount, couponCode } | { error }
+//   createCheckout(order) -> { status: "paid" | "redirect" | "failed", paymentId?, redirectUrl?, error? }
+//   confirm(order, { sessionId }) -> { status: "paid" | "failed", paymentId?, error? }
+//   downloads(order) -> [{ productId, url }] for a paid order
+// confirm runs when a redirecting provider sends the buyer back to the app.
+// store() returns this page's { coupons, files }, which only the fake provider reads.
+function createFakePaymentProvider({ outcome = "paid", latency = 600, store = ()=> ({ coupons: [], files: [] }) } = {}) {
+  const wait = ()=> new Promise((resolve)=> setTimeout(resolve, latency));
+  return {
+    name: "fake",
+    async quote(items, couponCode) {
+      await wait();
+      const coupon = findCoupon(store().coupons, couponCode);
+      if (!coupon) return { error: "That code is not valid." };
+      return { discount: couponDiscount(orderSubtotal(items), coupon), couponCode: coupon.code };
+    },
+    async createCheckout(order) {
+      await wait();
+      return outcome === "paid" ? { status: "paid", paymentId: `fake_${order.id}` } : { status: "failed", error: "Card declined by the test provider." };
+    },
+    async confirm(order) {
+      return { status: "paid", paymentId: `fake_${order.id}` };
+    },
+    async downloads(order) {
+      const files = store().files;
+      return order.items.map((i)=> ({ productId: i.productId, url: files.find((f)=> f.id === i.productId)?.url })).filter((d)=> d.url);
+    },
+  };
+}
+
+function createStripePaymentProvider({ endpoint }) {
+  const base = endpoint.replace(/\/$/, "");
+  const lines = (items)=> items.map((i)=> ({ productId: i.productId, quantity: i.qty }));
+  return {
+    name: "stripe",
+    async quote(items, couponCode) {
+      const res = await fetch(`${base}/quotes`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ items: lines(items), couponCode }),
+      });
+      if (res.status === 422) return { error: (await res.json()).error || "That code is not valid." };
+      if (!res.ok) throw new Error(`Could not check the code (${res.status})`);
+      return res.json();
+    },
+    async createCheckout(order) {
+      const back = `${window.location.origin}${window.location.pathname}?order=${order.id}`;
+      const res = await fetch(`${base}/checkout-sessions`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          orderId: order.id,
+          currency: order.currency.toLowerCase(),
+          customerEmail: order.email,
+          items: lines(order.items),
+          couponCode: order.couponCode,
+          successUrl: `${back}&checkout=success&session_id={CHECKOUT_SESSION_ID}`,
+          cancelUrl: `${back}&checkout=cancel`,
+        }),
+      });
+      if (!res.ok) return { status: "failed", error: `Checkout could not start (${res.status}).` };
+      const session = await res.json();
+      if (session.paid) return { status: "paid", paymentId: session.id };
+      return { status: "redirect", redirectUrl: session.url, paymentId: session.id };
+    },
+    async confirm(order, { sessionId }) {
+      const res = await fetch(`${base}/checkout-sessions/${encodeURIComponent(sessionId || order.paymentId)}`);
+      if (!res.ok) return { status: "failed", error: `Could not confirm payment (${res.status}).` };
+      const session = await res.json();
+      return session.payment_status === "paid" ? { status: "paid", paymentId: session.id } : { status: "failed", error: "Payment was not completed." };
+    },
+    async downloads(order) {
+      const res = await fetch(`${base}/checkout-sessions/${encodeURIComponent(order.paymentId)}/downloads`);
+      if (!res.ok) throw new Error(`Could not load downloads (${res.status})`);
+      return res.json();
+    },
+  };
+}
+
+// null when this deploy has no checkout
+function createPaymentProvider(config, store) {
+  if (config.provider === "stripe" && config.endpoint) return createStripePaymentProvider(config);
+  if (config.provider === "fake") return createFakePaymentProvider({ ...config, store });
+  return null;
+}
+
+// Notifications. NOTIFICATIONS picks how messages leave the app:
+//   { transport: "console" } logs each message to the browser console, for development.
+//   { transport: "file" } also keeps them in this browser's dev mailbox, downloadable from Settings.
+//   { transport: "smtp", endpoint } has your server send mail with its own SMTP
+//     login, so it needs STORAGE "rest". Pages never hand it an address or text:
+//     - it sends SERVER_SENT_TEMPLATES itself when it stores the record they are
+//       about, a signup (POST lr_member_contacts) or an application (POST
+//       lr_applications), so visitors' pages send nothing
+//     - admin pages ask it for the rest (event reminders, resends) with
+//       POST {endpoint}/send { template, recordId, idempotencyKey } -> { id }
+//       under the admin token; recordId names the signup, application or RSVP,
+//       and the server looks up the recipient and renders lr_templates itself.
+//       It must send each idempotencyKey once.
+// Only smtp delivers anything; the others mark messages "logged", not "sent".
+// Messages queue in "lr_notifications", which holds member emails and so is
+// admin-only on a shared backend. A page only sends what it rendered itself,
+// never what it finds in the list, since anyone can add to it.
+// Event reminders are best effort: an unlocked admin's open page queues them in
+// the 24 hours before each event, so an event with no admin online in that
+// window gets none. Settings lists those (missedReminders).
+const NOTIFICATIONS = { transport: "console" };
+const DEV_MAILBOX_KEY = "lr_dev_mailbox";
+const DEV_MAILBOX_LIMIT = 100;
+const REMINDER_LEAD_MS = 1000 * 60 * 60 * 24;
+const REMINDER_SCAN_MS = 1000 * 60 * 5;
+const NOTIFICATION_STUCK_MS = 1000 * 60 * 2;
+const REMINDER_MISSED_DAYS = 3;
+const SERVER_SENT_TEMPLATES = ["welcome", "applicationReceived"];
+
+const DEFAULT_TEMPLATES = [
+  {
+    id: "welcome",
+    label: "Welcome",
+    vars: ["name", "email", "site"],
+    enabled: true,
+    subject: "Welcome to {{site}}, {{name}}",
+    body: "Hi {{name}},\n\nThanks for joining {{site}}. Check the Events tab for the next session, pick up the Daily 5, and introduce yourself to your squad.\n\nSee you in there.",
+  },
+  {
+    id: "applicationReceived",
+    label: "Application received",
+    vars: ["name", "program", "site"],
+    enabled: true,
+    subject: "We received your application for {{program}}",
+    body: "Hi {{name}},\n\nThanks for applying to {{program}}. We read every application and will reach out within a few days with next steps.\n\n{{site}}",
+  },
+  {
+    id: "eventReminder",
+    label: "Event reminder (24 hours before)",
+    vars: ["name", "event", "when", "location", "site"],
+    enabled: true,
+    subject: "Reminder: {{event}} is coming up",
+    body: "Hi {{name}},\n\nYou are on the list for {{event}}.\nWhen: {{when}}\nWhere: {{location}}\n\nCan't make it anymore? Update your RSVP so someone on the waitlist can take your spot.\n\n{{site}}",
+  },
+];
+
+function templateFor(templates, id) {
+  return { ...DEFAULT_TEMPLATES.find((t)=> t.id === id), ...templates.find((t)=> t.id === id) };
+}
+
+function renderTemplate(text, vars) {
+  return String(text || "").replace(/\{\{\s*(\w+)\s*\}\}/g, (_, key)=> vars[key] ?? "");
+}
+
+// Ids are stable so a reminder is only ever queued once per member and occurrence.
+function reminderId(o, member) {
+  return `reminder-${o.event.id}-${o.day}-${member.id}`;
+}
+
+// Confirmed members with an email, for one occurrence, as { rsvp, member }.
+// Takes members withContacts.
+function reminderRecipients(o, rsvps, members) {
+  return rsvpSummary(rsvps, o.event.id, o.day, o.event.capacity).confirmed
+    .map((rsvp)=> ({ rsvp, member: members.find((m)=> m.id === rsvp.memberId) }))
+    .filter(({ member })=> member && member.email);
+}
+
+// Members who are confirmed for an occurrence starting within the next 24 hours.
+function dueReminders(events, rsvps, members, now = new Date()) {
+  return upcomingOccurrences(events, now).flatMap((o)=> {
+    const start = o.start || new Date(`${o.day}T00:00`);
+    if (start <= now || start - now > REMINDER_LEAD_MS) return [];
+    return reminderRecipients(o, rsvps, members).map(({ rsvp, member })=> ({
+      id: reminderId(o, member),
+      recordId: rsvp.id,
+      to: member.email,
+      vars: { name: member.name, event: o.event.title, when: formatOccurrence(o), location: o.event.location || "" },
+    }));
+  });
+}
+
+// Occurrences that started in the last REMINDER_MISSED_DAYS with confirmed
+// members whose reminder was never queued, as { event, day, start, end, missed }.
+// `items` is the notifications list, which keeps sent messages for a week.
+function missedReminders(events, rsvps, members, items, now = new Date()) {
+  const queued = new Set(items.map((i)=> i.id));
+  const today = localToday();
+  return events
+    .flatMap((e)=> expandEvent(e, addDays(today, -REMINDER_MISSED_DAYS - 1), today))
+    .map((o)=> {
+      const start = o.start || new Date(`${o.day}T00:00`);
+      if (start > now || now - start > REMINDER_MISSED_DAYS * 24 * 60 * 60 * 1000) return null;
+      const missed = reminderRecipients(o, rsvps, members).filter(({ member })=> !queued.has(reminderId(o, member))).length;
+      return missed ? { ...o, missed } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b)=> b.day.localeCompare(a.day));
+}
+
+// Transports share one shape: { name, delivers, send({ template, recordId, to,
+// subject, text, idempotencyKey }) -> { id } }, with send throwing when the
+// message could not be handed over. `delivers` says whether anything reaches the
+// recipient.
+function createConsoleTransport() {
+  return {
+    name: "console",
+    delivers: false,
+    async send(message) {
+      console.info(`[mail] to ${message.to}: ${message.subject}\n\n${message.text}`);
+      return { id: message.idempotencyKey };
+    },
+  };
+}
+
+function createFileTransport({ key = DEV_MAILBOX_KEY } = {}) {
+  const log = createConsoleTransport();
+  return {
+    name: "file",
+    delivers: false,
+    async send(message) {
+      const res = await log.send(message);
+      writeLocal(key, [{ ...message, sentAt: new Date().toISOString() }, ...(readLocal(key) || [])].slice(0, DEV_MAILBOX_LIMIT));
+      return res;
+    },
+  };
+}
+
+// Only the template and record go out; the server finds the address and text.
+// token is a string or a function returning the current admin session.
+function createSmtpTransport({ endpoint, token }) {
+  const base = endpoint.replace(/\/$/, "");
+  return {
+    name: "smtp",
+    delivers: true,
+    async send(message) {
+      const bearer = typeof token === "function" ? token() : token;
+      const res = await fetch(`${base}/send`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...(bearer ? { Authorization: `Bearer ${bearer}` } : {}) },
+        body: JSON.stringify({ template: message.template, recordId: message.recordId, idempotencyKey: message.idempotencyKey }),
+      });
+      if (!res.ok) throw new Error(`Mail relay answered ${res.status}`);
+      return res.json().catch(()=> ({ id: message.idempotencyKey }));
+    },
+  };
+}
+
+function createNotificationTransport(config) {
+  if (config.transport === "smtp" && config.endpoint) return createSmtpTransport(config);
+  if (config.transport === "file") return createFileTransport(config);
+  return createConsoleTransport();
+}
+
+function mailboxToText(messages) {
+  return messages.map((m)=> `Date: ${m.sentAt}\nTo: ${m.to}\nSubject: ${m.subject}\n\n${m.text}\n`).join(`\n${"-".repeat(40)}\n\n`);
+}
+
+// Announcements. `text` is a small markdown subset rendered straight to React
+// elements, so nothing user-written ever reaches the DOM as HTML. publishAt and
+// expiresAt are epoch ms; members only see an announcement between the two.
+const SAFE_LINK = /^(https?:|mailto:)/i;
+const RELATIVE_UNITS = [["year", 31536e6], ["month", 2592e6], ["week", 6048e5], ["day", 864e5], ["hour", 36e5], ["minute", 6e4]];
+
+function safeHref(url) {
+  const href = String(url || "").trim();
+  return SAFE_LINK.test(href) ? href : null;
+}
+
+function timeAgo(ms, now = Date.now()) {
+  const diff = ms - now;
+  const rtf = new Intl.RelativeTimeFormat(undefined, { numeric: "auto" });
+  for (const [unit, size] of RELATIVE_UNITS) {
+    if (Math.abs(diff) >= size) return rtf.format(Math.round(diff / size), unit);
+  }
+  return "just now";
+}
+
+// datetime-local inputs speak local wall time without a zone
+function toLocalInput(ms) {
+  if (!ms) return "";
+  const d = new Date(ms);
+  return new Date(ms - d.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+}
+
+function fromLocalInput(value) {
+  return value ? new Date(value).getTime() : null;
+}
+
+function announcementState(a, now = Date.now()) {
+  if (a.publishAt && a.publishAt > now) return "scheduled";
+  if (a.expiresAt && a.expiresAt <= now) return "expired";
+  return "live";
+}
+
+function sortAnnouncements(items) {
+  const shownAt = (a)=> a.publishAt || a.createdAt || 0;
+  return [...items].sort((a, b)=> (b.pinned ? 1 : 0) - (a.pinned ? 1 : 0) || shownAt(b) - shownAt(a));
+}
+
+function youtubeId(url) {
+  const m = /(?:youtube\.com\/(?:watch\?(?:.*&)?v=|embed\/|shorts\/)|youtu\.be\/)([\w-]{11})/.exec(url || "");
+  return m ? m[1] : null;
+}
+
+// **bold**, *italic* / _italic_, `code`, [label](url) and bare https:// links.
+// _italic_ must not start inside a word (snake_case stays as is). Older Safari has
+// no lookbehind, so the character before it is matched and put back.
+const INLINE_MARKDOWN = /(\*\*([^*]+)\*\*)|(`([^`]+)`)|(\[([^\]]+)\]\(([^)\s]+)\))|(\*([^*]+)\*|(^|[^\w])_([^_]+)_(?!\w))|(https?:\/\/[^\s<]+[^\s<.,;:!?)\]'"])/;
+
+function renderInline(text, key) {
+  const re = new RegExp(INLINE_MARKDOWN.source, "g");
+  const out = [];
+  let last = 0;
+  let m;
+  while ((m = re.exec(text))) {
+    if (m.index > last) out.push(text.slice(last, m.index));
+    const k = `${key}-${m.index}`;
+    if (m[1]) out.push(<strong key={k}>{renderInline(m[2], k)}</strong>);
+    else if (m[3]) out.push(<code key={k} className="px-1 rounded bg-slate-100">{m[4]}</code>);
+    else if (m[5]) {
+      const href = safeHref(m[7]);
+      out.push(href ? <a key={k} href={href} target="_blank" rel="noreferrer" className="underline">{m[6]}</a> : m[6]);
+    }
+    else if (m[8]) {
+      if (m[10]) out.push(m[10]);
+      out.push(<em key={k}>{renderInline(m[9] || m[11], k)}</em>);
+    }
+    else out.push(<a key={k} href={m[12]} target="_blank" rel="noreferrer" className="underline break-all">{m[12]}</a>);
+    last = re.lastIndex;
+  }
+  if (last < text.length) out.push(text.slice(last));
+  return out;
+}
+
+// Paragraphs, "- " lists and "# " headings on top of renderInline.
+function Markdown({ text }) {
+  const blocks = String(text || "").trim().split(/\n\s*\n/);
+  return (
+    <div className="space-y-2">
+      {blocks.map((block, b)=> {
+        const lines = block.split("\n");
+        if (lines.every((l)=> /^\s*[-*]\s+/.test(l))) {
+          return <ul key={b} className="list-disc pl-5">{lines.map((l, i)=> <li key={i}>{renderInline(l.replace(/^\s*[-*]\s+/, ""), `${b}-${i}`)}</li>)}</ul>;
+        }
+        const heading = lines.length === 1 && /^#{1,3}\s+(.*)$/.exec(block);
+        if (heading) return <p key={b} className="font-semibold">{renderInline(heading[1], `${b}`)}</p>;
+        return <p key={b}>{lines.map((l, i)=> <React.Fragment key={i}>{i > 0 && <br/>}{renderInline(l, `${b}-${i}`)}</React.Fragment>)}</p>;
+      })}
+    </div>
+  );
+}
+
+// Validation. A rule takes a value (and the whole form) and returns an error
+// message or "". validate(values, schema) runs each field's rules in order and
+// keeps the first message per field, so forms can show it under the input.
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@.]+(\.[^\s@.]+)+$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const PRICE_PATTERN = /^\d+(\.\d{1,2})?$/;
+const JOIN_ATTEMPTS_KEY = "lr_join_attempts";
+const JOIN_RATE_LIMIT = 3;
+const JOIN_RATE_WINDOW_MS = 1000 * 60 * 10;
+
+function isDate(value) {
+  if (!DATE_PATTERN.test(value)) return false;
+  const d = new Date(`${value}T00:00:00Z`);
+  return !isNaN(d) && d.toISOString().slice(0, 10) === value;
+}
+
+const RULES = {
+  required: (v)=> (Array.isArray(v) ? v.length : String(v ?? "").trim()) ? "" : "Required.",
+  email: (v)=> !v || EMAIL_PATTERN.test(String(v).trim()) ? "" : "Enter an email like name@example.com.",
+  phone: (v)=> {
+    if (!v) return "";
+    const digits = String(v).replace(/\D/g, "").length;
+    return /^\+?[\d\s().-]+$/.test(String(v).trim()) && digits >= 7 && digits <= 15 ? "" : "Enter a phone number with 7 to 15 digits.";
+  },
+  url: (v)=> !v || safeHref(v) ? "" : "Links must start with https://, http:// or mailto:.",
+  date: (v)=> !v || isDate(v) ? "" : "Enter a real date.",
+  price: (v)=> v === "" || v == null || PRICE_PATTERN.test(String(v).trim()) ? "" : "Enter a price like 29 or 29.99.",
+  count: (v)=> v === "" || v == null || /^\d+$/.test(String(v).trim()) ? "" : "Enter a whole number.",
+};
+
+const JOIN_SCHEMA = { name: ["required"], email: ["required", "email"] };
+const APPLICATION_SCHEMA = { name: ["required"], email: ["required", "email"], phone: ["phone"] };
+const CHECKOUT_SCHEMA = { email: ["required", "email"] };
+const MEMBER_SCHEMA = { name: ["required"], email: ["email"], yearsPlayed: ["count"] };
+const ANNOUNCEMENT_SCHEMA = {
+  text: ["required"],
+  image: ["url"],
+  link: ["url"],
+  expiresAt: [(v, f)=> v && f.publishAt && v <= f.publishAt ? "Must be after the publish time." : ""],
+};
+const EVENT_SCHEMA = {
+  title: ["required"],
+  date: ["required", "date"],
+  endTime: [(v, f)=> !v ? "" : !f.startTime ? "Set a start time first." : v <= f.startTime ? "Must be after the start time." : ""],
+  capacity: ["count"],
+  until: ["date", (v, f)=> v && f.date && v < f.date ? "Must be on or after the first date." : ""],
+  exdates: [(v)=> v.split(/[\s,]+/).filter(Boolean).every(isDate) ? "" : "Use YYYY-MM-DD dates separated by commas."],
+};
+const PRODUCT_SCHEMA = {
+  title: ["required"],
+  price: ["price"],
+  link: [(v, f)=> f.kind === "digital" ? RULES.url(v) : RULES.required(v) || RULES.url(v)],
+  downloadUrl: [(v, f)=> f.kind === "digital" && !v && !f.link ? "Add a payment link or a file to deliver." : RULES.url(v)],
+};
+const RESOURCE_SCHEMA = { title: ["required"], url: ["required", "url"] };
+const COUPON_SCHEMA = {
+  code: ["required"],
+  value: ["required", (v, f)=> Number(v) > 0 && (f.type !== "percent" || Number(v) <= 100) ? "" : f.type === "percent" ? "Enter 1 to 100." : "Must be more than 0."],
+  expiresAt: ["date"],
+};
+
+function validate(values, schema) {
+  const errors = {};
+  for (const [field, rules] of Object.entries(schema)) {
+    for (const rule of rules) {
+      const message = typeof rule === "function" ? rule(values[field], values) : RULES[rule](values[field]);
+      if (message) { errors[field] = message; break; }
+    }
+  }
+  return errors;
+}
+
+const hasErrors = (errors)=> Object.keys(errors).length > 0;
+
+// Signup timestamps are kept on this device only, which stops a stuck button or
+// a casual script. On a shared backend the server limits signups as well (see
+// createRestAdapter).
+function joinRateLimit(attempts, now = Date.now()) {
+  const recent = attempts.filter((ts)=> now - ts < JOIN_RATE_WINDOW_MS);
+  const blocked = recent.length >= JOIN_RATE_LIMIT;
+  return { recent, blocked, retryInMs: blocked ? JOIN_RATE_WINDOW_MS - (now - Math.min(...recent)) : 0 };
+}
+
+// Habits and challenges. Each member has at most one log per local day:
+// { id, memberId, day, habits: [habitId], challenges: [challengeId], habitIds }.
+// A daily challenge lives on its `date`; a weekly one on the Monday of its week.
+// habitIds is the habit list as it stood that day, and a day counts toward the
+// streak when every one of them was checked. Logs from before habitIds fall back
+// to the current habits.
+const CHALLENGE_POINTS = 5;
+const LEADERBOARD_SIZE = 10;
+
+function weekStart(day) {
+  const sinceMonday = (new Date(`${day}T00:00:00Z`).getUTCDay() + 6) % 7;
+  return addDays(day, -sinceMonday);
+}
+
+function activeChallenges(challenges, day) {
+  return challenges.filter((c)=> c.cadence === "weekly" ? c.date === weekStart(day) : c.date === day);
+}
+
+function logFor(logs, memberId, day) {
+  return logs.find((l)=> l.memberId === memberId && l.day === day);
+}
+
+function habitsOn(log, habits) {
+  return log.habitIds || habits.map((h)=> h.id);
+}
+
+function habitStreak(logs, memberId, habits, today) {
+  const perfect = new Set(logs.filter((l)=> {
+    const ids = habitsOn(l, habits);
+    return l.memberId === memberId && ids.length > 0 && ids.every((id)=> l.habits.includes(id));
+  }).map((l)=> l.day));
+  // today is still in progress, so an unfinished today does not break the streak
+  let day = perfect.has(today) ? today : addDays(today, -1);
+  let streak = 0;
+  while (perfect.has(day)) { streak++; day = addDays(day, -1); }
+  return streak;
+}
+
+function weeklySummary(logs, memberId, habits, challenges, today) {
+  const start = weekStart(today);
+  const days = Array.from({ length: 7 }, (_, i)=> {
+    const day = addDays(start, i);
+    const log = logFor(logs, memberId, day);
+    return { day, done: log ? log.habits.filter((id)=> habitsOn(log, habits).includes(id)).length : 0 };
+  });
+  const weekChallenges = challenges.filter((c)=> c.date >= start && c.date <= addDays(start, 6));
+  const doneChallenges = weekChallenges.filter((c)=> logs.some((l)=> l.memberId === memberId && l.challenges.includes(c.id)));
+  const habitsDone = days.reduce((sum, d)=> sum + d.done, 0);
+  return {
+    days,
+    habitsDone,
+    habitsPossible: habits.length * 7,
+    challengesDone: doneChallenges.length,
+    challengesTotal: weekChallenges.length,
+    points: habitsDone + doneChallenges.length * CHALLENGE_POINTS,
+  };
+}
+
+function habitLeaderboard(members, logs, habits, challenges, today) {
+  return members
+    .filter(isActiveMember)
+    .map((member)=> ({ member, streak: habitStreak(logs, member.id, habits, today), week: weeklySummary(logs, member.id, habits, challenges, today) }))
+    .filter((r)=> r.streak || r.week.points)
+    .sort((a, b)=> b.week.points - a.week.points || b.streak - a.streak)
+    .slice(0, LEADERBOARD_SIZE);
+}
+
+// Accountability squads. A member belongs to at most one squad. Goals are one
+// per member per week (keyed by the week's Monday) and get a check-in of
+// { status: "done" | "partial" | "missed", reflection, ts } at the end of it.
+const CHECK_IN_LABELS = { done: "Done", partial: "Partial", missed: "Missed" };
+
+function squadFor(squads, memberId) {
+  return squads.find((s)=> s.memberIds.includes(memberId));
+}
+
+// Two devices can each save a goal for the same week before they sync; the one
+// with a check-in wins so the member is not asked to check in again.
+function goalFor(goals, memberId, week) {
+  const found = goals.filter((g)=> g.memberId === memberId && g.week === week);
+  return found.find((g)=> g.checkIn) || found[0];
+}
+
+// Who in a squad has not set a goal or not checked in for `week`.
+function missingCheckIns(squads, members, goals, week) {
+  return squads.flatMap((squad)=> squad.memberIds
+    .map((id)=> members.find((m)=> m.id === id))
+    .filter((m)=> m && isActiveMember(m))
+    .map((member)=> {
+      const goal = goalFor(goals, member.id, week);
+      return { squad, member, reason: !goal ? "No goal set" : !goal.checkIn ? "No check-in" : null };
+    })
+    .filter((r)=> r.reason));
+}
+
+// Resources. Opens are counted in day rows of their own (see compactViews) rather
+// than on the resource, so an admin editing the library and members opening it
+// never write the same list. membersOnly only hides a resource until someone
+// joins: every visitor loads the whole lr_resources list, URLs included, so it is
+// no place for paid content.
+const RESOURCE_TYPES = { video: "Video", pdf: "PDF", article: "Article", booking: "Booking" };
+
+function vimeoId(url) {
+  const m = /vimeo\.com\/(?:video\/)?(\d+)/.exec(url || "");
+  return m ? m[1] : null;
+}
+
+function inferResourceType(url) {
+  if (youtubeId(url) || vimeoId(url)) return "video";
+  if (/\.pdf($|[?#])/i.test(url)) return "pdf";
+  if (/calendly\.com|cal\.com|acuityscheduling\.com/i.test(url)) return "booking";
+  return "article";
+}
+
+function resourceEmbedUrl(resource) {
+  const yt = youtubeId(resource.url);
+  if (yt) return `https://www.youtube-nocookie.com/embed/${yt}`;
+  const vimeo = vimeoId(resource.url);
+  if (vimeo) return `https://player.vimeo.com/video/${vimeo}`;
+  if ((resource.type || inferResourceType(resource.url)) === "pdf") return safeHref(resource.url);
+  return null;
+}
+
+// Analytics. Everything is derived from the stored lists; a range is
+// { from, to } as local YYYY-MM-DD days, both inclusive.
+const ANALYTICS_RANGES = { 7: "Last 7 days", 30: "Last 30 days", 90: "Last 90 days", 365: "Last 12 months", all: "All time", custom: "Custom" };
+const ANALYTICS_WEEKLY_AFTER_DAYS = 62;
+const FUNNEL_STAGES = ["new", "contacted", "accepted", "enrolled"];
+const PRODUCT_CLICK_LABELS = { apply: "Apply", cart: "Add to cart", link: "Booking link" };
+// Usage rows older than this are dropped as new ones are recorded.
+const USAGE_RETENTION_DAYS = 730;
+
+function localDay(ms) {
+  return new Date(ms).toLocaleDateString("en-CA");
+}
+
+function inRange(day, range) {
+  return day >= range.from && day <= range.to;
+}
+
+// Counts per day, or per week (starting Monday) once the range gets long.
+function timeSeries(days, range) {
+  const weekly = (Date.parse(range.to) - Date.parse(range.from)) / 864e5 > ANALYTICS_WEEKLY_AFTER_DAYS;
+  const bucket = (day)=> (weekly ? weekStart(day) : day);
+  const counts = new Map();
+  for (const day of days) if (inRange(day, range)) counts.set(bucket(day), (counts.get(bucket(day)) || 0) + 1);
+  const out = [];
+  for (let day = bucket(range.from); day <= range.to; day = addDays(day, weekly ? 7 : 1)) out.push({ period: day, count: counts.get(day) || 0 });
+  return { weekly, points: out };
+}
+
+// Stage counts are "reached at least": an enrolled application also counts as
+// contacted and accepted. Declined applications only count as applied.
+function applicationFunnel(applications, range) {
+  const byProgram = new Map();
+  for (const a of applications) {
+    if (!inRange(localDay(Date.parse(a.ts)), range)) continue;
+    const row = byProgram.get(a.program) || { program: a.program, applied: 0, contacted: 0, accepted: 0, enrolled: 0, declined: 0 };
+    const stage = FUNNEL_STAGES.indexOf(a.status);
+    row.applied += 1;
+    if (a.status === "declined") row.declined += 1;
+    if (stage >= 1) row.contacted += 1;
+    if (stage >= 2) row.accepted += 1;
+    if (stage >= 3) row.enrolled += 1;
+    byProgram.set(a.program, row);
+  }
+  return [...byProgram.values()].sort((a, b)=> b.applied - a.applied);
+}
+
+// Product clicks are one row per product, action and local day,
+// { id, productId, action, day, count }. Lists saved before that hold one
+// { productId, action, memberId, ts } per click; compactClicks folds them.
+function compactClicks(clicks) {
+  if (clicks.every((c)=> c.day)) return clicks;
+  const rows = new Map();
+  for (const c of clicks) {
+    const day = c.day || localDay(c.ts);
+    const key = `${c.productId}|${c.action}|${day}`;
+    const row = rows.get(key) || { id: c.id, productId: c.productId, action: c.action, day, count: 0 };
+    rows.set(key, { ...row, count: row.count + (c.day ? c.count : 1) });
+  }
+  return [...rows.values()];
+}
+
+function recordClick(clicks, productId, action, now = Date.now()) {
+  const day = localDay(now);
+  const oldest = addDays(day, -USAGE_RETENTION_DAYS);
+  const rows = compactClicks(clicks).filter((c)=> c.day > oldest);
+  const row = rows.find((c)=> c.productId === productId && c.action === action && c.day === day);
+  if (!row) return [{ id: newId(), productId, action, day, count: 1 }, ...rows];
+  return rows.map((c)=> c === row ? { ...c, count: c.count + 1 } : c);
+}
+
+function productStats(products, clicks, orders, range) {
+  return products.map((p)=> {
+    const mine = clicks.filter((c)=> c.productId === p.id && inRange(c.day, range));
+    const count = (action)=> mine.filter((c)=> !action || c.action === action).reduce((sum, c)=> sum + c.count, 0);
+    const paid = orders.filter((o)=> o.status === "paid" && inRange(localDay(o.paidAt || o.createdAt), range) && o.items.some((i)=> i.productId === p.id));
+    return { product: p.title, clicks: count(), apply: count("apply"), cart: count("cart"), link: count("link"), paidOrders: paid.length };
+  }).sort((a, b)=> b.clicks - a.clicks);
+}
+
+// Resource opens are one row per resource per local day,
+// { id, resourceId, day, opens, memberIds }, so the list grows with the library
+// and not with traffic. Lists saved before that hold one { resourceId, memberId, ts }
+// per open; compactViews folds them into day rows.
+function compactViews(views) {
+  if (views.every((v)=> v.day)) return views;
+  const rows = new Map();
+  for (const v of views) {
+    const day = v.day || localDay(v.ts);
+    const key = `${v.resourceId}|${day}`;
+    const row = rows.get(key) || { id: v.id, resourceId: v.resourceId, day, opens: 0, memberIds: [] };
+    const memberIds = v.day ? v.memberIds : [v.memberId].filter(Boolean);
+    rows.set(key, { ...row, opens: row.opens + (v.day ? v.opens : 1), memberIds: [...new Set([...row.memberIds, ...memberIds])] });
+  }
+  return [...rows.values()];
+}
+
+function recordView(views, resourceId, memberId, now = Date.now()) {
+  const day = localDay(now);
+  const oldest = addDays(day, -USAGE_RETENTION_DAYS);
+  const rows = compactViews(views).filter((v)=> v.day > oldest);
+  const row = rows.find((v)=> v.resourceId === resourceId && v.day === day);
+  if (!row) return [{ id: newId(), resourceId, day, opens: 1, memberIds: memberId ? [memberId] : [] }, ...rows];
+  const memberIds = memberId && !row.memberIds.includes(memberId) ? [...row.memberIds, memberId] : row.memberIds;
+  return rows.map((v)=> v === row ? { ...v, opens: v.opens + 1, memberIds } : v);
+}
+
+function resourceStats(resources, views, range) {
+  return resources.map((r)=> {
+    const mine = views.filter((v)=> v.resourceId === r.id && inRange(v.day, range));
+    return { resource: r.title, category: r.category || "", opens: mine.reduce((sum, v)=> sum + v.opens, 0), members: new Set(mine.flatMap((v)=> v.memberIds)).size };
+  }).sort((a, b)=> b.opens - a.opens);
+}
+
+// RSVPs are counted by the date of the session, not when the reply came in.
+function rsvpStats(events, rsvps, range) {
+  return events.map((e)=> {
+    const mine = rsvps.filter((r)=> r.eventId === e.id && inRange(r.day, range));
+    return { event: e.title, sessions: new Set(mine.map((r)=> r.day)).size, going: mine.filter((r)=> r.status === "going").length, maybe: mine.filter((r)=> r.status === "maybe").length, no: mine.filter((r)=> r.status === "no").length, checkedIn: mine.filter((r)=> r.checkedInAt).length };
+  }).filter((row)=> row.going + row.maybe + row.no + row.checkedIn > 0).sort((a, b)=> b.going - a.going);
+}
+
+// Admin change log. Entries keep enough of the record to put it back:
+// { id, ts, collection, action, itemId, label, before, after, index, cascade, revertedAt }
+// where cascade holds related records removed alongside a delete (RSVPs, views).
+// A "merge" (duplicate members folded together) is recorded but cannot be reverted.
+const AUDIT_LOG_LIMIT = 200;
+const AUDIT_COLLECTIONS = {
+  announcements: "Announcement",
+  events: "Event",
+  products: "Product",
+  resources: "Resource",
+  coupons: "Discount code",
+  habits: "Habit",
+  challenges: "Challenge",
+  squads: "Squad",
+  members: "Member",
+  memberContacts: "Member email",
+  applications: "Application",
+};
+const AUDIT_ACTIONS = { add: "added", edit: "edited", delete: "deleted", reorder: "moved", merge: "merged" };
+
+function auditLabel(item) {
+  return item ? item.title || item.name || item.label || item.code || item.email || (item.text || "").slice(0, 60) : "";
+}
+
+function changedFields(before = {}, after = {}) {
+  return [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .filter((k)=> k !== "updatedAt" && JSON.stringify(before[k]) !== JSON.stringify(after[k]));
+}
+
+// Undoes an edit entry on the record as it is now, touching only the fields that
+// edit changed. Returns { record } or, when the record is gone or one of those
+// fields has changed again since, { error }.
+function revertEdit(current, entry) {
+  if (!current) return { error: "It has been deleted since." };
+  const fields = changedFields(entry.before, entry.after);
+  const moved = fields.filter((f)=> JSON.stringify(current[f]) !== JSON.stringify(entry.after[f]));
+  if (moved.length) return { error: `Changed again since (${moved.join(", ")}). Edit it directly instead.` };
+  const record = { ...current };
+  for (const f of fields) {
+    if (entry.before[f] === undefined) delete record[f];
+    else record[f] = entry.before[f];
+  }
+  return { record };
+}
+
+function moveById(list, fromId, toId) {
+  const from = list.findIndex((i)=> i.id === fromId);
+  const to = list.findIndex((i)=> i.id === toId);
+  if (from < 0 || to < 0 || from === to) return list;
+  const next = [...list];
+  next.splice(to, 0, next.splice(from, 1)[0]);
+  return next;
+}
+
+// items added since the ids were captured keep their place at the top
+function orderByIds(list, ids) {
+  const rank = new Map(ids.map((id, i)=> [id, i]));
+  return [...list].sort((a, b)=> (rank.has(a.id) ? rank.get(a.id) : -1) - (rank.has(b.id) ? rank.get(b.id) : -1));
+}
+
+// Returns props for a draggable card; dropping one card on another calls onMove(fromId, toId).
+function useDragReorder(onMove) {
+  const dragging = useRef(null);
+  return (id)=> ({
+    draggable: true,
+    onDragStart: (e)=> { dragging.current = id; e.dataTransfer.effectAllowed = "move"; },
+    onDragOver: (e)=> e.preventDefault(),
+    onDrop: (e)=> {
+      e.preventDefault();
+      if (dragging.current !== null && dragging.current !== id) onMove(dragging.current, id);
+      dragging.current = null;
+    },
+    onDragEnd: ()=> { dragging.current = null; },
+  });
+}
+
+function slugify(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "event";
+}
+
+// Installable app. The files are deployed next to the app, like site.json; update the
+// manifest's name and colors when rebranding, since browsers read it before the app runs.
+const PWA = { manifest: "manifest.webmanifest", serviceWorker: "sw.js" };
+const OUTBOX_SYNC_TAG = "lr-outbox"; // must match sw.js
+const STORAGE_SYNC_TAG = "lr-storage"; // must match sw.js
+
+function registerServiceWorker(url) {
+  if (!("serviceWorker" in navigator) || !window.isSecureContext) return;
+  navigator.serviceWorker.register(url).catch((err)=> console.warn("Offline support is unavailable.", err));
+}
+
+// Background Sync (Chrome and Edge) wakes the page once the connection is back,
+// even when the tab is in the background; elsewhere the online event does the job.
+function requestBackgroundSync(tag) {
+  if (!("serviceWorker" in navigator)) return;
+  navigator.serviceWorker.ready.then((reg)=> reg.sync && reg.sync.register(tag)).catch(()=> {});
+}
+
+function setLink(rel, href) {
+  let tag = document.head.querySelector(`link[rel="${rel}"]`);
+  if (!tag) {
+    tag = document.createElement("link");
+    tag.setAttribute("rel", rel);
+    document.head.appendChild(tag);
+  }
+  tag.setAttribute("href", href);
+}
+
+function useOnline() {
+  const [online, setOnline] = useState(navigator.onLine);
+
+  useEffect(() => {
+    const update = ()=> setOnline(navigator.onLine);
+    window.addEventListener("online", update);
+    window.addEventListener("offline", update);
+    return () => {
+      window.removeEventListener("online", update);
+      window.removeEventListener("offline", update);
+    };
+  }, []);
+
+  return online;
+}
+
+// Outbox for the Google Sheets webhook. Signups and applications are queued in
+// localStorage first, then posted; failures are retried with exponential backoff
+// and whenever the browser comes back online. Each payload carries an
+// idempotencyKey so the Sheet script can ignore a row it has already seen.
+const OUTBOX_MAX_ATTEMPTS = 8;
+const OUTBOX_BASE_DELAY_MS = 1000 * 5;
+const OUTBOX_MAX_DELAY_MS = 1000 * 60 * 30;
+const OUTBOX_KEEP_SENT_MS = 1000 * 60 * 60 * 24 * 7;
+const LEGACY_WEBHOOK_KEY = "lr_webhook"; // before the URL moved into site config
+
+function newId() {
+  return crypto.randomUUID ? crypto.randomUUID() : `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+}
+
+async function postToWebhook(url, payload) {
+  // Send as application/x-www-form-urlencoded to avoid CORS preflight
+  const body = new URLSearchParams(payload).toString();
+  const res = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body,
+    mode: "cors",
+  });
+  if (!res.ok) throw new Error(`Sheet answered ${res.status}`);
+}
+
+function outboxDelay(attempts) {
+  return Math.min(OUTBOX_BASE_DELAY_MS * 2 ** (attempts - 1), OUTBOX_MAX_DELAY_MS);
+}
+
+function outboxItem(payload, id, now = Date.now()) {
+  return { id, payload: { ...payload, idempotencyKey: id }, status: "pending", attempts: 0, nextAttemptAt: 0, lastError: null, createdAt: now };
+}
+
+// Queuing the same id twice (a double click, a retried handler) keeps the first.
+function addToOutbox(list, item) {
+  return list.some((i)=> i.id === item.id) ? list : [item, ...list];
+}
+
+// "sending" here can only be left over from a reload mid-request
+function dueOutboxItems(items, now = Date.now()) {
+  return items.filter((i)=> (i.status === "pending" || i.status === "sending") && i.nextAttemptAt <= now);
+}
+
+// The patch for a failed post: back off, and give up after OUTBOX_MAX_ATTEMPTS.
+function outboxFailure(item, error, now = Date.now()) {
+  const attempts = item.attempts + 1;
+  return {
+    status: attempts >= OUTBOX_MAX_ATTEMPTS ? "failed" : "pending",
+    attempts,
+    nextAttemptAt: now + outboxDelay(attempts),
+    lastError: error,
+  };
+}
+
+function useOutbox(webhookUrl) {
+  const [items, setItems] = useLocalState("lr_outbox", []);
+  const itemsRef = useRef(items);
+  const running = useRef(false);
+  const [wake, setWake] = useState(0);
+
+  useEffect(() => { itemsRef.current = items; }, [items]);
+
+  function update(id, patch) {
+    setItems((list)=> list.map((i)=> i.id === id ? { ...i, ...patch } : i));
+  }
+
+  const process = useCallback(async () => {
+    if (running.current || !webhookUrl || !navigator.onLine) return;
+    running.current = true;
+    try {
+      for (const item of dueOutboxItems(itemsRef.current)) {
+        update(item.id, { status: "sending" });
+        try {
+          await postToWebhook(webhookUrl, item.payload);
+          update(item.id, { status: "sent", sentAt: Date.now(), lastError: null });
+        } catch (err) {
+          update(item.id, outboxFailure(item, navigator.onLine ? err.message : "Offline"));
+        }
+      }
+    } finally {
+      running.current = false;
+    }
+  }, [webhookUrl]);
+
+  useEffect(() => {
+    process();
+    const waiting = items.filter((i)=> i.status === "pending").map((i)=> i.nextAttemptAt);
+    if (!waiting.length) return;
+    const t = setTimeout(()=> setWake((n)=> n + 1), Math.max(1000, Math.min(...waiting) - Date.now()));
+    return () => clearTimeout(t);
+  }, [items, wake, process]);
+
+  useEffect(() => {
+    if (webhookUrl && items.some((i)=> i.status === "pending")) requestBackgroundSync(OUTBOX_SYNC_TAG);
+  }, [items, webhookUrl]);
+
+  useEffect(() => {
+    const retryNow = () => {
+      setItems((list)=> list.map((i)=> i.status === "pending" ? { ...i, nextAttemptAt: 0 } : i));
+    };
+    const onMessage = (e) => { if (e.data && e.data.type === "sync" && e.data.tag === OUTBOX_SYNC_TAG) retryNow(); };
+    window.addEventListener("online", retryNow);
+    if ("serviceWorker" in navigator) navigator.serviceWorker.addEventListener("message", onMessage);
+    return () => {
+      window.removeEventListener("online", retryNow);
+      if ("serviceWorker" in navigator) navigator.serviceWorker.removeEventListener("message", onMessage);
+    };
+  }, [setItems]);
+
+  useEffect(() => {
+    setItems((list)=> list.filter((i)=> i.status !== "sent" || Date.now() - i.sentAt < OUTBOX_KEEP_SENT_MS));
+  }, [setItems]);
+
+  function enqueue(payload, id = newId()) {
+    const item = outboxItem(payload, id);
+    setItems((list)=> addToOutbox(list, item));
+    return item;
+  }
+
+  return {
+    items,
+    enqueue,
+    resend: (id)=> update(id, { status: "pending", attempts: 0, nextAttemptAt: 0 }),
+    discard: (id)=> setItems((list)=> list.filter((i)=> i.id !== id)),
+  };
+}
+
+// Like useOutbox, but the queue is shared so admins can see what went out. A page
+// only sends what it queued itself (see NOTIFICATIONS); isAdmin lets it read and
+// trim the whole list, and resend from it.
+function useNotifications(transport, isAdmin) {
+  const [items, setItems, status] = useLocalState("lr_notifications", [], { readable: isAdmin });
+  const itemsRef = useRef(items);
+  const running = useRef(false);
+  const mine = useRef(new Set());
+  const [wake, setWake] = useState(0);
+
+  useEffect(() => { itemsRef.current = items; }, [items]);
+
+  function update(id, patch) {
+    setItems((list)=> list.map((i)=> i.id === id ? { ...i, ...patch } : i));
+  }
+
+  const process = useCallback(async () => {
+    if (running.current || !navigator.onLine) return;
+    running.current = true;
+    try {
+      const now = Date.now();
+      const due = itemsRef.current.filter((i)=> mine.current.has(i.id) && i.status === "pending" && i.nextAttemptAt <= now);
+      for (const item of due) {
+        update(item.id, { status: "sending", claimedAt: Date.now() });
+        try {
+          const res = await transport.send({ template: item.template, recordId: item.recordId, to: item.to, subject: item.subject, text: item.text, idempotencyKey: item.id });
+          update(item.id, { status: transport.delivers ? "sent" : "logged", sentAt: Date.now(), messageId: (res && res.id) || "", lastError: null });
+        } catch (err) {
+          const attempts = item.attempts + 1;
+          update(item.id, {
+            status: attempts >= OUTBOX_MAX_ATTEMPTS ? "failed" : "pending",
+            attempts,
+            nextAttemptAt: Date.now() + outboxDelay(attempts),
+            lastError: navigator.onLine ? err.message : "Offline",
+          });
+        }
+      }
+    } finally {
+      running.current = false;
+    }
+  }, [transport]);
+
+  useEffect(() => {
+    process();
+    const waiting = items.filter((i)=> i.status === "pending" && mine.current.has(i.id)).map((i)=> i.nextAttemptAt);
+    if (!waiting.length) return;
+    const t = setTimeout(()=> setWake((n)=> n + 1), Math.max(1000, Math.min(...waiting) - Date.now()));
+    return () => clearTimeout(t);
+  }, [items, wake, process]);
+
+  useEffect(() => {
+    const onOnline = () => setWake((n)=> n + 1);
+    window.addEventListener("online", onOnline);
+    return () => window.removeEventListener("online", onOnline);
+  }, []);
+
+  // trimming rewrites the shared list, so only admins do it
+  useEffect(() => {
+    if (!isAdmin) return;
+    setItems((list)=> {
+      const kept = list.filter((i)=> !["sent", "logged", "cancelled"].includes(i.status) || Date.now() - (i.sentAt || i.createdAt) < OUTBOX_KEEP_SENT_MS);
+      return kept.length === list.length ? list : kept;
+    });
+  }, [isAdmin, setItems]);
+
+  // A waiting item with the same id gets what this page rendered, so a planted
+  // copy is never what goes out.
+  function enqueue(message, id = newId()) {
+    mine.current.add(id);
+    setItems((list)=> !list.some((i)=> i.id === id)
+      ? [{ id, ...message, status: "pending", attempts: 0, nextAttemptAt: 0, lastError: null, createdAt: Date.now() }, ...list]
+      : list.map((i)=> i.id === id && i.status === "pending" ? { ...i, ...message } : i));
+  }
+
+  return {
+    items,
+    status,
+    enqueue,
+    // an admin's explicit choice; smtp only takes the template and record from it
+    resend: (id)=> {
+      mine.current.add(id);
+      update(id, { status: "pending", attempts: 0, nextAttemptAt: 0 });
+    },
+    // kept rather than removed so a reminder is not queued again on the next scan
+    cancel: (id)=> update(id, { status: "cancelled", sentAt: Date.now() }),
+  };
+}
+
+// Single source of truth for admin access. Every admin-only handler goes through
+// guard(), which re-checks the session at call time and extends it on use.
+function useAdminAuth() {
+  const [lock, setLock] = useLocalState("lr_admin_lock", { failures: 0, until: 0 });
+  const [expiresAt, setExpiresAt] = useState(0);
+  const expiresRef = useRef(0);
+  const server = STORAGE.adapter === "rest" && STORAGE.baseUrl ? STORAGE.baseUrl.replace(/\/$/, "") : "";
+  const mode = server ? "server" : ADMIN_AUTH ? "local" : null;
+
+  useEffect(() => {
+    if (!expiresAt) { adminToken = null; return; }
+    const t = setInterval(() => {
+      if (Date.now() >= expiresRef.current) setExpiresAt(0);
+    }, 1000 * 15);
+    return () => clearInterval(t);
+  }, [expiresAt]);
+
+  const isActive = useCallback(() => expiresRef.current > Date.now(), []);
+
+  const touch = useCallback(() => {
+    const next = Date.now() + ADMIN_SESSION_MS;
+    expiresRef.current = next;
+    setExpiresAt(next);
+  }, []);
+
+  function lockedFor() {
+    return Math.max(0, lock.until - Date.now());
+  }
+
+  async function verify(pin) {
+    const hash = await hashPin(pin, ADMIN_AUTH.salt, ADMIN_AUTH.iterations);
+    const ok = hash === ADMIN_AUTH.hash;
+    if (ok) {
+      setLock({ failures: 0, until: 0 });
+    } else {
+      const failures = lock.failures + 1;
+      setLock(failures >= ADMIN_MAX_ATTEMPTS ? { failures: 0, until: Date.now() + ADMIN_LOCKOUT_MS } : { failures, until: 0 });
+    }
+    return ok;
+  }
+
+  async function post(path, body, token) {
+    const res = await fetch(`${server}${path}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+      body: JSON.stringify(body),
+    });
+    return { status: res.status, ok: res.ok, body: await res.json().catch(()=> ({})) };
+  }
+
+  async function serverLogin(pin) {
+    try {
+      const res = await post("/auth/login", { pin });
+      if (res.ok && res.body.token) {
+        adminToken = res.body.token;
+        touch();
+        return { ok: true };
+      }
+      if (res.status === 429) return { ok: false, error: `Too many wrong attempts. Try again in ${Math.ceil((res.body.retryAfter || 60) / 60)} min.` };
+      if (res.status === 401) {
+        const left = res.body.attemptsLeft;
+        return { ok: false, error: typeof left === "number" ? `Wrong passphrase. ${left} attempt${left === 1 ? "" : "s"} left.` : "Wrong passphrase." };
+      }
+      return { ok: false, error: `Sign-in failed (${res.status}).` };
+    } catch (err) {
+      console.error(err);
+      return { ok: false, error: "Could not reach the server." };
+    }
+  }
+
+  async function login(pin) {
+    if (!mode) return { ok: false, error: "Admin is not set up for this site." };
+    if (mode === "server") return serverLogin(pin);
+    const wait = lockedFor();
+    if (wait) return { ok: false, error: `Too many wrong attempts. Try again in ${Math.ceil(wait / 60000)} min.` };
+    if (!(await verify(pin))) {
+      const left = ADMIN_MAX_ATTEMPTS - lock.failures - 1;
+      return { ok: false, error: left > 0 ? `Wrong passphrase. ${left} attempt${left === 1 ? "" : "s"} left.` : "Wrong passphrase. Admin is locked for a while." };
+    }
+    if (STORAGE.adapter === "mock") adminToken = MOCK_ADMIN_TOKEN;
+    touch();
+    return { ok: true };
+  }
+
+  function logout() {
+    expiresRef.current = 0;
+    adminToken = null;
+    setExpiresAt(0);
+  }
+
+  // Only a server-checked passphrase can change from the app; ADMIN_AUTH changes
+  // with a redeploy.
+  async function changePin(current, next) {
+    if (!isActive()) return { ok: false, error: "Unlock admin first." };
+    if (mode !== "server") return { ok: false, error: "Make a new credential below and redeploy." };
+    if (next.length < ADMIN_PIN_MIN_LENGTH) return { ok: false, error: `Use at least ${ADMIN_PIN_MIN_LENGTH} characters.` };
+    try {
+      const res = await post("/auth/pin", { current, next }, adminToken);
+      if (res.status === 401) return { ok: false, error: "Current passphrase is wrong." };
+      if (!res.ok) return { ok: false, error: `Could not change it (${res.status}).` };
+    } catch (err) {
+      console.error(err);
+      return { ok: false, error: "Could not reach the server." };
+    }
+    touch();
+    return { ok: true };
+  }
+
+  function guard(fn) {
+    return (...args) => {
+      if (!isActive()) { setExpiresAt(0); return; }
+      touch();
+      return fn(...args);
+    };
+  }
+
+  return { isAdmin: expiresAt > Date.now(), mode, login, logout, changePin, guard };
+}
+
+export default function App() {
+  const [file, setFile] = useState(undefined); // site.json, null when there is none
+  const [overrides, setOverrides, overridesStatus] = useLocalState("lr_site", null);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadSiteFile(SITE_CONFIG_URL).then((config)=> { if (!cancelled) setFile(config); });
+    return () => { cancelled = true; };
+  }, []);
+
+  const site = useMemo(()=> mergeSite(DEFAULT_SITE, file, overrides), [file, overrides]);
+
+  useEffect(() => {
+    setLink("manifest", PWA.manifest);
+    registerServiceWorker(PWA.serviceWorker);
+  }, []);
+
+  useEffect(() => { setMeta("name", "theme-color", site.colors.primary); }, [site.colors.primary]);
+
+  // seeds and branding must be settled before the lists mount
+  if (file === undefined || overridesStatus.loading) return <div className="min-h-screen" />;
+  return <CommunityApp site={site} onSaveSite={setOverrides} />;
+}
+
+function CommunityApp({ site, onSaveSite }) {
+  const admin = useAdminAuth();
+  const isAdmin = admin.isAdmin;
+
+  const [members, setMembers, membersStatus] = useLocalState("lr_members", []);
+  const [contacts, setContacts, contactsStatus] = useLocalState("lr_member_contacts", [], { readable: isAdmin });
+  const [announcements, setAnnouncements, announcementsStatus] = useLocalState("lr_announcements", site.seeds.announcements);
+  const [events, setEvents, eventsStatus] = useLocalState("lr_events", site.seeds.events);
+  const [resources, setResources, resourcesStatus] = useLocalState("lr_resources", site.seeds.resources);
+  const [products, setProducts, productsStatus] = useLocalState("lr_products", site.seeds.products);
+  const [productFiles, setProductFiles, productFilesStatus] = useLocalState("lr_product_files", [], { readable: isAdmin }); // [{ id: product id, url }]
+  const [rsvps, setRsvps, rsvpsStatus] = useLocalState("lr_rsvps", []);
+  const [applications, setApplications, applicationsStatus] = useLocalState("lr_applications", [], { readable: isAdmin });
+  const [orders, setOrders, ordersStatus] = useLocalState("lr_orders", [], { readable: isAdmin });
+  const [coupons, setCoupons, couponsStatus] = useLocalState("lr_coupons", [], { readable: isAdmin });
+  const [habits, setHabits, habitsStatus] = useLocalState("lr_habits", site.seeds.habits);
+  const [challenges, setChallenges, challengesStatus] = useLocalState("lr_challenges", []);
+  const [habitLogs, setHabitLogs, habitLogsStatus] = useLocalState("lr_habit_logs", []);
+  const [squads, setSquads, squadsStatus] = useLocalState("lr_squads", []);
+  const [goals, setGoals, goalsStatus] = useLocalState("lr_goals", []);
+  const [resourceViews, setResourceViews, resourceViewsStatus] = useLocalState("lr_resource_views", []);
+  const [audit, setAudit, auditStatus] = useLocalState("lr_audit", [], { readable: isAdmin });
+  const [productClicks, setProductClicks, productClicksStatus] = useLocalState("lr_product_clicks", []);
+  const [templates, setTemplates, templatesStatus] = useLocalState("lr_templates", DEFAULT_TEMPLATES);
+  const [cart, setCart] = useLocalState("lr_cart", []); // [{ productId }]
+  const [purchases, setPurchases] = useLocalState("lr_purchases", []); // this device's orders
+  const [showCart, setShowCart] = useState(false);
+  const store = useRef(null);
+  store.current = { coupons, files: productFiles };
+  const paymentProvider = useMemo(()=> createPaymentProvider(PAYMENTS, ()=> store.current), []);
+  const [meId, setMeId] = useLocalState("lr_me", null); // member id of whoever joined on this device
+  const webhookUrl = site.webhookUrl;
+
+  const outbox = useOutbox(webhookUrl);
+  const online = useOnline();
+
+  const route = useRoute();
+  const tabAvailable = (tab)=> tab === "announcements" || tab === "settings" || (tab === "applications" ? isAdmin : site.tabs[tab] !== false);
+  const tab = route.tab && tabAvailable(route.tab) ? route.tab : site.defaultTab;
+  const selectedId = route.tab === tab ? route.id : null;
+  // ?apply= only opens the form for products that take applications
+  const applyingTo = route.apply != null ? products.find((p)=> String(p.id) === route.apply && acceptsApplications(p)) : null;
+  usePageMeta(pageMeta({ tab: route.tab && tab, id: selectedId }, site, { events, products, resources }));
+  const notificationTransport = useMemo(()=> createNotificationTransport({ ...NOTIFICATIONS, token: ()=> adminToken }), []);
+  const notifications = useNotifications(notificationTransport, isAdmin);
+
+  // recordId is the signup, application or RSVP the message is about
+  function notify(templateId, recordId, to, vars, id) {
+    const template = templateFor(templates, templateId);
+    if (!template.enabled || !to) return;
+    // the server sends these when it stores the record
+    if (notificationTransport.delivers && SERVER_SENT_TEMPLATES.includes(templateId)) return;
+    const all = { site: site.name, ...vars };
+    notifications.enqueue({ template: templateId, recordId, to, subject: renderTemplate(template.subject, all), text: renderTemplate(template.body, all) }, id);
+  }
+
+  const directory = useMemo(()=> withContacts(members, contacts), [members, contacts]);
+  const syncStatuses = [membersStatus, contactsStatus, announcementsStatus, eventsStatus, resourcesStatus, productsStatus, rsvpsStatus, applicationsStatus, ordersStatus, couponsStatus, productFilesStatus, habitsStatus, challengesStatus, habitLogsStatus, squadsStatus, goalsStatus, resourceViewsStatus, auditStatus, templatesStatus, notifications.status, productClicksStatus];
+  const viewRows = useMemo(()=> compactViews(resourceViews), [resourceViews]);
+  const clickRows = useMemo(()=> compactClicks(productClicks), [productClicks]);
+
+  // The webhook URL used to be kept per device: an admin on a device that still
+  // has one makes it the site's.
+  useEffect(() => {
+    if (!isAdmin || site.webhookUrl) return;
+    const legacy = readLocal(LEGACY_WEBHOOK_KEY);
+    if (typeof legacy !== "string" || !legacy) return;
+    onSaveSite({ ...site, webhookUrl: legacy });
+    localStorage.removeItem(LEGACY_WEBHOOK_KEY);
+  }, [isAdmin, site]);
+
+  // Products saved before files moved to their own list: the first admin to load
+  // both moves them over.
+  useEffect(() => {
+    if (!isAdmin || productsStatus.loading || productFilesStatus.loading) return;
+    const legacy = products.filter((p)=> p.downloadUrl);
+    if (!legacy.length) return;
+    setProductFiles((list)=> [...legacy.filter((p)=> !list.some((f)=> f.id === p.id)).map((p)=> ({ id: p.id, url: p.downloadUrl })), ...list]);
+    setProducts((list)=> list.map((p)=> omitFields(p, ["downloadUrl"])));
+  }, [isAdmin, products, productsStatus.loading, productFilesStatus.loading]);
+
+  // Lists saved before emails moved to contacts: the first admin to load both
+  // moves them over.
+  useEffect(() => {
+    if (!isAdmin || membersStatus.loading || contactsStatus.loading) return;
+    const legacy = members.filter((m)=> m.email);
+    if (!legacy.length) return;
+    setContacts((list)=> [...legacy.filter((m)=> !list.some((c)=> c.id === m.id)).map((m)=> ({ id: m.id, email: m.email })), ...list]);
+    setMembers((list)=> list.map(publicProfile));
+  }, [isAdmin, members, membersStatus.loading, contactsStatus.loading]);
+
+  function handleSaveTemplate(id, patch) {
+    setTemplates((list)=> list.some((t)=> t.id === id) ? list.map((t)=> t.id === id ? { ...t, ...patch } : t) : [...list, { id, ...patch }]);
+  }
+
+  // Reminders can only go out while someone has the app open, so admins scan for
+  // confirmed RSVPs on events starting within the next day (see NOTIFICATIONS).
+  useEffect(() => {
+    if (!isAdmin) return;
+    const scan = ()=> dueReminders(events, rsvps, directory).forEach((r)=> notify("eventReminder", r.recordId, r.to, r.vars, r.id));
+    scan();
+    const t = setInterval(scan, REMINDER_SCAN_MS);
+    return () => clearInterval(t);
+  }, [isAdmin, events, rsvps, directory, templates]);
+
+  // On a shared backend the email is sent first, so the server's signup limit
+  // can turn the join away; a failed connection leaves it queued instead.
+  // Returns { ok } or { ok: false, error }.
+  async function handleJoin(member) {
+    const id = Date.now();
+    const contact = { id, email: member.email };
+    const adapter = storageAdapterFor("lr_member_contacts");
+    let sent = false;
+    if (adapter.remote) {
+      try {
+        await adapter.append("lr_member_contacts", contact);
+        sent = true;
+      } catch (err) {
+        if (err instanceof StorageRateLimitError) return { ok: false, error: `Too many signups right now. Try again in ${Math.ceil(err.retryAfter / 60)} minutes.` };
+        console.error(err);
+      }
+    }
+    setMembers((m) => [{ id, ...publicProfile(member) }, ...m]);
+    // a visitor's copy of the list only holds what is still to be sent
+    if (!sent || isAdmin) setContacts((list)=> [contact, ...list]);
+    setMeId(id);
+    if (webhookUrl) outbox.enqueue(member, `signup-${id}`);
+    notify("welcome", id, member.email, { name: member.name, email: member.email });
+    return { ok: true };
+  }
+
+  function handleUpdateMember(id, patch) {
+    setMembers((list)=> list.map((m)=> m.id === id ? { ...m, ...patch } : m));
+  }
+
+  // admin edits go through the change log; the email lives in contacts
+  function handleAdminEditMember(id, patch) {
+    memberActions.update(id, publicProfile(patch));
+    if (!("email" in patch)) return;
+    if (contacts.some((c)=> c.id === id)) contactActions.update(id, { email: patch.email });
+    else if (patch.email) contactActions.add({ id, email: patch.email });
+  }
+
+  // Members may edit their own profile; everything else is admin only.
+  function handleEditMember(id, patch) {
+    if (id === meId && !isAdmin) {
+      const { tags, active, email, ...own } = patch;
+      handleUpdateMember(id, own);
+      return;
+    }
+    handleAdminEditMember(id, patch);
+  }
+
+  function handleDedupe() {
+    const { members: list, remap } = dedupeMembers(directory);
+    if (!remap.size) return;
+    for (const keepId of new Set(remap.values())) {
+      const group = directory.filter((m)=> m.id === keepId || remap.get(m.id) === keepId);
+      logChange("members", "merge", { itemId: keepId, label: auditLabel(group[0]), before: group, after: list.find((m)=> m.id === keepId) });
+    }
+    setMembers(list.map(publicProfile));
+    setContacts((all)=> all.filter((c)=> !remap.has(c.id)));
+    for (const name of MEMBER_REF_COLLECTIONS) collectionSetters[name]((all)=> remapMemberRefs(all, remap));
+    if (remap.has(meId)) setMeId(remap.get(meId));
+  }
+
+  // kind is "habits" or "challenges"; checks land on today's log
+  function handleToggleHabit(kind, itemId) {
+    if (!meId) return;
+    const day = localToday();
+    setHabitLogs((list)=> {
+      const done = list.some((l)=> l.memberId === meId && (kind === "habits" ? l.day === day : true) && l[kind].includes(itemId));
+      if (done) {
+        // a weekly challenge may have been checked on another day of the week
+        return list.map((l)=> l.memberId === meId && (kind === "habits" ? l.day === day : true) ? { ...l, [kind]: l[kind].filter((id)=> id !== itemId), ...(l.day === day ? { habitIds: habits.map((h)=> h.id) } : {}) } : l);
+      }
+      const log = logFor(list, meId, day);
+      const habitIds = habits.map((h)=> h.id);
+      if (!log) return [{ id: Date.now(), memberId: meId, day, habits: [], challenges: [], habitIds, [kind]: [itemId] }, ...list];
+      return list.map((l)=> l === log ? { ...l, habitIds, [kind]: [...l[kind], itemId] } : l);
+    });
+  }
+
+  function handleSetGoal(text) {
+    if (!meId) return;
+    const week = weekStart(localToday());
+    setGoals((list)=> {
+      const existing = goalFor(list, meId, week);
+      if (existing) return list.map((g)=> g === existing ? { ...g, goal: text } : g);
+      return [{ id: Date.now(), memberId: meId, week, goal: text, checkIn: null, createdAt: Date.now() }, ...list];
+    });
+  }
+
+  // week is this week or, for a late check-in, last week
+  function handleGoalCheckIn(week, status, reflection) {
+    if (!meId) return;
+    setGoals((list)=> list.map((g)=> g.memberId === meId && g.week === week ? { ...g, checkIn: { status, reflection, ts: Date.now() } } : g));
+  }
+
+  // assigning moves members out of any other squad
+  function handleAssignSquad(squadId, memberIds) {
+    for (const s of squads) squadActions.update(s.id, { memberIds: s.id === squadId ? memberIds : s.memberIds.filter((id)=> !memberIds.includes(id)) });
+  }
+
+  function handleRsvp(eventId, day, status) {
+    if (!meId) return;
+    setRsvps((list)=> {
+      const existing = list.find((r)=> r.eventId === eventId && r.day === day && r.memberId === meId);
+      if (!existing) return [{ id: Date.now(), eventId, day, memberId: meId, status, respondedAt: Date.now(), checkedInAt: null }, ...list];
+      // switching back to "going" puts you at the end of the line again
+      const respondedAt = status === "going" && existing.status !== "going" ? Date.now() : existing.respondedAt;
+      return list.map((r)=> r === existing ? { ...r, status, respondedAt } : r);
+    });
+  }
+
+  function handleCheckIn(eventId, day, memberId, checked) {
+    setRsvps((list)=> {
+      const existing = list.find((r)=> r.eventId === eventId && r.day === day && r.memberId === memberId);
+      const checkedInAt = checked ? Date.now() : null;
+      if (!existing) return [{ id: Date.now(), eventId, day, memberId, status: "going", respondedAt: Date.now(), checkedInAt }, ...list];
+      return list.map((r)=> r === existing ? { ...r, checkedInAt } : r);
+    });
+  }
+
+  function handleApply(application, answers) {
+    // visitors cannot read contacts, so only an admin's copy can match by email
+    const member = directory.find((m)=> normalizeEmail(m.email) === normalizeEmail(application.email)) || members.find((m)=> m.id === meId);
+    const id = Date.now();
+    setApplications((list)=> [{
+      id,
+      productId: applyingTo?.id ?? null,
+      program: application.program,
+      name: application.name,
+      email: application.email,
+      phone: application.phone,
+      goals: application.goals,
+      answers,
+      status: "new",
+      notes: [],
+      memberId: member ? member.id : null,
+      ts: application.ts,
+    }, ...list]);
+    if (webhookUrl) outbox.enqueue(application, `application-${id}`);
+    notify("applicationReceived", id, application.email, { name: application.name, program: application.program });
+  }
+
+
+  function handleProductClick(productId, action) {
+    setProductClicks((list)=> recordClick(list, productId, action));
+  }
+
+  function handleAddToCart(product) {
+    setCart((list)=> list.some((c)=> c.productId === product.id) ? list : [...list, { productId: product.id }]);
+    setShowCart(true);
+  }
+
+  function updateOrder(id, patch) {
+    setOrders((list)=> list.map((o)=> o.id === id ? { ...o, ...patch } : o));
+  }
+
+  // Orders stay on this device while pending; once settled they also go to the
+  // shop's list, which visitors can add to but not read.
+  function finishOrder(order, result) {
+    const settled = result.status === "paid"
+      ? { ...order, status: "paid", paidAt: Date.now(), paymentId: result.paymentId || order.paymentId, error: "" }
+      : { ...order, status: result.status === "cancelled" ? "cancelled" : "failed", error: result.status === "cancelled" ? "" : result.error || "Payment failed." };
+    setPurchases((list)=> [settled, ...list.filter((o)=> o.id !== order.id)]);
+    setOrders((list)=> [settled, ...list.filter((o)=> o.id !== order.id)]);
+  }
+
+  async function handleCheckout(buyer, quote) {
+    if (!paymentProvider) return { ok: false, error: "Checkout not configured." };
+    const order = buildOrder(cart, products, quote, buyer);
+    if (!order.items.length) return { ok: false, error: "Your cart is empty." };
+    setPurchases((list)=> [order, ...list]);
+    try {
+      const result = await paymentProvider.createCheckout(order);
+      if (result.status === "redirect") {
+        // the page unloads before storage effects run, so keep a copy to finish on return
+        writeLocal(PENDING_CHECKOUT_KEY, { ...order, paymentId: result.paymentId || "" });
+        window.location.assign(result.redirectUrl);
+        return { ok: true, redirecting: true };
+      }
+      finishOrder(order, result);
+      if (result.status !== "paid") return { ok: false, error: result.error || "Payment failed." };
+      setCart([]);
+      return { ok: true, orderId: order.id };
+    } catch (err) {
+      console.error(err);
+      finishOrder(order, { status: "failed", error: err.message });
+      return { ok: false, error: "Payment could not be started. Please try again." };
+    }
+  }
+
+  // Back from a redirecting provider: ?order=<id>&checkout=success|cancel&session_id=...
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.search);
+    const outcome = params.get("checkout");
+    const pending = readLocal(PENDING_CHECKOUT_KEY);
+    if (!outcome || !pending || String(pending.id) !== params.get("order")) return;
+    localStorage.removeItem(PENDING_CHECKOUT_KEY);
+    window.history.replaceState(null, "", window.location.pathname + window.location.hash);
+    if (outcome === "cancel" || !paymentProvider) { finishOrder(pending, { status: "cancelled" }); return; }
+    setPurchases((list)=> list.some((o)=> o.id === pending.id) ? list : [pending, ...list]);
+    paymentProvider.confirm(pending, { sessionId: params.get("session_id") }).then((result)=> {
+      finishOrder(pending, result);
+      if (result.status === "paid") setCart([]);
+    }, (err)=> finishOrder(pending, { status: "failed", error: err.message }));
+  }, []);
+
+  const collections = { members, memberContacts: contacts, announcements, events, resources, products, productFiles, rsvps, applications, orders, coupons, habits, challenges, habitLogs, squads, goals, resourceViews: viewRows, templates, productClicks: clickRows };
+  const collectionSetters = { members: setMembers, memberContacts: setContacts, announcements: setAnnouncements, events: setEvents, resources: setResources, products: setProducts, productFiles: setProductFiles, rsvps: setRsvps, applications: setApplications, orders: setOrders, coupons: setCoupons, habits: setHabits, challenges: setChallenges, habitLogs: setHabitLogs, squads: setSquads, goals: setGoals, resourceViews: setResourceViews, templates: setTemplates, productClicks: setProductClicks };
+
+  function exportAll() {
+    const backup = makeBackup({ ...collections, webhookUrl });
+    downloadFile(`locker-room-export-${new Date().toISOString().slice(0,10)}.json`, JSON.stringify(backup, null, 2), "application/json");
+  }
+
+  function importAll(data, mode) {
+    for (const name of BACKUP_COLLECTIONS) {
+      if (!data[name]) continue;
+      collectionSetters[name]((list)=> mode === "replace" ? data[name] : mergeImport(list, data[name]));
+    }
+    if (typeof data.webhookUrl === "string" && (mode === "replace" || data.webhookUrl)) onSaveSite({ ...site, webhookUrl: data.webhookUrl });
+  }
+
+  function logChange(collection, action, entry) {
+    setAudit((list)=> [{ id: newId(), ts: Date.now(), collection, action, ...entry }, ...list].slice(0, AUDIT_LOG_LIMIT));
+  }
+
+  // Add, edit, delete and reorder for an admin-managed list, each recorded in the
+  // change log. cascade maps related collections to the records a delete should
+  // take with it, e.g. { rsvps: (r)=> r.eventId === id }. Lists shown in the order
+  // they were made pass { addToEnd: true }.
+  function listActions(name, { addToEnd = false } = {}) {
+    const list = collections[name];
+    const set = collectionSetters[name];
+    return {
+      add: admin.guard((item)=> {
+        const record = { id: Date.now(), ...item };
+        set((l)=> addToEnd ? [...l, record] : [record, ...l]);
+        logChange(name, "add", { itemId: record.id, label: auditLabel(record), after: record });
+        return record.id;
+      }),
+      update: admin.guard((id, patch)=> {
+        const before = list.find((i)=> i.id === id);
+        if (!before || !changedFields(before, { ...before, ...patch }).length) return;
+        set((l)=> l.map((i)=> i.id === id ? { ...i, ...patch } : i));
+        logChange(name, "edit", { itemId: id, label: auditLabel({ ...before, ...patch }), before, after: { ...before, ...patch } });
+      }),
+      remove: admin.guard((id, cascade = {})=> {
+        const before = list.find((i)=> i.id === id);
+        if (!before) return;
+        const removed = {};
+        for (const [other, match] of Object.entries(cascade)) {
+          removed[other] = collections[other].filter(match);
+          collectionSetters[other]((l)=> l.filter((i)=> !match(i)));
+        }
+        set((l)=> l.filter((i)=> i.id !== id));
+        logChange(name, "delete", { itemId: id, label: auditLabel(before), before, index: list.indexOf(before), cascade: removed });
+      }),
+      move: admin.guard((fromId, toId)=> {
+        const next = moveById(list, fromId, toId);
+        if (next === list) return;
+        set((l)=> moveById(l, fromId, toId));
+        logChange(name, "reorder", { itemId: fromId, label: auditLabel(list.find((i)=> i.id === fromId)), before: list.map((i)=> i.id), after: next.map((i)=> i.id) });
+      }),
+    };
+  }
+
+  const announcementActions = listActions("announcements");
+  const eventActions = listActions("events");
+  const productActions = listActions("products");
+  const resourceActions = listActions("resources");
+  const couponActions = listActions("coupons");
+  const habitActions = listActions("habits", { addToEnd: true });
+  const challengeActions = listActions("challenges");
+  const squadActions = listActions("squads", { addToEnd: true });
+  const memberActions = listActions("members");
+  const contactActions = listActions("memberContacts");
+  const applicationActions = listActions("applications");
+
+  // The editor hands back downloadUrl with the product; it is kept in productFiles.
+  function saveProductFile(id, url) {
+    setProductFiles((list)=> url ? [{ id, url }, ...list.filter((f)=> f.id !== id)] : list.filter((f)=> f.id !== id));
+  }
+
+  function handleAddProduct({ downloadUrl, ...product }) {
+    saveProductFile(productActions.add(product), downloadUrl);
+  }
+
+  function handleUpdateProduct(id, { downloadUrl, ...patch }) {
+    productActions.update(id, patch);
+    saveProductFile(id, downloadUrl);
+  }
+
+  // Returns { ok } or { ok: false, error } when an edit cannot be put back.
+  function revertChange(entry) {
+    const set = collectionSetters[entry.collection];
+    if (entry.action === "edit") {
+      const { record, error } = revertEdit(collections[entry.collection].find((i)=> i.id === entry.itemId), entry);
+      if (error) return { ok: false, error };
+      set((l)=> l.map((i)=> i.id === entry.itemId ? record : i));
+    }
+    if (entry.action === "add") set((l)=> l.filter((i)=> i.id !== entry.itemId));
+    if (entry.action === "reorder") set((l)=> orderByIds(l, entry.before));
+    if (entry.action === "delete") {
+      set((l)=> l.some((i)=> i.id === entry.itemId) ? l : [...l.slice(0, entry.index), entry.before, ...l.slice(entry.index)]);
+      for (const [other, items] of Object.entries(entry.cascade || {})) {
+        collectionSetters[other]((l)=> [...items.filter((x)=> !l.some((i)=> i.id === x.id)), ...l]);
+      }
+    }
+    setAudit((list)=> list.map((e)=> e.id === entry.id ? { ...e, revertedAt: Date.now() } : e));
+    return { ok: true };
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-b from-white to-slate-50 text-slate-900" style={siteTheme(site)}>
+      <header className="sticky top-0 z-10 backdrop-blur bg-white/70 border-b">
+        <div className="max-w-5xl mx-auto px-4 py-3 flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            {safeImageSrc(site.logo) && <img src={safeImageSrc(site.logo)} alt="" className="h-8 w-auto" />}
+            {site.brand && <Badge className="text-sm">{site.brand}</Badge>}
+            <h1 className="text-xl md:text-2xl font-semibold">{site.name}</h1>
+          </div>
+          <div className="flex items-center gap-2">
+            {!isAdmin ? (
+              <AdminLogin admin={admin} />
+            ) : (
+              <div className="flex items-center gap-2">
+                <Badge>Admin On</Badge>
+                <Button onClick={admin.logout} variant="ghost">Exit</Button>
+              </div>
+            )}
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-5xl mx-auto px-4 py-6 space-y-6">
+        {!online && <OfflineNotice pending={outbox.items.filter((i)=> i.status === "pending").length} unsaved={syncStatuses.filter((s)=> s.pending).length} />}
+        <SyncStatus statuses={syncStatuses} />
+        <Hero content={site.hero} onJoin={handleJoin} welcomeByEmail={notificationTransport.delivers && templateFor(templates, "welcome").enabled} />
+
+        <Tabs value={tab} onValueChange={(value)=> navigate({ tab: value })} className="w-full">
+          <TabsList className={`grid ${TAB_GRID_COLS[2 + Object.keys(SITE_TABS).filter((t)=> t !== "announcements" && site.tabs[t] !== false).length + (isAdmin ? 1 : 0)]}`}>
+            <TabsTrigger value="announcements"><Users className="w-4 h-4 mr-2"/>{SITE_TABS.announcements}</TabsTrigger>
+            {site.tabs.events !== false && <TabsTrigger value="events"><Calendar className="w-4 h-4 mr-2"/>{SITE_TABS.events}</TabsTrigger>}
+            {site.tabs.store !== false && <TabsTrigger value="store"><Trophy className="w-4 h-4 mr-2"/>{SITE_TABS.store}</TabsTrigger>}
+            {site.tabs.resources !== false && <TabsTrigger value="resources"><Play className="w-4 h-4 mr-2"/>{SITE_TABS.resources}</TabsTrigger>}
+            {isAdmin && <TabsTrigger value="applications">Applications</TabsTrigger>}
+            <TabsTrigger value="settings">Settings</TabsTrigger>
+          </TabsList>
+
+          <TabsContent value="announcements">
+            <Board
+              title="Announcements"
+              items={announcements}
+              isAdmin={isAdmin}
+              onAdd={(a)=> announcementActions.add({ createdAt: Date.now(), ...a })}
+              onUpdate={(id, patch)=> announcementActions.update(id, { ...patch, updatedAt: Date.now() })}
+              onDelete={(id)=> announcementActions.remove(id)}
+            />
+            <HabitTracker habits={habits} challenges={challenges} logs={habitLogs} meId={meId} onToggle={handleToggleHabit} />
+            {isAdmin && (
+              <ChallengeAdmin
+                habits={habits}
+                challenges={challenges}
+                onAddHabit={(label)=> habitActions.add({ label })}
+                onDeleteHabit={(id)=> habitActions.remove(id)}
+                onAddChallenge={challengeActions.add}
+                onDeleteChallenge={(id)=> challengeActions.remove(id)}
+              />
+            )}
+            <Squad squads={squads} members={members} goals={goals} meId={meId} onSetGoal={handleSetGoal} onCheckIn={handleGoalCheckIn} />
+            {isAdmin && (
+              <SquadAdmin
+                squads={squads}
+                members={members}
+                goals={goals}
+                onCreate={(name)=> squadActions.add({ name, memberIds: [] })}
+                onAssign={admin.guard(handleAssignSquad)}
+                onDelete={(id)=> squadActions.remove(id)}
+              />
+            )}
+            <Leaderboard members={members} habits={habits} challenges={challenges} logs={habitLogs} isAdmin={isAdmin} />
+            <Members members={isAdmin ? directory : members} isAdmin={isAdmin} meId={meId} onEdit={handleEditMember} onDedupe={admin.guard(handleDedupe)} />
+          </TabsContent>
+
+          <TabsContent value="events">
+            <Events
+              site={site}
+              items={events}
+              selectedId={selectedId}
+              isAdmin={isAdmin}
+              onAdd={eventActions.add}
+              onUpdate={eventActions.update}
+              onDelete={(id)=> eventActions.remove(id, { rsvps: (r)=> r.eventId === id })}
+              onSkip={(event, day)=> eventActions.update(event.id, { recurrence: { ...event.recurrence, exdates: [...(event.recurrence.exdates || []), day] } })}
+              members={members}
+              rsvps={rsvps}
+              meId={meId}
+              onRsvp={handleRsvp}
+              onCheckIn={admin.guard(handleCheckIn)}
+            />
+          </TabsContent>
+
+          <TabsContent value="store">
+            <Products
+              items={products}
+              selectedId={selectedId}
+              isAdmin={isAdmin}
+              files={productFiles}
+              checkout={!!paymentProvider}
+              onAdd={admin.guard(handleAddProduct)}
+              onUpdate={admin.guard(handleUpdateProduct)}
+              onDelete={(id)=> productActions.remove(id, { productFiles: (f)=> f.id === id })}
+              onMove={productActions.move}
+              onApply={(program)=> navigate({ ...route, apply: program.id })}
+              cart={cart}
+              onAddToCart={handleAddToCart}
+              onTrack={handleProductClick}
+              onOpenCart={()=> setShowCart(true)}
+              hasPurchases={purchases.some((o)=> o.status === "paid")}
+            />
+            {isAdmin && (
+              <Coupons
+                items={coupons}
+                onAdd={couponActions.add}
+                onToggle={(id)=> couponActions.update(id, { active: coupons.find((c)=> c.id === id)?.active === false })}
+                onDelete={(id)=> couponActions.remove(id)}
+              />
+            )}
+          </TabsContent>
+
+          {isAdmin && (
+            <TabsContent value="applications">
+              <Applications items={applications} products={products} onUpdate={applicationActions.update} />
+            </TabsContent>
+          )}
+
+          <TabsContent value="resources">
+            <Resources
+              items={resources}
+              selectedId={selectedId}
+              isAdmin={isAdmin}
+              isMember={!!meId}
+              views={viewRows}
+              onView={(id)=> setResourceViews((list)=> recordView(list, id, meId))}
+              onAdd={resourceActions.add}
+              onUpdate={resourceActions.update}
+              onDelete={(id)=> resourceActions.remove(id, { resourceViews: (v)=> v.resourceId === id })}
+              onMove={resourceActions.move}
+            />
+          </TabsContent>
+
+          <TabsContent value="settings" className="space-y-4">
+            {isAdmin && (
+              <Analytics
+                members={members}
+                applications={applications}
+                products={products}
+                productClicks={clickRows}
+                orders={orders}
+                resources={resources}
+                resourceViews={viewRows}
+                events={events}
+                rsvps={rsvps}
+              />
+            )}
+            {!admin.mode && <AdminSetup />}
+            {isAdmin && <AdminSettings admin={admin} />}
+            {isAdmin && <SiteSettings site={site} onSave={admin.guard(onSaveSite)} />}
+            {isAdmin && <StorageSettings />}
+            {isAdmin && <Orders items={orders} onCancel={admin.guard((id)=> updateOrder(id, { status: "cancelled" }))} />}
+            {isAdmin && <OutboxSettings items={outbox.items} onResend={admin.guard(outbox.resend)} onDiscard={admin.guard(outbox.discard)} />}
+            {isAdmin && (
+              <NotificationSettings
+                transport={notificationTransport}
+                templates={templates}
+                items={notifications.items}
+                missed={templateFor(templates, "eventReminder").enabled ? missedReminders(events, rsvps, directory, notifications.items) : []}
+                onSaveTemplate={admin.guard(handleSaveTemplate)}
+                onResend={admin.guard(notifications.resend)}
+                onCancel={admin.guard(notifications.cancel)}
+              />
+            )}
+            {isAdmin && <AuditLog items={audit} onRevert={admin.guard(revertChange)} />}
+            <Card className="border-dashed">
+              <CardHeader>
+                <CardTitle>Backup and Restore</CardTitle>
+              </CardHeader>
+              <CardContent className="space-y-4">
+                {isAdmin ? (
+                  <>
+                    <div className="flex items-center gap-2">
+                      <Button onClick={admin.guard(exportAll)} className="flex items-center gap-2"><Upload className="w-4 h-4"/>Export JSON</Button>
+                      <label className="text-sm text-slate-600">Save a copy of your data</label>
+                    </div>
+                    <BackupImport current={collections} onImport={admin.guard(importAll)} />
+                  </>
+                ) : (
+                  <p className="text-sm text-slate-600">Unlock admin to back up or restore data.</p>
+                )}
+                <hr className="my-4"/>
+                {isAdmin ? (
+                  <WebhookSettings url={webhookUrl} onSave={admin.guard((url)=> onSaveSite({ ...site, webhookUrl: url }))} />
+                ) : (
+                  <p className="text-sm text-slate-600">Unlock admin to connect a Google Sheet.</p>
+                )}
+                <p className="text-sm text-slate-500">Data is kept in your browser using localStorage unless this deploy has a shared backend (see Storage backend).</p>
+              </CardContent>
+            </Card>
+          </TabsContent>
+        </Tabs>
+        {applyingTo && (
+          <ApplicationForm key={applyingTo.id} open onClose={()=> navigate({ ...route, apply: null })} program={applyingTo} onSubmit={handleApply} />
+        )}
+        {showCart && (
+          <Cart
+            cart={cart}
+            products={products}
+            orders={purchases}
+            onRemove={(productId)=> setCart((list)=> list.filter((c)=> c.productId !== productId))}
+            onQuote={(items, code)=> paymentProvider ? paymentProvider.quote(items, code) : Promise.resolve({ error: "Checkout not configured." })}
+            onDownloads={(order)=> paymentProvider ? paymentProvider.downloads(order) : Promise.reject(new Error("Checkout not configured"))}
+            onCheckout={handleCheckout}
+            onClose={()=> setShowCart(false)}
+          />
+        )}
+      </main>
+
+      <footer className="py-10 text-center text-sm text-slate-500">
+        {site.footer} © {new Date().getFullYear()} {site.brand || site.name}
+      </footer>
+    </div>
+  );
+}
+
+function AdminLogin({ admin }) {
+  const [pin, setPin] = useState("");
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  async function submit() {
+    if (!pin || busy) return;
+    setBusy(true);
+    const res = await admin.login(pin);
+    setBusy(false);
+    setPin("");
+    setError(res.ok ? "" : res.error);
+  }
+
+  if (!admin.mode) return <Link to={{ tab: "settings" }} className="text-xs text-slate-500 underline">Set up admin</Link>;
+
+  return (
+    <div className="flex items-center gap-2">
+      {error && <span className="text-xs text-red-700">{error}</span>}
+      <Input type="password" placeholder="Admin passphrase" value={pin} onChange={(e)=> setPin(e.target.value)} onKeyDown={(e)=> e.key === "Enter" && submit()} className="w-40"/>
+      <Button onClick={submit} disabled={busy} variant="secondary" className="flex items-center gap-2"><Lock className="w-4 h-4"/>Admin</Button>
+    </div>
+  );
+}
+
+function AdminSettings({ admin }) {
+  const [current, setCurrent] = useState("");
+  const [next, setNext] = useState("");
+  const [confirm, setConfirm] = useState("");
+  const [message, setMessage] = useState(null); // { ok, text }
+
+  async function submit() {
+    if (next !== confirm) { setMessage({ ok: false, text: "New passphrases do not match." }); return; }
+    const res = await admin.changePin(current, next);
+    setMessage(res.ok ? { ok: true, text: "Admin passphrase updated." } : { ok: false, text: res.error });
+    setCurrent(""); setNext(""); setConfirm("");
+  }
+
+  return (
+    <Card className="border-dashed">
+      <CardHeader>
+        <CardTitle>Admin passphrase</CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-3">
+        <p className="text-sm text-slate-600">Admin signs out after {ADMIN_SESSION_MS / 60000} minutes without activity.</p>
+        {admin.mode === "server" ? (
+          <>
+            <div className="grid md:grid-cols-3 gap-2">
+              <Input type="password" placeholder="Current passphrase" value={current} onChange={(e)=> setCurrent(e.target.value)} />
+              <Input type="password" placeholder="New passphrase" value={next} onChange={(e)=> setNext(e.target.value)} />
+              <Input type="password" placeholder="Confirm new passphrase" value={confirm} onChange={(e)=> setConfirm(e.target.value)} />
+            </div>
+            <Button onClick={submit} disabled={!current || !next}>Change passphrase</Button>
+            {message && <p className={`text-sm ${message.ok ? "text-green-700" : "text-red-700"}`}>{message.text}</p>}
+          </>
+        ) : (
+          <>
+            <p className="text-sm text-slate-600">This deploy checks the passphrase against ADMIN_AUTH in the app file, so it cannot be changed from here. To change it, make a new credential below, replace ADMIN_AUTH with it and redeploy.</p>
+            <p className="text-sm text-slate-600">{STATIC_LOCKOUT_NOTE}</p>
+            <CredentialMaker />
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+const STATIC_LOCKOUT_NOTE = `Without a backend, the ${ADMIN_MAX_ATTEMPTS}-attempt lockout is kept in this browser and clearing site data resets it. It only slows a casual guesser; a long passphrase is what keeps admin safe.`;
+
+// Shown to everyone before admin is set up: making a credential unlocks nothing
+// until it is deployed as ADMIN_AUTH.
+function AdminSetup() {
+  return (
+    <Card className="border-dashed">
+      <CardHeader>
+        <CardTitle>Admin setup</CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-3">
+        <p className="text-sm text-slate-600">Admin is locked until this deploy has a credential. Either connect a backend that checks the admin passphrase (STORAGE), or make a credential here and paste it into ADMIN_AUTH in the app file, then redeploy.</p>
+        <p className="text-sm text-slate-600">{STATIC_LOCKOUT_NOTE}</p>
+        <CredentialMaker />
+      </CardContent>
+    </Card>
+  );
+}
+
+function CredentialMaker() {
+  const [pin, setPin] = useState("");
+  const [confirm, setConfirm] = useState("");
+  const [error, setError] = useState("");
+  const [credential, setCredential] = useState("");
+
+  async function make() {
+    if (pin.length < ADMIN_PIN_MIN_LENGTH) { setError(`Use at least ${ADMIN_PIN_MIN_LENGTH} characters.`); return; }
+    if (pin !== confirm) { setError("Passphrases do not match."); return; }
+    setError("");
+    setCredential(JSON.stringify(await makeCredential(pin)));
+    setPin(""); setConfirm("");
+  }
+
+  return (
+    <div className="space-y-2 text-sm">
+      <div className="grid md:grid-cols-3 gap-2">
+        <Input type="password" placeholder={`New passphrase (${ADMIN_PIN_MIN_LENGTH}+ characters)`} value={pin} onChange={(e)=> setPin(e.target.value)} />
+        <Input type="password" placeholder="Confirm passphrase" value={confirm} onChange={(e)=> setConfirm(e.target.value)} />
+        <Button variant="secondary" onClick={make} disabled={!pin}>Make credential</Button>
+      </div>
+      {error && <p className="text-red-700">{error}</p>}
+      {credential && (
+        <>
+          <p className="text-slate-600">Set <code>const ADMIN_AUTH = {"{...}"};</code> to this value and redeploy:</p>
+          <Textarea readOnly rows={3} className="font-mono text-xs" value={credential} onFocus={(e)=> e.target.select()} />
+        </>
+      )}
+    </div>
+  );
+}
+
+function WebhookSettings({ url, onSave }) {
+  const [draft, setDraft] = useState(url);
+  const [saved, setSaved] = useState(false);
+  const error = RULES.url(draft.trim());
+
+  function save() {
+    if (error) return;
+    onSave(draft.trim());
+    setSaved(true);
+  }
+
+  return (
+    <div className="space-y-2">
+      <h3 className="font-medium">Google Sheets connection</h3>
+      <p className="text-sm text-slate-600">Paste your Google Apps Script Web App URL. Signups and applications from every visitor will be sent to your Sheet.</p>
+      <div className="flex gap-2">
+        <Field error={error} className="flex-1"><Input placeholder="https://script.google.com/.../exec" value={draft} onChange={(e)=> { setDraft(e.target.value); setSaved(false); }} aria-invalid={!!error} /></Field>
+        <Button onClick={save} disabled={draft.trim() === url}>{saved ? "Saved" : "Save"}</Button>
+      </div>
+    </div>
+  );
+}
+
+function SiteSettings({ site, onSave }) {
+  const [form, setForm] = useState(()=> ({
+    name: site.name,
+    brand: site.brand,
+    logo: site.logo,
+    primary: site.colors.primary,
+    heroTitle: site.hero.title,
+    heroText: site.hero.text,
+    bullets: site.hero.bullets.join("\n"),
+    joinTitle: site.hero.joinTitle,
+    footer: site.footer,
+    defaultTab: site.defaultTab,
+    tabs: { ...site.tabs },
+    seeds: JSON.stringify(site.seeds, null, 2),
+  }));
+  const [errors, setErrors] = useState({});
+  const [saved, setSaved] = useState(false);
+  const set = (field)=> (e)=> { setForm((f)=> ({ ...f, [field]: e.target.value })); setSaved(false); };
+
+  function build() {
+    const found = validate(form, { name: ["required"], logo: [(v)=> !v || safeImageSrc(v) ? "" : RULES.url(v)], primary: [(v)=> hexToHsl(v) ? "" : "Use a hex color like #0f172a."] });
+    let seeds = null;
+    try {
+      seeds = JSON.parse(form.seeds);
+      if (!isPlainObject(seeds)) throw new Error();
+    } catch {
+      found.seeds = "Seeds must be a JSON object of lists.";
+    }
+    setErrors(found);
+    if (hasErrors(found)) return null;
+    return {
+      ...site,
+      name: form.name.trim(),
+      brand: form.brand.trim(),
+      logo: form.logo.trim(),
+      colors: { ...site.colors, primary: form.primary },
+      hero: { ...site.hero, title: form.heroTitle, text: form.heroText, bullets: form.bullets.split("\n").map((b)=> b.trim()).filter(Boolean), joinTitle: form.joinTitle },
+      footer: form.footer,
+      defaultTab: form.defaultTab,
+      tabs: form.tabs,
+      seeds,
+    };
+  }
+
+  function save() {
+    const next = build();
+    if (!next) return;
+    onSave(next);
+    setSaved(true);
+  }
+
+  function download() {
+    const next = build();
+    if (next) downloadFile("site.json", JSON.stringify(next, null, 2), "application/json");
+  }
+
+  return (
+    <Card className="border-dashed">
+      <CardHeader>
+        <CardTitle>Site</CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-3 text-sm">
+        <p className="text-slate-600">Branding and copy for this community. Saved edits apply for every visitor and override {SITE_CONFIG_URL} until you reset them. Download the file to set up another instance.</p>
+        <div className="grid md:grid-cols-3 gap-2">
+          <Field error={errors.name}><Input placeholder="Community name" value={form.name} onChange={set("name")} aria-invalid={!!errors.name} /></Field>
+          <Input placeholder="Brand (badge and footer)" value={form.brand} onChange={set("brand")} />
+          <Field error={errors.logo}><Input placeholder="Logo URL (optional)" value={form.logo} onChange={set("logo")} aria-invalid={!!errors.logo} /></Field>
+          <Field error={errors.primary}>
+            <label className="flex items-center gap-2">Main color <input type="color" value={hexToHsl(form.primary) ? form.primary : "#0f172a"} onChange={set("primary")} /> <Input value={form.primary} onChange={set("primary")} className="w-28" aria-invalid={!!errors.primary} /></label>
+          </Field>
+          <label className="flex items-center gap-2">Opens on
+            <select className="border rounded-md p-2 flex-1" value={form.defaultTab} onChange={set("defaultTab")}>
+              {Object.entries(SITE_TABS).map(([value, label])=> <option key={value} value={value}>{label}</option>)}
+            </select>
+          </label>
+          <div className="flex flex-wrap items-center gap-3">
+            {Object.entries(SITE_TABS).filter(([tab])=> tab !== "announcements").map(([tab, label])=> (
+              <label key={tab} className="flex items-center gap-1"><input type="checkbox" checked={form.tabs[tab] !== false} onChange={(e)=> { setForm((f)=> ({ ...f, tabs: { ...f.tabs, [tab]: e.target.checked } })); setSaved(false); }} />{label}</label>
+            ))}
+          </div>
+        </div>
+        <Input placeholder="Hero title" value={form.heroTitle} onChange={set("heroTitle")} />
+        <Textarea placeholder="Hero text" value={form.heroText} onChange={set("heroText")} />
+        <div className="grid md:grid-cols-2 gap-2">
+          <Textarea placeholder="Feature bullets, one per line" value={form.bullets} onChange={set("bullets")} />
+          <div className="space-y-2">
+            <Input placeholder="Join card title" value={form.joinTitle} onChange={set("joinTitle")} />
+            <Input placeholder="Footer text" value={form.footer} onChange={set("footer")} />
+          </div>
+        </div>
+        <details>
+          <summary className="cursor-pointer">Seed content (first run only)</summary>
+          <Field error={errors.seeds}><Textarea rows={10} className="font-mono text-xs" value={form.seeds} onChange={set("seeds")} aria-invalid={!!errors.seeds} /></Field>
+        </details>
+        <div className="flex flex-wrap items-center gap-2">
+          <Button onClick={save}>Save site</Button>
+          <Button variant="secondary" onClick={download}>Download {SITE_CONFIG_URL}</Button>
+          <ConfirmDelete label="Reset to file" onConfirm={()=> onSave(null)} />
+          {saved && <span className="text-green-700">Saved.</span>}
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
+
+// pending: signups and applications in the outbox; unsaved: shared lists with
+// changes the backend has not received yet.
+function OfflineNotice({ pending, unsaved }) {
+  return (
+    <div className="p-3 border rounded-xl bg-amber-50 text-sm text-amber-800">
+      You are offline. Showing the last saved announcements, events and resources.
+      {pending > 0 && ` ${pending} submission${pending === 1 ? "" : "s"} will be sent when you are back online.`}
+      {unsaved > 0 && ` Changes to ${unsaved} list${unsaved === 1 ? "" : "s"} are saved on this device and will be sent when you are back online.`}
+    </div>
+  );
+}
+
+function SyncStatus({ statuses }) {
+  const error = statuses.find((s)=> s.error);
+  if (error) return <p className="text-sm text-red-700">{error.error}</p>;
+  if (statuses.some((s)=> s.loading)) return <p className="text-sm text-slate-500">Loading the latest community updates...</p>;
+  if (statuses.some((s)=> s.conflict)) return <p className="text-sm text-amber-700">Another admin edited the same list. Both sets of changes were kept.</p>;
+  return null;
+}
+
+const STORAGE_LABELS = { local: "This browser only", rest: "REST API", mock: "Mock server (in memory, resets on reload)" };
+
+function StorageSettings() {
+  const adapter = STORAGE.adapter === "rest" && !STORAGE.baseUrl ? "local" : STORAGE.adapter;
+  return (
+    <Card className="border-dashed">
+      <CardHeader>
+        <CardTitle>Storage backend</CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-2 text-sm">
+        <p><strong>{STORAGE_LABELS[adapter] || STORAGE_LABELS.local}</strong>{adapter === "rest" && <span className="text-slate-500"> · {STORAGE.baseUrl}</span>}</p>
+        <p className="text-slate-600">Members, announcements, events, resources and products can be shared through a small REST API so every visitor sees the same lists. The backend is part of the deploy: set STORAGE in the app file and redeploy to change it.</p>
+        {adapter === "local" && <p className="text-amber-700">Each visitor's lists stay in their own browser, so members do not see each other's signups or RSVPs.</p>}
+      </CardContent>
+    </Card>
+  );
+}
+
+function BackupImport({ current, onImport }) {
+  const [backup, setBackup] = useState(null); // { fileName, data, errors }
+  const [mode, setMode] = useState("merge");
+  const [done, setDone] = useState("");
+
+  function read(file) {
+    setDone("");
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        const doc = JSON.parse(reader.result);
+        if (!doc || typeof doc !== "object") throw new Error("File does not contain a backup object.");
+        const { data } = migrateBackup(doc);
+        setBackup({ fileName: file.name, data, errors: validateBackup(data) });
+      } catch (err) {
+        setBackup({ fileName: file.name, data: null, errors: [{ path: "file", message: err instanceof SyntaxError ? "is not valid JSON" : err.message }] });
+      }
+    };
+    reader.readAsText(file);
+  }
+
+  function apply() {
+    onImport(backup.data, mode);
+    setDone(`Imported ${backup.fileName} (${mode === "replace" ? "replaced" : "merged by id"}).`);
+    setBackup(null);
+  }
+
+  const preview = backup && backup.data ? BACKUP_COLLECTIONS.filter((name)=> Array.isArray(backup.data[name])).map((name)=> {
+    const incoming = backup.data[name];
+    const currentIds = new Set(current[name].map((i)=> i.id));
+    const incomingIds = new Set(incoming.map((i)=> i.id));
+    return {
+      name,
+      total: incoming.length,
+      added: incoming.filter((i)=> !currentIds.has(i.id)).length,
+      updated: incoming.filter((i)=> currentIds.has(i.id)).length,
+      removed: mode === "replace" ? current[name].filter((i)=> !incomingIds.has(i.id)).length : 0,
+    };
+  }) : [];
+
+  return (
+    <div className="space-y-3">
+      <Input type="file" accept="application/json" onChange={(e)=> e.target.files && e.target.files[0] && read(e.target.files[0])} />
+      {done && <p className="text-sm text-green-700">{done}</p>}
+      {backup && (
+        <div className="p-3 border rounded-xl space-y-3 text-sm">
+          <p className="font-medium">{backup.fileName}</p>
+          {backup.errors.length > 0 ? (
+            <div className="text-red-700 space-y-1">
+              <p>This file cannot be imported. Nothing was changed.</p>
+              <ul className="list-disc pl-5">
+                {backup.errors.slice(0, 20).map((err, i)=> <li key={i}><code>{err.path}</code> {err.message}</li>)}
+              </ul>
+              {backup.errors.length > 20 && <p>and {backup.errors.length - 20} more.</p>}
+            </div>
+          ) : (
+            <>
+              <div className="flex gap-4">
+                <label className="flex items-center gap-2"><input type="radio" checked={mode === "merge"} onChange={()=> setMode("merge")} />Merge by id</label>
+                <label className="flex items-center gap-2"><input type="radio" checked={mode === "replace"} onChange={()=> setMode("replace")} />Replace</label>
+              </div>
+              <ul className="space-y-1">
+                {preview.map((p)=> (
+                  <li key={p.name}>
+                    <strong className="capitalize">{p.name}</strong>: {p.total} in file, {p.added} new, {p.updated} updated
+                    {p.removed > 0 && <span className="text-red-700">, {p.removed} removed</span>}
+                  </li>
+                ))}
+                {typeof backup.data.webhookUrl === "string" && <li><strong>Google Sheets URL</strong>: {backup.data.webhookUrl || "empty"}</li>}
+              </ul>
+              <div className="flex gap-2">
+                <Button onClick={apply}>Import</Button>
+                <Button variant="ghost" onClick={()=> setBackup(null)}>Cancel</Button>
+              </div>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function OutboxSettings({ items, onResend, onDiscard }) {
+  const waiting = items.filter((i)=> i.status !== "sent").length;
+  return (
+    <Card className="border-dashed">
+      <CardHeader>
+        <CardTitle className="flex items-center justify-between">
+          <span>Signup outbox</span>
+          {waiting > 0 && <Badge variant="secondary">{waiting} waiting</Badge>}
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-2 text-sm">
+        {items.length === 0 && <p className="text-slate-500">Nothing queued. Signups and applications appear here until the Sheet accepts them.</p>}
+        {items.map((i)=> (
+          <div key={i.id} className="p-3 border rounded-xl flex items-start justify-between gap-3">
+            <div>
+              <p className="font-medium">{i.payload.type === "application" ? `Application: ${i.payload.program}` : "Signup"} — {i.payload.name} ({i.payload.email})</p>
+              <p className="text-slate-500">
+                {i.status === "sent" ? `Sent ${new Date(i.sentAt).toLocaleString()}`
+                  : i.status === "failed" ? `Gave up after ${i.attempts} attempts`
+                  : i.status === "sending" ? "Sending..."
+                  : i.attempts ? `Retry ${i.attempts + 1} at ${new Date(i.nextAttemptAt).toLocaleTimeString()}` : "Queued"}
+                {i.lastError && i.status !== "sent" && ` · ${i.lastError}`}
+              </p>
+            </div>
+            <div className="flex gap-1">
+              {i.status !== "sent" && i.status !== "sending" && <Button variant="secondary" onClick={()=> onResend(i.id)}>Resend</Button>}
+              <Button variant="ghost" onClick={()=> onDiscard(i.id)}>Discard</Button>
+            </div>
+          </div>
+        ))}
+      </CardContent>
+    </Card>
+  );
+}
+
+function Analytics({ members, applications, products, productClicks, orders, resources, resourceViews, events, rsvps }) {
+  const [preset, setPreset] = useState("30");
+  const [custom, setCustom] = useState({ from: addDays(localToday(), -29), to: localToday() });
+
+  const range = useMemo(()=> {
+    const to = localToday();
+    if (preset === "custom") return custom.from && custom.to && custom.from <= custom.to ? custom : { from: to, to };
+    if (preset === "all") {
+      const days = [...members.map((m)=> m.ts && localDay(Date.parse(m.ts))), ...applications.map((a)=> localDay(Date.parse(a.ts))), ...resourceViews.map((v)=> v.day), ...productClicks.map((c)=> c.day), ...rsvps.map((r)=> r.day)].filter(Boolean);
+      return { from: days.length ? days.reduce((a, b)=> (a < b ? a : b)) : to, to };
+    }
+    return { from: addDays(to, 1 - Number(preset)), to };
+  }, [preset, custom, members, applications, resourceViews, productClicks, rsvps]);
+
+  const signups = timeSeries(members.filter((m)=> m.ts).map((m)=> localDay(Date.parse(m.ts))), range);
+  const funnel = applicationFunnel(applications, range);
+  const clicks = productStats(products, productClicks, orders, range);
+  const opens = resourceStats(resources, resourceViews, range);
+  const replies = rsvpStats(events, rsvps, range);
+  const total = (rows, key)=> rows.reduce((sum, r)=> sum + r[key], 0);
+
+  function exportCsv(name, rows, columns) {
+    downloadFile(`locker-room-${name}-${range.from}-to-${range.to}.csv`, toCsv(rows, columns), "text/csv");
+  }
+
+  return (
+    <Card className="border-dashed">
+      <CardHeader>
+        <CardTitle className="flex flex-wrap items-center justify-between gap-2">
+          <span>Community analytics</span>
+          <span className="flex flex-wrap items-center gap-2 text-sm font-normal">
+            <select className="border rounded-md p-2" value={preset} onChange={(e)=> setPreset(e.target.value)}>
+              {Object.entries(ANALYTICS_RANGES).map(([value, label])=> <option key={value} value={value}>{label}</option>)}
+            </select>
+            {preset === "custom" && (
+              <>
+                <Input type="date" className="w-40" value={custom.from} onChange={(e)=> setCustom({ ...custom, from: e.target.value })} aria-label="From" />
+                <Input type="date" className="w-40" value={custom.to} onChange={(e)=> setCustom({ ...custom, to: e.target.value })} aria-label="To" />
+              </>
+            )}
+          </span>
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-6 text-sm">
+        <div className="grid grid-cols-2 md:grid-cols-5 gap-2">
+          {[["Signups", total(signups.points, "count")], ["Applications", total(funnel, "applied")], ["Product clicks", total(clicks, "clicks")], ["Resource opens", total(opens, "opens")], ["RSVPs going", total(replies, "going")]].map(([label, value])=> (
+            <div key={label} className="p-3 border rounded-xl">
+              <p className="text-slate-500">{label}</p>
+              <p className="text-2xl font-semibold">{value}</p>
+            </div>
+          ))}
+        </div>
+
+        <AnalyticsSection title={`Signups per ${signups.weekly ? "week" : "day"}`} onExport={()=> exportCsv("signups", signups.points, ["period", "count"])}>
+          <BarChart points={signups.points.map((p)=> ({ label: p.period, value: p.count }))} />
+        </AnalyticsSection>
+
+        <AnalyticsSection title="Application funnel" onExport={()=> exportCsv("applications", funnel, ["program", "applied", "contacted", "accepted", "enrolled", "declined"])}>
+          {funnel.length === 0 && <p className="text-slate-500">No applications in this range.</p>}
+          {funnel.map((row)=> (
+            <div key={row.program} className="space-y-1">
+              <p className="font-medium">{row.program}{row.declined > 0 && <span className="text-slate-500 font-normal"> · {row.declined} declined</span>}</p>
+              {["applied", "contacted", "accepted", "enrolled"].map((stage)=> (
+                <HBar key={stage} label={stage} value={row[stage]} max={row.applied} />
+              ))}
+            </div>
+          ))}
+        </AnalyticsSection>
+
+        <AnalyticsSection title="Product clicks" onExport={()=> exportCsv("product-clicks", clicks, ["product", "clicks", "apply", "cart", "link", "paidOrders"])}>
+          {clicks.map((row)=> (
+            <HBar key={row.product} label={row.product} value={row.clicks} max={clicks[0].clicks} note={row.paidOrders ? `${row.paidOrders} paid` : ""} />
+          ))}
+          <p className="text-xs text-slate-500">Counts taps on {Object.values(PRODUCT_CLICK_LABELS).join(", ")} buttons.</p>
+        </AnalyticsSection>
+
+        <AnalyticsSection title="Resource opens" onExport={()=> exportCsv("resource-opens", opens, ["resource", "category", "opens", "members"])}>
+          {opens.map((row)=> (
+            <HBar key={row.resource} label={row.resource} value={row.opens} max={opens[0].opens} note={row.members ? `${row.members} members` : ""} />
+          ))}
+        </AnalyticsSection>
+
+        <AnalyticsSection title="Event RSVPs" onExport={()=> exportCsv("rsvps", replies, ["event", "sessions", "going", "maybe", "no", "checkedIn"])}>
+          {replies.length === 0 && <p className="text-slate-500">No RSVPs for sessions in this range.</p>}
+          {replies.map((row)=> (
+            <HBar key={row.event} label={row.event} value={row.going} max={replies[0].going} note={`${row.maybe} maybe · ${row.checkedIn} checked in`} />
+          ))}
+        </AnalyticsSection>
+      </CardContent>
+    </Card>
+  );
+}
+
+function AnalyticsSection({ title, onExport, children }) {
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between">
+        <h3 className="font-medium">{title}</h3>
+        <Button variant="ghost" onClick={onExport}>CSV</Button>
+      </div>
+      {children}
+    </div>
+  );
+}
+
+function HBar({ label, value, max, note = "" }) {
+  return (
+    <div className="grid grid-cols-[10rem_1fr_auto] items-center gap-2">
+      <span className="truncate capitalize" title={label}>{label}</span>
+      <div className="h-3 rounded bg-slate-100">
+        <div className="h-3 rounded bg-slate-700" style={{ width: `${max ? (value / max) * 100 : 0}%` }} />
+      </div>
+      <span className="text-slate-600 whitespace-nowrap">{value}{note && <span className="text-slate-500"> · {note}</span>}</span>
+    </div>
+  );
+}
+
+// Plain SVG columns so the dashboard needs no chart library.
+function BarChart({ points, height = 120 }) {
+  const max = Math.max(1, ...points.map((p)=> p.value));
+  const width = Math.max(points.length, 1) * 12;
+  return (
+    <div className="space-y-1">
+      <svg viewBox={`0 0 ${width} ${height}`} preserveAspectRatio="none" className="w-full h-32" role="img" aria-label="Bar chart">
+        {points.map((p, i)=> {
+          const h = (p.value / max) * (height - 4);
+          return (
+            <rect key={p.label} x={i * 12 + 1} y={height - h} width={10} height={h} className="fill-slate-700">
+              <title>{`${p.label}: ${p.value}`}</title>
+            </rect>
+          );
+        })}
+      </svg>
+      <div className="flex justify-between text-xs text-slate-500">
+        <span>{points[0]?.label}</span>
+        <span>max {max}</span>
+        <span>{points[points.length - 1]?.label}</span>
+      </div>
+    </div>
+  );
+}
+
+const NOTIFICATION_STATUS_LABELS = { pending: "Queued", sending: "Sending...", sent: "Sent", logged: "Logged, not sent", failed: "Failed", cancelled: "Cancelled" };
+
+function NotificationSettings({ transport, templates, items, missed, onSaveTemplate, onResend, onCancel }) {
+  const [showAll, setShowAll] = useState(false);
+  const waiting = items.filter((i)=> i.status === "pending" || i.status === "sending").length;
+  const shown = showAll ? items : items.slice(0, 20);
+  return (
+    <Card className="border-dashed">
+      <CardHeader>
+        <CardTitle className="flex items-center justify-between">
+          <span>Email notifications</span>
+          {waiting > 0 && <Badge variant="secondary">{waiting} waiting</Badge>}
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4 text-sm">
+        {transport.name === "smtp" ? (
+          <p className="text-slate-600">Your server sends welcome and application emails when it stores the signup or application. Reminders and resends below are sent through it too.</p>
+        ) : (
+          <div className="flex flex-wrap items-center gap-2">
+            <p className="text-slate-600">Development mode: messages are logged to the browser console{transport.name === "file" ? " and kept in a local mailbox" : ""}, not delivered. Point NOTIFICATIONS at your server's mail relay to send them.</p>
+            {transport.name === "file" && <Button variant="secondary" onClick={()=> downloadFile("dev-mailbox.txt", mailboxToText(readLocal(DEV_MAILBOX_KEY) || []), "text/plain")}>Download mailbox</Button>}
+          </div>
+        )}
+        {missed.length > 0 && (
+          <div className="p-3 border border-amber-300 bg-amber-50 rounded-xl space-y-1">
+            <p className="font-medium">Missed reminders</p>
+            <p className="text-slate-600">Reminders are queued while an admin has the app open in the 24 hours before an event. Nobody did for these, so confirmed members got no reminder:</p>
+            {missed.map((o)=> (
+              <p key={`${o.event.id}-${o.day}`}>{o.event.title} · {formatOccurrence(o)} · {o.missed} {o.missed === 1 ? "member" : "members"}</p>
+            ))}
+          </div>
+        )}
+        {DEFAULT_TEMPLATES.map((d)=> (
+          <TemplateEditor key={d.id} template={templateFor(templates, d.id)} onSave={(patch)=> onSaveTemplate(d.id, patch)} />
+        ))}
+        <h3 className="font-medium">Queue</h3>
+        {items.length === 0 && <p className="text-slate-500">Nothing sent yet.</p>}
+        {shown.map((i)=> (
+          <div key={i.id} className="p-3 border rounded-xl flex items-start justify-between gap-3">
+            <div>
+              <p className="font-medium">{i.subject} — {i.to}</p>
+              <p className="text-slate-500">
+                {i.status === "sent" || i.status === "logged" ? `${NOTIFICATION_STATUS_LABELS[i.status]} ${new Date(i.sentAt).toLocaleString()}`
+                  : i.status === "pending" && i.attempts ? `Retry ${i.attempts + 1} at ${new Date(i.nextAttemptAt).toLocaleTimeString()}`
+                  : NOTIFICATION_STATUS_LABELS[i.status]}
+                {i.lastError && i.status !== "sent" && ` · ${i.lastError}`}
+              </p>
+            </div>
+            <div className="flex gap-1">
+              {(i.status === "failed" || i.status === "cancelled" || (i.status === "sending" && Date.now() - i.claimedAt > NOTIFICATION_STUCK_MS)) && <Button variant="secondary" onClick={()=> onResend(i.id)}>Resend</Button>}
+              {i.status === "pending" && <Button variant="ghost" onClick={()=> onCancel(i.id)}>Cancel</Button>}
+            </div>
+          </div>
+        ))}
+        {items.length > 20 && <Button variant="ghost" onClick={()=> setShowAll((v)=> !v)}>{showAll ? "Show fewer" : `Show all ${items.length}`}</Button>}
+      </CardContent>
+    </Card>
+  );
+}
+
+function TemplateEditor({ template, onSave }) {
+  const [subject, setSubject] = useState(template.subject);
+  const [body, setBody] = useState(template.body);
+  const [enabled, setEnabled] = useState(template.enabled !== false);
+  const [saved, setSaved] = useState(false);
+  const changed = subject !== template.subject || body !== template.body || enabled !== (template.enabled !== false);
+
+  return (
+    <div className="p-3 border rounded-xl space-y-2">
+      <div className="flex items-center justify-between">
+        <span className="font-medium">{template.label}</span>
+        <label className="flex items-center gap-2"><input type="checkbox" checked={enabled} onChange={(e)=> { setEnabled(e.target.checked); setSaved(false); }} />Send</label>
+      </div>
+      <Input placeholder="Subject" value={subject} onChange={(e)=> { setSubject(e.target.value); setSaved(false); }} />
+      <Textarea rows={5} value={body} onChange={(e)=> { setBody(e.target.value); setSaved(false); }} />
+      <p className="text-xs text-slate-500">Placeholders: {template.vars.map((v)=> `{{${v}}}`).join(" ")}</p>
+      <div className="flex items-center gap-2">
+        <Button onClick={()=> { onSave({ subject, body, enabled }); setSaved(true); }} disabled={!changed || !subject.trim() || !body.trim()}>Save template</Button>
+        {saved && !changed && <span className="text-green-700">Saved.</span>}
+      </div>
+    </div>
+  );
+}
+
+function AuditLog({ items, onRevert }) {
+  const [showAll, setShowAll] = useState(false);
+  const [errors, setErrors] = useState({}); // entry id -> why it could not be reverted
+  const shown = showAll ? items : items.slice(0, 20);
+
+  function revert(entry) {
+    const res = onRevert(entry);
+    setErrors((all)=> ({ ...all, [entry.id]: res && !res.ok ? res.error : "" }));
+  }
+
+  return (
+    <Card className="border-dashed">
+      <CardHeader>
+        <CardTitle>Change log</CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-2 text-sm">
+        <p className="text-slate-600">Admin changes to announcements, events, products, resources, discount codes, habits, challenges, squads, members and applications. Revert undoes that one change; an edit is only reverted while the fields it changed are still as it left them.</p>
+        {items.length === 0 && <p className="text-slate-500">No changes yet.</p>}
+        {shown.map((e)=> (
+          <div key={e.id} className="p-2 border rounded-xl space-y-1">
+            <div className="flex items-center justify-between gap-2">
+              <span>
+                <strong>{AUDIT_COLLECTIONS[e.collection]} {AUDIT_ACTIONS[e.action]}</strong>{e.label && `: ${e.label}`}
+                {e.action === "edit" && <span className="text-slate-500"> ({changedFields(e.before, e.after).join(", ") || "no changes"})</span>}
+                <span className="text-slate-500" title={new Date(e.ts).toLocaleString()}> · {timeAgo(e.ts)}</span>
+              </span>
+              {e.revertedAt ? <Badge variant="secondary">Reverted</Badge> : e.action !== "merge" && <Button variant="ghost" onClick={()=> revert(e)}>Revert</Button>}
+            </div>
+            {errors[e.id] && <p className="text-red-700">{errors[e.id]}</p>}
+          </div>
+        ))}
+        {items.length > 20 && <Button variant="ghost" onClick={()=> setShowAll((v)=> !v)}>{showAll ? "Show fewer" : `Show all ${items.length}`}</Button>}
+      </CardContent>
+    </Card>
+  );
+}
+
+// Same-tab clicks go through navigate(); modified clicks open the real URL.
+function Link({ to, className = "", children }) {
+  function click(e) {
+    if (e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+    e.preventDefault();
+    navigate(to);
+  }
+  return <a href={routeHref(to)} className={className} onClick={click}>{children}</a>;
+}
+
+function ItemPage({ back, missing, children }) {
+  const [copied, setCopied] = useState(false);
+
+  function copy() {
+    if (!navigator.clipboard) return;
+    navigator.clipboard.writeText(window.location.href).then(()=> setCopied(true), ()=> setCopied(false));
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between text-sm">
+        <Link to={{ tab: back }} className="underline">Back to {ROUTE_TITLES[back]}</Link>
+        {!missing && <Button variant="ghost" onClick={copy}>{copied ? "Link copied" : "Copy link"}</Button>}
+      </div>
+      {missing ? <p className="text-sm text-slate-500">{missing}</p> : children}
+    </div>
+  );
+}
+
+// An input with its validation message underneath.
+function Field({ error, className = "", children }) {
+  return (
+    <div className={`space-y-1 ${className}`}>
+      {children}
+      {error && <p className="text-xs text-red-700">{error}</p>}
+    </div>
+  );
+}
+
+// Two clicks to delete, so a stray tap cannot remove an item.
+function ConfirmDelete({ onConfirm, label = "Delete", className = "" }) {
+  const [asking, setAsking] = useState(false);
+  if (!asking) return <Button variant="ghost" className={className} onClick={()=> setAsking(true)}>{label}</Button>;
+  return (
+    <span className={`flex items-center gap-1 ${className}`}>
+      <Button onClick={()=> { setAsking(false); onConfirm(); }}>{label}?</Button>
+      <Button variant="ghost" onClick={()=> setAsking(false)}>Keep</Button>
+    </span>
+  );
+}
+
+function Avatar({ member, className = "w-10 h-10" }) {
+  if (member.avatar) return <img src={member.avatar} alt="" className={`${className} rounded-full object-cover`} />;
+  const initials = member.name.split(/\s+/).map((p)=> p[0]).join("").slice(0, 2).toUpperCase();
+  return <div className={`${className} rounded-full bg-slate-200 flex items-center justify-center text-sm font-medium`}>{initials}</div>;
+}
+
+function Members({ members, isAdmin, meId, onEdit, onDedupe }) {
+  const [query, setQuery] = useState("");
+  const [sport, setSport] = useState("");
+  const [tag, setTag] = useState("");
+  const [showInactive, setShowInactive] = useState(false);
+  const [editing, setEditing] = useState(null);
+
+  const sports = [...new Set(members.map((m)=> m.sport).filter(Boolean))].sort();
+  const tags = [...new Set(members.flatMap((m)=> m.tags || []))].sort();
+  const duplicates = members.length - dedupeMembers(members).members.length;
+  const q = query.trim().toLowerCase();
+  const visible = members.filter((m)=> {
+    if (!isActiveMember(m) && !(isAdmin && showInactive)) return false;
+    if (sport && m.sport !== sport) return false;
+    if (tag && !(m.tags || []).includes(tag)) return false;
+    if (!q) return true;
+    const haystack = [m.name, m.sport, m.position, m.goals, m.story, ...(m.tags || []), isAdmin ? m.email : ""].join(" ").toLowerCase();
+    return haystack.includes(q);
+  });
+
+  function exportCsv() {
+    const rows = visible.map((m)=> ({ ...m, active: isActiveMember(m) }));
+    downloadFile(`locker-room-members-${new Date().toISOString().slice(0,10)}.csv`, toCsv(rows, MEMBER_CSV_COLUMNS), "text/csv");
+  }
+
+  return (
+    <Card className="shadow-sm mt-6">
+      <CardHeader>
+        <CardTitle className="flex items-center justify-between">
+          <span>Members</span>
+          <Badge variant="secondary">{members.filter(isActiveMember).length}</Badge>
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-3">
+        <div className="grid md:grid-cols-3 gap-2">
+          <Input placeholder="Search members" value={query} onChange={(e)=> setQuery(e.target.value)} />
+          <select className="border rounded-md p-2" value={sport} onChange={(e)=> setSport(e.target.value)}>
+            <option value="">All sports</option>
+            {sports.map((s)=> <option key={s} value={s}>{s}</option>)}
+          </select>
+          {tags.length > 0 && (
+            <select className="border rounded-md p-2" value={tag} onChange={(e)=> setTag(e.target.value)}>
+              <option value="">All tags</option>
+              {tags.map((t)=> <option key={t} value={t}>{t}</option>)}
+            </select>
+          )}
+        </div>
+        {isAdmin && (
+          <div className="flex flex-wrap items-center gap-2 text-sm">
+            <label className="flex items-center gap-2"><input type="checkbox" checked={showInactive} onChange={(e)=> setShowInactive(e.target.checked)} />Show deactivated</label>
+            <Button variant="secondary" onClick={exportCsv}>Export CSV</Button>
+            {duplicates > 0 && <Button variant="secondary" onClick={onDedupe}>Merge {duplicates} duplicate{duplicates === 1 ? "" : "s"} by email</Button>}
+          </div>
+        )}
+        {visible.length === 0 && <p className="text-sm text-slate-500">{members.length ? "No members match." : "No members yet. Be the first to join."}</p>}
+        <div className="grid md:grid-cols-2 gap-3">
+          {visible.map((m)=> editing === m.id ? (
+            <MemberEditor key={m.id} member={m} isAdmin={isAdmin} onSave={(patch)=> { onEdit(m.id, patch); setEditing(null); }} onCancel={()=> setEditing(null)} />
+          ) : (
+            <div key={m.id} className={`p-3 border rounded-xl space-y-2 ${isActiveMember(m) ? "" : "opacity-60"}`}>
+              <div className="flex items-center gap-3">
+                <Avatar member={m} />
+                <div>
+                  <p className="font-medium">{m.name}{m.id === meId && <span className="text-slate-500"> (you)</span>}</p>
+                  <p className="text-sm text-slate-500">{[m.sport, m.position, m.yearsPlayed ? `${m.yearsPlayed} yrs` : ""].filter(Boolean).join(" · ")}</p>
+                  {isAdmin && <p className="text-sm text-slate-500">{m.email}</p>}
+                </div>
+              </div>
+              {m.goals && <p className="text-sm"><strong>Goals:</strong> {m.goals}</p>}
+              {(m.tags || []).length > 0 && <div className="flex flex-wrap gap-1">{m.tags.map((t)=> <Badge key={t} variant="secondary">{t}</Badge>)}</div>}
+              <div className="flex gap-2">
+                {(isAdmin || m.id === meId) && <Button variant="ghost" onClick={()=> setEditing(m.id)}>Edit</Button>}
+                {isAdmin && <Button variant="ghost" onClick={()=> onEdit(m.id, { active: !isActiveMember(m) })}>{isActiveMember(m) ? "Deactivate" : "Reactivate"}</Button>}
+              </div>
+            </div>
+          ))}
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
+
+function MemberEditor({ member, isAdmin, onSave, onCancel }) {
+  const [form, setForm] = useState({
+    name: member.name || "",
+    email: member.email || "",
+    sport: member.sport || "",
+    position: member.position || "",
+    yearsPlayed: member.yearsPlayed ?? "",
+    goals: member.goals || "",
+    avatar: member.avatar || "",
+    tags: (member.tags || []).join(", "),
+  });
+  const [error, setError] = useState("");
+  const [errors, setErrors] = useState({});
+  const set = (field)=> (e)=> setForm((f)=> ({ ...f, [field]: e.target.value }));
+
+  async function pickAvatar(file) {
+    try {
+      const avatar = await readAvatar(file);
+      setForm((f)=> ({ ...f, avatar }));
+      setError("");
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  function save() {
+    const found = validate(form, MEMBER_SCHEMA);
+    setErrors(found);
+    if (hasErrors(found)) return;
+    const patch = {
+      name: form.name.trim(),
+      sport: form.sport.trim(),
+      position: form.position.trim(),
+      yearsPlayed: form.yearsPlayed === "" ? null : Number(form.yearsPlayed),
+      goals: form.goals.trim(),
+      avatar: form.avatar,
+    };
+    if (isAdmin) {
+      patch.email = form.email.trim();
+      patch.tags = form.tags.split(",").map((t)=> t.trim()).filter(Boolean);
+    }
+    onSave(patch);
+  }
+
+  return (
+    <div className="p-3 border rounded-xl space-y-2">
+      <div className="flex items-center gap-3">
+        <Avatar member={{ ...member, name: form.name || member.name, avatar: form.avatar }} />
+        <Input type="file" accept="image/*" onChange={(e)=> e.target.files && e.target.files[0] && pickAvatar(e.target.files[0])} />
+        {form.avatar && <Button variant="ghost" onClick={()=> setForm((f)=> ({ ...f, avatar: "" }))}>Remove</Button>}
+      </div>
+      <Field error={errors.name}><Input placeholder="Full name" value={form.name} onChange={set("name")} aria-invalid={!!errors.name} /></Field>
+      {isAdmin && <Field error={errors.email}><Input type="email" placeholder="Email" value={form.email} onChange={set("email")} aria-invalid={!!errors.email} /></Field>}
+      <div className="grid grid-cols-3 gap-2">
+        <Input placeholder="Sport" value={form.sport} onChange={set("sport")} />
+        <Input placeholder="Position" value={form.position} onChange={set("position")} />
+        <Field error={errors.yearsPlayed}><Input type="number" min="0" placeholder="Years played" value={form.yearsPlayed} onChange={set("yearsPlayed")} aria-invalid={!!errors.yearsPlayed} /></Field>
+      </div>
+      <Textarea placeholder="Current goals" value={form.goals} onChange={set("goals")} />
+      {isAdmin && <Input placeholder="Tags, comma separated" value={form.tags} onChange={set("tags")} />}
+      {error && <p className="text-sm text-red-700">{error}</p>}
+      <div className="flex gap-2">
+        <Button onClick={save}>Save</Button>
+        <Button variant="ghost" onClick={onCancel}>Cancel</Button>
+      </div>
+    </div>
+  );
+}
+
+function Hero({ content, onJoin, welcomeByEmail }) {
+  const [name, setName] = useState("");
+  const [email, setEmail] = useState("");
+  const [sport, setSport] = useState("");
+  const [story, setStory] = useState("");
+  const [website, setWebsite] = useState(""); // honeypot, see below
+  const [errors, setErrors] = useState({});
+  const [status, setStatus] = useState("idle"); // idle | sending | done
+
+  async function submit() {
+    if (status === "sending") return;
+    const found = validate({ name, email }, JOIN_SCHEMA);
+    setErrors(found);
+    if (hasErrors(found)) return;
+    // only bots fill the hidden field; thank them and drop the signup
+    if (website) { setStatus("done"); return; }
+    const limit = joinRateLimit(readLocal(JOIN_ATTEMPTS_KEY) || []);
+    if (limit.blocked) {
+      setErrors({ form: `Too many signups from this device. Try again in ${Math.ceil(limit.retryInMs / 60000)} minutes.` });
+      return;
+    }
+    writeLocal(JOIN_ATTEMPTS_KEY, [...limit.recent, Date.now()]);
+    const member = { name: name.trim(), email: email.trim(), sport, story, ts: new Date().toISOString(), source: "locker-room-app" };
+    setStatus("sending");
+    const res = await onJoin(member);
+    if (!res.ok) {
+      setErrors({ form: res.error });
+      setStatus("idle");
+      return;
+    }
+    setStatus("done");
+    setName("");
+    setEmail("");
+    setSport("");
+    setStory("");
+  }
+
+  return (
+    <div className="grid md:grid-cols-2 gap-6 items-stretch">
+      <Card className="shadow-md">
+        <CardHeader>
+          <CardTitle className="text-2xl">{content.title}</CardTitle>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <p className="text-slate-600">{content.text}</p>
+          <ul className="grid grid-cols-2 gap-2 text-sm">
+            {content.bullets.map((b)=> <li key={b} className="flex items-center gap-2"><CheckCircle className="w-4 h-4"/>{b}</li>)}
+          </ul>
+        </CardContent>
+      </Card>
+
+      <Card className="shadow-md">
+        <CardHeader>
+          <CardTitle className="text-2xl">{content.joinTitle}</CardTitle>
+        </CardHeader>
+        <CardContent className="space-y-3">
+          {status === "done" ? (
+            <div className="text-green-700">
+              Thanks for joining.{welcomeByEmail && " Check your inbox for next steps."}
+              {!navigator.onLine && <p className="text-sm text-slate-600">You are offline. Your signup is saved and will be sent when you reconnect.</p>}
+            </div>
+          ) : (
+            <>
+              <Field error={errors.name}><Input placeholder="Full name" value={name} onChange={(e)=> setName(e.target.value)} aria-invalid={!!errors.name} /></Field>
+              <Field error={errors.email}><Input type="email" placeholder="Email" value={email} onChange={(e)=> setEmail(e.target.value)} aria-invalid={!!errors.email} /></Field>
+              <Input placeholder="Sport you played (optional)" value={sport} onChange={(e)=> setSport(e.target.value)} />
+              <Textarea placeholder={content.storyPrompt} value={story} onChange={(e)=> setStory(e.target.value)} />
+              <input type="text" name="website" tabIndex={-1} autoComplete="off" aria-hidden="true" className="absolute left-[-9999px] w-px h-px opacity-0" value={website} onChange={(e)=> setWebsite(e.target.value)} />
+              {errors.form && <p className="text-sm text-red-700">{errors.form}</p>}
+              <Button onClick={submit} disabled={status === "sending"} className="w-full flex items-center gap-2"><Users className="w-4 h-4"/>{status === "sending" ? "Joining..." : "Join now"}</Button>
+              <p className="text-xs text-slate-500">Info is saved locally and optionally sent to your Google Sheet when connected.</p>
+            </>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
+
+function Board({ title, items, onAdd, onUpdate, onDelete, isAdmin }) {
+  const [composing, setComposing] = useState(false);
+  const [editing, setEditing] = useState(null);
+  const [now, setNow] = useState(Date.now());
+
+  // re-check schedules so announcements appear and expire without a reload
+  useEffect(() => {
+    const t = setInterval(()=> setNow(Date.now()), 1000 * 60);
+    return () => clearInterval(t);
+  }, []);
+
+  const visible = sortAnnouncements(isAdmin ? items : items.filter((a)=> announcementState(a, now) === "live"));
+
+  return (
+    <Card className="shadow-sm">
+      <CardHeader>
+        <CardTitle className="flex items-center justify-between">
+          <span>{title}</span>
+          {isAdmin && !composing && <Button onClick={()=> setComposing(true)} className="flex items-center gap-2"><Plus className="w-4 h-4"/>Add</Button>}
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-3">
+        {isAdmin && composing && (
+          <AnnouncementEditor onSave={(a)=> { onAdd(a); setComposing(false); }} onCancel={()=> setComposing(false)} />
+        )}
+        {visible.length === 0 && <p className="text-sm text-slate-500">Nothing yet. Check back soon.</p>}
+        {visible.map((a)=> editing === a.id ? (
+          <AnnouncementEditor key={a.id} initial={a} onSave={(patch)=> { onUpdate(a.id, patch); setEditing(null); }} onCancel={()=> setEditing(null)} />
+        ) : (
+          <div key={a.id} className={`p-3 border rounded-xl space-y-2 ${a.pinned ? "border-slate-400 bg-slate-50" : ""}`}>
+            <div className="flex items-start justify-between gap-3">
+              <div className="pr-3 flex-1"><Markdown text={a.text} /></div>
+              {isAdmin && (
+                <div className="flex gap-1">
+                  <Button variant="ghost" onClick={()=> setEditing(a.id)}>Edit</Button>
+                  <ConfirmDelete onConfirm={()=> onDelete(a.id)} />
+                </div>
+              )}
+            </div>
+            {safeHref(a.image) && <img src={a.image} alt="" className="rounded-xl max-h-72 w-full object-cover" />}
+            {a.link && <LinkPreview url={a.link} title={a.linkTitle} />}
+            <div className="flex flex-wrap items-center gap-2 text-xs text-slate-500">
+              {a.pinned && <Badge variant="secondary">Pinned</Badge>}
+              {isAdmin && announcementState(a, now) === "scheduled" && <Badge variant="secondary">Publishes {timeAgo(a.publishAt, now)}</Badge>}
+              {isAdmin && announcementState(a, now) === "expired" && <Badge variant="secondary">Expired</Badge>}
+              {(a.publishAt || a.createdAt) && <span title={new Date(a.publishAt || a.createdAt).toLocaleString()}>{timeAgo(a.publishAt || a.createdAt, now)}</span>}
+              {a.updatedAt && <span>· edited</span>}
+              {a.expiresAt && announcementState(a, now) !== "expired" && <span>· until {new Date(a.expiresAt).toLocaleDateString()}</span>}
+            </div>
+          </div>
+        ))}
+      </CardContent>
+    </Card>
+  );
+}
+
+function AnnouncementEditor({ initial = {}, onSave, onCancel }) {
+  const [text, setText] = useState(initial.text || "");
+  const [pinned, setPinned] = useState(!!initial.pinned);
+  const [publishAt, setPublishAt] = useState(toLocalInput(initial.publishAt));
+  const [expiresAt, setExpiresAt] = useState(toLocalInput(initial.expiresAt));
+  const [image, setImage] = useState(initial.image || "");
+  const [link, setLink] = useState(initial.link || "");
+  const [linkTitle, setLinkTitle] = useState(initial.linkTitle || "");
+  const [preview, setPreview] = useState(false);
+  const [errors, setErrors] = useState({});
+
+  function save() {
+    const found = validate({ text, image, link, publishAt, expiresAt }, ANNOUNCEMENT_SCHEMA);
+    setErrors(found);
+    if (hasErrors(found)) return;
+    onSave({ text: text.trim(), pinned, publishAt: fromLocalInput(publishAt), expiresAt: fromLocalInput(expiresAt), image: image.trim(), link: link.trim(), linkTitle: linkTitle.trim() });
+  }
+
+  return (
+    <div className="p-3 border rounded-xl space-y-2 text-sm">
+      {preview ? (
+        <div className="min-h-[5rem] p-2 border rounded-md"><Markdown text={text} /></div>
+      ) : (
+        <Field error={errors.text}><Textarea placeholder="Write an announcement. Supports **bold**, *italic*, [links](https://...) and - lists." value={text} onChange={(e)=> setText(e.target.value)} aria-invalid={!!errors.text} /></Field>
+      )}
+      <div className="grid md:grid-cols-2 gap-2">
+        <label className="flex items-center gap-2">Publish at <Input type="datetime-local" value={publishAt} onChange={(e)=> setPublishAt(e.target.value)} /></label>
+        <Field error={errors.expiresAt}><label className="flex items-center gap-2">Expires at <Input type="datetime-local" value={expiresAt} onChange={(e)=> setExpiresAt(e.target.value)} aria-invalid={!!errors.expiresAt} /></label></Field>
+        <Field error={errors.image}><Input placeholder="Image URL (optional)" value={image} onChange={(e)=> setImage(e.target.value)} aria-invalid={!!errors.image} /></Field>
+        <Field error={errors.link}><Input placeholder="Link to preview (optional)" value={link} onChange={(e)=> setLink(e.target.value)} aria-invalid={!!errors.link} /></Field>
+        {link && <Input placeholder="Link title (optional)" value={linkTitle} onChange={(e)=> setLinkTitle(e.target.value)} />}
+      </div>
+      <div className="flex flex-wrap items-center gap-2">
+        <label className="flex items-center gap-2"><input type="checkbox" checked={pinned} onChange={(e)=> setPinned(e.target.checked)} />Pin to top</label>
+        <Button variant="ghost" onClick={()=> setPreview((p)=> !p)}>{preview ? "Write" : "Preview"}</Button>
+        <Button onClick={save}>{initial.id ? "Save" : "Post"}</Button>
+        <Button variant="ghost" onClick={onCancel}>Cancel</Button>
+      </div>
+    </div>
+  );
+}
+
+function LinkPreview({ url, title }) {
+  const href = safeHref(url);
+  if (!href) return null;
+  let host = href;
+  try { host = new URL(href).hostname.replace(/^www\./, ""); } catch {}
+  const video = youtubeId(href);
+  return (
+    <a href={href} target="_blank" rel="noreferrer" className="flex items-center gap-3 p-2 border rounded-xl hover:bg-slate-50">
+      {video && <img src={`https://img.youtube.com/vi/${video}/mqdefault.jpg`} alt="" className="w-28 rounded-md" />}
+      <div className="min-w-0">
+        <p className="font-medium truncate">{title || host}</p>
+        <p className="text-xs text-slate-500 truncate">{host}</p>
+      </div>
+    </a>
+  );
+}
+
+function HabitTracker({ habits, challenges, logs, meId, onToggle }) {
+  const today = localToday();
+  const todays = activeChallenges(challenges, today);
+  if (!meId) {
+    return (
+      <Card className="shadow-sm mt-6">
+        <CardHeader><CardTitle>Daily 5</CardTitle></CardHeader>
+        <CardContent><p className="text-sm text-slate-500">Join the community above to track your daily habits and take on the challenges.</p></CardContent>
+      </Card>
+    );
+  }
+  const log = logFor(logs, meId, today);
+  const streak = habitStreak(logs, meId, habits, today);
+  return (
+    <Card className="shadow-sm mt-6">
+      <CardHeader>
+        <CardTitle className="flex items-center justify-between">
+          <span>Daily 5</span>
+          <Badge variant={streak ? "default" : "secondary"}>{streak} day streak</Badge>
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4 text-sm">
+        {todays.length > 0 && (
+          <div className="space-y-2">
+            {todays.map((c)=> {
+              const done = logs.some((l)=> l.memberId === meId && l.challenges.includes(c.id));
+              return (
+                <label key={c.id} className="p-3 border rounded-xl flex items-start gap-3">
+                  <input type="checkbox" className="mt-1" checked={done} onChange={()=> onToggle("challenges", c.id)} />
+                  <span>
+                    <span className="font-medium">{c.cadence === "weekly" ? "This week's challenge" : "Today's challenge"}: {c.title}</span>
+                    {c.description && <span className="block text-slate-600">{c.description}</span>}
+                  </span>
+                </label>
+              );
+            })}
+          </div>
+        )}
+        <div className="grid md:grid-cols-2 gap-2">
+          {habits.map((h)=> (
+            <label key={h.id} className="flex items-center gap-2">
+              <input type="checkbox" checked={!!log && log.habits.includes(h.id)} onChange={()=> onToggle("habits", h.id)} />{h.label}
+            </label>
+          ))}
+        </div>
+        <WeekSummary summary={weeklySummary(logs, meId, habits, challenges, today)} habitCount={habits.length} />
+      </CardContent>
+    </Card>
+  );
+}
+
+function WeekSummary({ summary, habitCount }) {
+  return (
+    <div className="space-y-2">
+      <div className="grid grid-cols-7 gap-1 text-center text-xs">
+        {summary.days.map((d)=> (
+          <div key={d.day} className={`p-1 rounded-md ${habitCount && d.done === habitCount ? "bg-green-100" : d.done ? "bg-slate-100" : "border"}`}>
+            <div className="text-slate-500">{WEEKDAY_LABELS[weekdayOf(d.day)]}</div>
+            <div className="font-medium">{d.done}/{habitCount}</div>
+          </div>
+        ))}
+      </div>
+      <p className="text-xs text-slate-500">
+        This week: {summary.habitsDone}/{summary.habitsPossible} habits
+        {summary.challengesTotal > 0 && ` · ${summary.challengesDone}/${summary.challengesTotal} challenges`} · {summary.points} points
+      </p>
+    </div>
+  );
+}
+
+function Leaderboard({ members, habits, challenges, logs, isAdmin }) {
+  const [open, setOpen] = useState(null);
+  const rows = habitLeaderboard(members, logs, habits, challenges, localToday());
+  if (!rows.length) return null;
+  return (
+    <Card className="shadow-sm mt-6">
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2"><Trophy className="w-4 h-4"/>This week's leaderboard</CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-1 text-sm">
+        {rows.map((r, i)=> (
+          <div key={r.member.id}>
+            <button className="w-full flex items-center justify-between p-2 rounded-md hover:bg-slate-50 text-left" onClick={()=> isAdmin && setOpen(open === r.member.id ? null : r.member.id)}>
+              <span className="flex items-center gap-2"><span className="w-5 text-slate-500">{i + 1}</span><Avatar member={r.member} className="w-7 h-7" />{r.member.name}</span>
+              <span className="text-slate-500">{r.week.points} pts · {r.streak} day streak</span>
+            </button>
+            {isAdmin && open === r.member.id && <div className="px-2 pb-2"><WeekSummary summary={r.week} habitCount={habits.length} /></div>}
+          </div>
+        ))}
+        <p className="text-xs text-slate-500 pt-1">1 point per habit, {CHALLENGE_POINTS} per challenge.</p>
+      </CardContent>
+    </Card>
+  );
+}
+
+function Squad({ squads, members, goals, meId, onSetGoal, onCheckIn }) {
+  const week = weekStart(localToday());
+  const squad = meId ? squadFor(squads, meId) : null;
+  const mine = meId ? goalFor(goals, meId, week) : null;
+  // squad reports cover the week just ended, so last week's goal can still be checked in
+  const lastWeek = addDays(week, -7);
+  const overdue = meId ? goalFor(goals, meId, lastWeek) : null;
+  const [goal, setGoal] = useState("");
+  const [editingGoal, setEditingGoal] = useState(false);
+  if (!squad) return null;
+
+  const squadMembers = squad.memberIds.map((id)=> members.find((m)=> m.id === id)).filter((m)=> m && isActiveMember(m));
+
+  return (
+    <Card className="shadow-sm mt-6">
+      <CardHeader>
+        <CardTitle className="flex items-center justify-between">
+          <span>{squad.name}</span>
+          <span className="text-sm font-normal text-slate-500">Week of {week}</span>
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4 text-sm">
+        {overdue && !overdue.checkIn && (
+          <div className="p-3 border rounded-xl space-y-2">
+            <p><strong>Last week's goal:</strong> {overdue.goal}</p>
+            <p className="text-slate-500">The week is over. How did it go?</p>
+            <CheckInForm onCheckIn={(status, reflection)=> onCheckIn(lastWeek, status, reflection)} />
+          </div>
+        )}
+        {!mine || editingGoal ? (
+          <div className="flex gap-2">
+            <Input placeholder="Your goal for this week" value={goal} onChange={(e)=> setGoal(e.target.value)} />
+            <Button onClick={()=> { if (goal.trim()) { onSetGoal(goal.trim()); setGoal(""); setEditingGoal(false); } }}>Set goal</Button>
+          </div>
+        ) : !mine.checkIn ? (
+          <div className="p-3 border rounded-xl space-y-2">
+            <p><strong>Your goal:</strong> {mine.goal} <Button variant="ghost" onClick={()=> { setGoal(mine.goal); setEditingGoal(true); }}>Edit</Button></p>
+            <p className="text-slate-500">At the end of the week, check in on how it went.</p>
+            <CheckInForm onCheckIn={(status, reflection)=> onCheckIn(week, status, reflection)} />
+          </div>
+        ) : null}
+        <div className="space-y-2">
+          {squadMembers.map((m)=> {
+            const g = goalFor(goals, m.id, week);
+            return (
+              <div key={m.id} className="p-2 border rounded-xl flex items-start gap-3">
+                <Avatar member={m} className="w-8 h-8" />
+                <div className="flex-1">
+                  <p className="font-medium">{m.name}{m.id === meId && <span className="text-slate-500"> (you)</span>}</p>
+                  <p className="text-slate-600">{g ? g.goal : "No goal yet this week"}</p>
+                  {g?.checkIn?.reflection && <p className="text-slate-500 italic">{g.checkIn.reflection}</p>}
+                </div>
+                {g?.checkIn && <Badge variant={g.checkIn.status === "done" ? "default" : "secondary"}>{CHECK_IN_LABELS[g.checkIn.status]}</Badge>}
+              </div>
+            );
+          })}
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
+
+function CheckInForm({ onCheckIn }) {
+  const [status, setStatus] = useState("done");
+  const [reflection, setReflection] = useState("");
+  return (
+    <>
+      <div className="flex gap-2">
+        {Object.entries(CHECK_IN_LABELS).map(([value, label])=> (
+          <Button key={value} variant={status === value ? "default" : "secondary"} onClick={()=> setStatus(value)}>{label}</Button>
+        ))}
+      </div>
+      <Textarea placeholder="Reflection: what worked, what got in the way?" value={reflection} onChange={(e)=> setReflection(e.target.value)} />
+      <Button onClick={()=> { onCheckIn(status, reflection.trim()); setReflection(""); }}>Check in</Button>
+    </>
+  );
+}
+
+function SquadAdmin({ squads, members, goals, onCreate, onAssign, onDelete }) {
+  const [name, setName] = useState("");
+  const [editing, setEditing] = useState(null); // { id, memberIds }
+  const [week, setWeek] = useState(addDays(weekStart(localToday()), -7));
+  const missing = missingCheckIns(squads, members, goals, weekStart(week));
+  const active = members.filter(isActiveMember);
+
+  return (
+    <Card className="border-dashed mt-6">
+      <CardHeader>
+        <CardTitle>Accountability squads</CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4 text-sm">
+        <div className="flex gap-2">
+          <Input placeholder="Squad name" value={name} onChange={(e)=> setName(e.target.value)} />
+          <Button onClick={()=> { if (name.trim()) { onCreate(name.trim()); setName(""); } }} className="flex items-center gap-2"><Plus className="w-4 h-4"/>Create</Button>
+        </div>
+        {squads.map((s)=> (
+          <div key={s.id} className="p-3 border rounded-xl space-y-2">
+            <div className="flex items-center justify-between">
+              <span className="font-medium">{s.name} · {s.memberIds.length} members</span>
+              <span className="flex gap-1">
+                <Button variant="ghost" onClick={()=> setEditing(editing?.id === s.id ? null : { id: s.id, memberIds: s.memberIds })}>Members</Button>
+                <ConfirmDelete onConfirm={()=> onDelete(s.id)} />
+              </span>
+            </div>
+            {editing?.id === s.id && (
+              <div className="space-y-2">
+                <div className="grid md:grid-cols-3 gap-1">
+                  {active.map((m)=> {
+                    const other = squadFor(squads, m.id);
+                    return (
+                      <label key={m.id} className="flex items-center gap-2">
+                        <input type="checkbox" checked={editing.memberIds.includes(m.id)} onChange={(e)=> setEditing({ ...editing, memberIds: e.target.checked ? [...editing.memberIds, m.id] : editing.memberIds.filter((id)=> id !== m.id) })} />
+                        {m.name}{other && other.id !== s.id && <span className="text-slate-500">({other.name})</span>}
+                      </label>
+                    );
+                  })}
+                </div>
+                <Button onClick={()=> { onAssign(s.id, editing.memberIds); setEditing(null); }}>Save members</Button>
+              </div>
+            )}
+          </div>
+        ))}
+        {squads.length > 0 && (
+          <div className="space-y-2">
+            <div className="flex items-center gap-2">
+              <h3 className="font-medium">Missing check-ins for the week of</h3>
+              <Input type="date" className="w-44" value={week} onChange={(e)=> e.target.value && setWeek(weekStart(e.target.value))} />
+            </div>
+            {missing.length === 0 ? (
+              <p className="text-green-700">Everyone checked in.</p>
+            ) : (
+              <ul className="space-y-1">
+                {missing.map((r)=> (
+                  <li key={`${r.squad.id}-${r.member.id}`} className="flex justify-between">
+                    <span>{r.member.name} <span className="text-slate-500">· {r.squad.name}</span></span>
+                    <span className="text-red-700">{r.reason}</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+function ChallengeAdmin({ habits, challenges, onAddHabit, onDeleteHabit, onAddChallenge, onDeleteChallenge }) {
+  const [habit, setHabit] = useState("");
+  const [title, setTitle] = useState("");
+  const [description, setDescription] = useState("");
+  const [cadence, setCadence] = useState("daily");
+  const [date, setDate] = useState(localToday());
+  const today = localToday();
+  const upcoming = challenges.filter((c)=> (c.cadence === "weekly" ? addDays(c.date, 6) : c.date) >= today).sort((a, b)=> a.date.localeCompare(b.date));
+
+  function publish() {
+    if (!title.trim() || !date) return;
+    onAddChallenge({ title: title.trim(), description: description.trim(), cadence, date: cadence === "weekly" ? weekStart(date) : date });
+    setTitle(""); setDescription("");
+  }
+
+  return (
+    <Card className="border-dashed mt-6">
+      <CardHeader>
+        <CardTitle>Challenges and habits</CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4 text-sm">
+        <div className="grid md:grid-cols-4 gap-2">
+          <Input placeholder="Challenge title" value={title} onChange={(e)=> setTitle(e.target.value)} />
+          <select className="border rounded-md p-2" value={cadence} onChange={(e)=> setCadence(e.target.value)}>
+            <option value="daily">Daily</option>
+            <option value="weekly">Weekly</option>
+          </select>
+          <Input type="date" value={date} onChange={(e)=> setDate(e.target.value)} aria-label={cadence === "weekly" ? "Any day in the week" : "Day"} />
+          <Button onClick={publish} className="flex items-center gap-2"><Plus className="w-4 h-4"/>Publish</Button>
+          <Textarea className="md:col-span-4" placeholder="What should members do?" value={description} onChange={(e)=> setDescription(e.target.value)} />
+        </div>
+        {upcoming.map((c)=> (
+          <div key={c.id} className="p-2 border rounded-xl flex items-center justify-between">
+            <span>{c.cadence === "weekly" ? `Week of ${c.date}` : c.date} · {c.title}</span>
+            <ConfirmDelete onConfirm={()=> onDeleteChallenge(c.id)} />
+          </div>
+        ))}
+        <hr/>
+        <h3 className="font-medium">Daily habits</h3>
+        {habits.map((h)=> (
+          <div key={h.id} className="flex items-center justify-between">
+            <span>{h.label}</span>
+            <ConfirmDelete label="Remove" onConfirm={()=> onDeleteHabit(h.id)} />
+          </div>
+        ))}
+        <div className="flex gap-2">
+          <Input placeholder="New habit" value={habit} onChange={(e)=> setHabit(e.target.value)} />
+          <Button variant="secondary" onClick={()=> { if (habit.trim()) { onAddHabit(habit.trim()); setHabit(""); } }}>Add habit</Button>
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
+
+function Events({ site, items, selectedId, onAdd, onUpdate, onDelete, onSkip, isAdmin, members, rsvps, meId, onRsvp, onCheckIn }) {
+  const [added, setAdded] = useState(0);
+  const [editing, setEditing] = useState(null);
+  const [showPast, setShowPast] = useState(false);
+  const form = useRef(null);
+
+  const upcoming = useMemo(()=> upcomingOccurrences(items), [items]);
+  const past = items.filter(isPastEvent);
+  const editingEvent = items.find((e)=> e.id === editing);
+  const selected = selectedId != null ? items.find((e)=> String(e.id) === selectedId) : null;
+  const selectedDates = useMemo(()=> selected ? upcomingOccurrences([selected]) : [], [selected]);
+
+  function edit(id) {
+    setEditing(id);
+    if (form.current) form.current.scrollIntoView({ behavior: "smooth", block: "start" });
+  }
+
+  const eventCard = (o)=> (
+    <EventCard
+      key={`${o.event.id}-${o.day}`}
+      site={site}
+      occurrence={o}
+      isAdmin={isAdmin}
+      members={members}
+      rsvps={rsvps}
+      meId={meId}
+      onRsvp={onRsvp}
+      onCheckIn={onCheckIn}
+      onSkip={onSkip}
+      onEdit={edit}
+      onDelete={onDelete}
+    />
+  );
+
+  const adminForm = isAdmin && (
+    <Card className="border-dashed" ref={form}>
+      <CardHeader>
+        <CardTitle>{editingEvent ? `Edit ${editingEvent.title}` : "Add event"}</CardTitle>
+      </CardHeader>
+      <CardContent>
+        {editingEvent ? (
+          <EventEditor key={editingEvent.id} initial={editingEvent} onSave={(patch)=> { onUpdate(editingEvent.id, patch); setEditing(null); }} onCancel={()=> setEditing(null)} />
+        ) : (
+          <EventEditor key={added} onSave={(event)=> { onAdd(event); setAdded((n)=> n + 1); }} />
+        )}
+      </CardContent>
+    </Card>
+  );
+
+  if (selectedId != null) {
+    return (
+      <div className="space-y-4">
+        {editingEvent && adminForm}
+        <ItemPage back="events" missing={!selected && "This event is no longer listed."}>
+          {selectedDates.length === 0 && <p className="text-sm text-slate-500">{selected?.title} on {selected?.date} has already happened.</p>}
+          <div className="grid md:grid-cols-2 gap-4">
+            {selectedDates.slice(0, EVENT_PAGE_DATES).map(eventCard)}
+          </div>
+        </ItemPage>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      {adminForm}
+
+      <div className="flex items-center justify-between">
+        <h2 className="text-lg font-semibold">Upcoming</h2>
+        {items.length > 0 && <Button variant="secondary" onClick={()=> downloadFile(`${slugify(site.name)}-events.ics`, eventsToIcs(items, site), "text/calendar")}>Add all to calendar</Button>}
+      </div>
+      {upcoming.length === 0 && <p className="text-sm text-slate-500">No upcoming events. Check back soon.</p>}
+      <div className="grid md:grid-cols-2 gap-4">
+        {upcoming.map(eventCard)}
+      </div>
+
+      {isAdmin && <Attendance members={members} rsvps={rsvps} events={items} />}
+
+      {isAdmin && past.length > 0 && (
+        <div className="space-y-2">
+          <Button variant="ghost" onClick={()=> setShowPast((v)=> !v)}>{showPast ? "Hide" : "Show"} past events ({past.length})</Button>
+          {showPast && past.map((e)=> (
+            <div key={e.id} className="p-3 border rounded-xl flex items-center justify-between text-sm">
+              <span>{e.title} · {e.date}{e.recurrence ? ` · ${describeRecurrence(e)}` : ""}</span>
+              <span className="flex gap-1">
+                <Button variant="ghost" onClick={()=> edit(e.id)}>Edit</Button>
+                <ConfirmDelete onConfirm={()=> onDelete(e.id)} />
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
 
-      <Card className="shadow-md">
-        <CardHeader>
-          <CardTitle className="text-2xl">Join for free</CardTitle>
-        </CardHeader>
-        <CardContent className="space-y-3">
-          {status === "done" ? (
-            <div className="text-green-700">Thanks for joining. Check your inbox for next steps.</div>
-          ) : status === "error" ? (
-            <div className="text-red-700">Saved locally. There was a problem sending to the Sheet. Try again later.</div>
-          ) : (
-            <>
-              <Input placeholder="Full name" value={name} onChange={(e)=> setName(e.target.value)} />
-              <Input type="email" placeholder="Email" value={email} onChange={(e)=> setEmail(e.target.value)} />
-              <Textarea placeholder="Share a bit about you and your sport background" value={story} onChange={(e)=> setStory(e.target.value)} />
-              <Button onClick={submit} disabled={status === "sending"} className="w-full flex items-center gap-2">
-                <Users className="w-4 h-4"/>{status === "sending" ? "Submitting..." : "Join now"}
-              </Button>
-              <p className="text-xs text-slate-500">Info is saved locally and optionally sent to your Google Sheet when connected.</p>
-            </>
-          )} />
-              <Input type="email" placeholder="Email" value={email} onChange={(e)=> setEmail(e.target.value)} />
-              <Textarea placeholder="Share a bit about you and your sport background" value={story} onChange={(e)=> setStory(e.target.value)} />
-              <Button onClick={submit} className="w-full flex items-center gap-2"><Users className="w-4 h-4"/>Join now</Button>
-              <p className="text-xs text-slate-500">Your info is saved in your browser only until a backend is added.</p>
-            </>
-          )}
-        </CardContent>
-      </Card>
+function EventEditor({ initial = {}, onSave, onCancel }) {
+  const rule = initial.recurrence;
+  const [title, setTitle] = useState(initial.title || "");
+  const [date, setDate] = useState(initial.date || "");
+  const [startTime, setStartTime] = useState(initial.startTime || "");
+  const [endTime, setEndTime] = useState(initial.endTime || "");
+  const [timeZone, setTimeZone] = useState(initial.timeZone || DEFAULT_TIME_ZONE);
+  const [repeat, setRepeat] = useState(!!rule);
+  const [byDay, setByDay] = useState(rule ? rule.byDay : []);
+  const [until, setUntil] = useState(rule ? rule.until || "" : "");
+  const [exdates, setExdates] = useState(rule ? (rule.exdates || []).join(", ") : "");
+  const [capacity, setCapacity] = useState(initial.capacity ? String(initial.capacity) : "");
+  const [location, setLocation] = useState(initial.location || "");
+  const [description, setDescription] = useState(initial.description || "");
+  const [errors, setErrors] = useState({});
+  const zones = useMemo(()=> (Intl.supportedValuesOf ? Intl.supportedValuesOf("timeZone") : [DEFAULT_TIME_ZONE]), []);
+
+  function save() {
+    const found = validate({ title, date, startTime, endTime, capacity, until: repeat ? until : "", exdates: repeat ? exdates : "" }, EVENT_SCHEMA);
+    setErrors(found);
+    if (hasErrors(found)) return;
+    const recurrence = repeat ? {
+      freq: "weekly",
+      byDay: byDay.length ? WEEKDAYS.filter((d)=> byDay.includes(d)) : [weekdayOf(date)],
+      until,
+      exdates: exdates.split(/[\s,]+/).filter(isDate),
+    } : null;
+    onSave({ title, date, startTime, endTime, timeZone, recurrence, capacity: Number(capacity) || null, location, description });
+  }
+
+  return (
+    <div className="grid md:grid-cols-4 gap-2">
+      <Field error={errors.title}><Input placeholder="Title" value={title} onChange={(e)=> setTitle(e.target.value)} aria-invalid={!!errors.title} /></Field>
+      <Field error={errors.date}><Input type="date" value={date} onChange={(e)=> setDate(e.target.value)} aria-invalid={!!errors.date} /></Field>
+      <Input type="time" value={startTime} onChange={(e)=> setStartTime(e.target.value)} aria-label="Start time (leave empty for all day)" />
+      <Field error={errors.endTime}><Input type="time" value={endTime} onChange={(e)=> setEndTime(e.target.value)} aria-label="End time" aria-invalid={!!errors.endTime} /></Field>
+      <select className="border rounded-md p-2" value={timeZone} onChange={(e)=> setTimeZone(e.target.value)}>
+        {zones.map((z)=> <option key={z} value={z}>{z}</option>)}
+      </select>
+      <Input placeholder="Location" value={location} onChange={(e)=> setLocation(e.target.value)} />
+      <Field error={errors.capacity}><Input type="number" min="0" placeholder="Capacity (empty for no limit)" value={capacity} onChange={(e)=> setCapacity(e.target.value)} aria-invalid={!!errors.capacity} /></Field>
+      <label className="flex items-center gap-2 text-sm"><input type="checkbox" checked={repeat} onChange={(e)=> setRepeat(e.target.checked)} />Repeats weekly</label>
+      {repeat && (
+        <div className="md:col-span-4 grid md:grid-cols-3 gap-2 text-sm">
+          <div className="flex flex-wrap items-center gap-2">
+            {WEEKDAYS.map((d)=> (
+              <label key={d} className="flex items-center gap-1"><input type="checkbox" checked={byDay.includes(d)} onChange={(e)=> setByDay((list)=> e.target.checked ? [...list, d] : list.filter((x)=> x !== d))} />{WEEKDAY_LABELS[d]}</label>
+            ))}
+          </div>
+          <Field error={errors.until}><Input type="date" value={until} onChange={(e)=> setUntil(e.target.value)} aria-label="Repeat until" aria-invalid={!!errors.until} /></Field>
+          <Field error={errors.exdates}><Input placeholder="Skip dates (YYYY-MM-DD, comma separated)" value={exdates} onChange={(e)=> setExdates(e.target.value)} aria-invalid={!!errors.exdates} /></Field>
+        </div>
+      )}
+      <div className="md:col-span-4 grid grid-cols-1 gap-2">
+        <Textarea placeholder="Description" value={description} onChange={(e)=> setDescription(e.target.value)} />
+        <div className="flex gap-2">
+          <Button onClick={save} className="flex-1 flex items-center gap-2"><Calendar className="w-4 h-4"/>Save event</Button>
+          {onCancel && <Button variant="ghost" onClick={onCancel}>Cancel</Button>}
+        </div>
+      </div>
     </div>
   );
 }
 
-function Board({ title, items, onAdd, onDelete, isAdmin }) {
-  const [text, setText] = useState("");
+const RSVP_LABELS = { going: "Going", maybe: "Maybe", no: "Can't go" };
+
+function EventCard({ site, occurrence: o, isAdmin, members, rsvps, meId, onRsvp, onCheckIn, onSkip, onEdit, onDelete }) {
+  const [showAttendees, setShowAttendees] = useState(false);
+  const [walkIn, setWalkIn] = useState("");
+  const summary = rsvpSummary(rsvps, o.event.id, o.day, o.event.capacity);
+  const mine = summary.all.find((r)=> r.memberId === meId);
+  const myPlace = mine && mine.status === "going" ? summary.waitlist.indexOf(mine) : -1;
+  const memberName = (id)=> members.find((m)=> m.id === id)?.name || "Former member";
+  const isToday = o.day === localToday();
+
   return (
     <Card className="shadow-sm">
       <CardHeader>
-        <CardTitle className="flex items-center justify-between">
-          <span>{title}</span>
-          {isAdmin && (
-            <div className="flex gap-2">
-              <Input placeholder="Write an announcement" value={text} onChange={(e)=> setText(e.target.value)} />
-              <Button onClick={()=> { if(text.trim()) { onAdd(text.trim()); setText(""); } }} className="flex items-center gap-2"><Plus className="w-4 h-4"/>Add</Button>
-            </div>
-          )}
+        <CardTitle className="flex items-center justify-between gap-2">
+          <Link to={{ tab: "events", id: o.event.id }} className="hover:underline">{o.event.title}</Link>
+          {isToday && <Badge>Today</Badge>}
         </CardTitle>
       </CardHeader>
-      <CardContent className="space-y-3">
-        {items.length === 0 && <p className="text-sm text-slate-500">Nothing yet. Check back soon.</p>}
-        {items.map((a)=> (
-          <div key={a.id} className="p-3 border rounded-xl flex items-start justify-between">
-            <p className="pr-3">{a.text}</p>
-            {isAdmin && <Button variant="ghost" onClick={()=> onDelete(a.id)}>Delete</Button>}
+      <CardContent className="space-y-2 text-sm">
+        <p><strong>When:</strong> {formatOccurrence(o)}</p>
+        {o.event.recurrence && <p className="text-slate-500">{describeRecurrence(o.event)}</p>}
+        <p><strong>Location:</strong> {o.event.location}</p>
+        {o.event.description && <p className="text-slate-600">{o.event.description}</p>}
+        <p className="text-slate-500">
+          {summary.confirmed.length} going{summary.maybe.length > 0 && ` · ${summary.maybe.length} maybe`}
+          {summary.spotsLeft !== null && (summary.spotsLeft > 0 ? ` · ${summary.spotsLeft} spots left` : ` · Full${summary.waitlist.length ? `, ${summary.waitlist.length} waiting` : ""}`)}
+        </p>
+        {meId ? (
+          <div className="flex flex-wrap gap-2">
+            {Object.entries(RSVP_LABELS).map(([status, label])=> (
+              <Button key={status} variant={mine?.status === status ? "default" : "secondary"} onClick={()=> onRsvp(o.event.id, o.day, status)}>{label}</Button>
+            ))}
+          </div>
+        ) : (
+          <p className="text-slate-500">Join the community above to RSVP.</p>
+        )}
+        {myPlace >= 0 && <p className="text-amber-700">This session is full. You are #{myPlace + 1} on the waitlist.</p>}
+        <div className="flex flex-wrap gap-2">
+          <Button variant="secondary" onClick={()=> downloadFile(`${slugify(o.event.title)}.ics`, eventsToIcs([o.event], site), "text/calendar")}>Add to calendar</Button>
+          {isAdmin && <Button variant="ghost" onClick={()=> setShowAttendees((v)=> !v)}>Attendees ({summary.all.length})</Button>}
+          {isAdmin && o.event.recurrence && <Button variant="ghost" onClick={()=> onSkip(o.event, o.day)}>Skip this date</Button>}
+          {isAdmin && <Button variant="ghost" onClick={()=> onEdit(o.event.id)}>{o.event.recurrence ? "Edit series" : "Edit"}</Button>}
+          {isAdmin && <ConfirmDelete label={o.event.recurrence ? "Delete series" : "Delete"} onConfirm={()=> onDelete(o.event.id)} />}
+        </div>
+        {isAdmin && showAttendees && (
+          <div className="border-t pt-2 space-y-1">
+            {summary.all.length === 0 && <p className="text-slate-500">No replies yet.</p>}
+            {[...summary.confirmed, ...summary.waitlist, ...summary.maybe, ...summary.no].map((r)=> (
+              <label key={r.id} className="flex items-center justify-between gap-2">
+                <span>{memberName(r.memberId)} <span className="text-slate-500">· {summary.waitlist.includes(r) ? `waitlist #${summary.waitlist.indexOf(r) + 1}` : RSVP_LABELS[r.status]}</span></span>
+                <span className="flex items-center gap-1"><input type="checkbox" checked={!!r.checkedInAt} onChange={(e)=> onCheckIn(o.event.id, o.day, r.memberId, e.target.checked)} />Checked in</span>
+              </label>
+            ))}
+            <div className="flex gap-2 pt-1">
+              <select className="border rounded-md p-2 flex-1" value={walkIn} onChange={(e)=> setWalkIn(e.target.value)}>
+                <option value="">Check in a walk-in...</option>
+                {members.filter((m)=> !summary.all.some((r)=> r.memberId === m.id)).map((m)=> <option key={m.id} value={m.id}>{m.name}</option>)}
+              </select>
+              <Button variant="secondary" disabled={!walkIn} onClick={()=> { onCheckIn(o.event.id, o.day, members.find((m)=> String(m.id) === walkIn).id, true); setWalkIn(""); }}>Check in</Button>
+            </div>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+function Attendance({ members, rsvps, events }) {
+  const [open, setOpen] = useState(null);
+  const rows = attendanceByMember(members, rsvps, events).filter((r)=> r.going || r.attended);
+  return (
+    <Card className="border-dashed">
+      <CardHeader>
+        <CardTitle>Attendance</CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-2 text-sm">
+        {rows.length === 0 && <p className="text-slate-500">No RSVPs or check-ins yet.</p>}
+        {rows.map((r)=> (
+          <div key={r.member.id} className="p-2 border rounded-xl">
+            <button className="w-full flex items-center justify-between text-left" onClick={()=> setOpen(open === r.member.id ? null : r.member.id)}>
+              <span className="font-medium">{r.member.name}</span>
+              <span className="text-slate-500">{r.attended} attended · {r.going} RSVPs{r.lastAttended && ` · last ${r.lastAttended}`}</span>
+            </button>
+            {open === r.member.id && (
+              <ul className="pt-2 pl-4 list-disc text-slate-600">
+                {r.history.length === 0 && <li>Has not been checked in yet.</li>}
+                {r.history.map((h, i)=> <li key={i}>{h.day} · {h.title}</li>)}
+              </ul>
+            )}
           </div>
         ))}
       </CardContent>
@@ -329,138 +4724,401 @@ function Board({ title, items, onAdd, onDelete, isAdmin }) {
   );
 }
 
-function Events({ items, onAdd, onDelete, isAdmin }) {
-  const [title, setTitle] = useState("");
-  const [date, setDate] = useState("");
-  const [location, setLocation] = useState("");
-  const [description, setDescription] = useState("");
+function Products({ items, files, checkout, selectedId, onAdd, onUpdate, onDelete, onMove, isAdmin, onApply, cart, onAddToCart, onOpenCart, onTrack, hasPurchases }) {
+  const [added, setAdded] = useState(0);
+  const [editing, setEditing] = useState(null);
+  const dragProps = useDragReorder(onMove);
+  const selected = selectedId != null ? items.find((p)=> String(p.id) === selectedId) : null;
+
+  const productCard = (p, drag = isAdmin)=> editing === p.id ? (
+    <Card key={p.id} className="border-dashed md:col-span-3">
+      <CardHeader>
+        <CardTitle>Edit {p.title}</CardTitle>
+      </CardHeader>
+      <CardContent>
+        <ProductEditor initial={p} file={files.find((f)=> f.id === p.id)} onSave={(patch)=> { onUpdate(p.id, patch); setEditing(null); }} onCancel={()=> setEditing(null)} />
+      </CardContent>
+    </Card>
+  ) : (
+    <ProductCard
+      key={p.id}
+      product={p}
+      isAdmin={isAdmin}
+      checkout={checkout}
+      inCart={cart.some((c)=> c.productId === p.id)}
+      dragProps={drag ? dragProps(p.id) : {}}
+      onApply={onApply}
+      onAddToCart={onAddToCart}
+      onTrack={onTrack}
+      onEdit={()=> setEditing(p.id)}
+      onDelete={onDelete}
+    />
+  );
+
+  const cartButton = (cart.length > 0 || hasPurchases) && (
+    <div className="flex items-center justify-end gap-2">
+      <Button variant="secondary" onClick={onOpenCart} className="flex items-center gap-2"><ShoppingCart className="w-4 h-4"/>Cart ({cart.length})</Button>
+    </div>
+  );
+
+  if (selectedId != null) {
+    return (
+      <div className="space-y-4">
+        {cartButton}
+        <ItemPage back="store" missing={!selected && "This product is no longer listed."}>
+          <div className="max-w-md">{selected && productCard(selected, false)}</div>
+        </ItemPage>
+      </div>
+    );
+  }
+
   return (
     <div className="space-y-4">
       {isAdmin && (
         <Card className="border-dashed">
           <CardHeader>
-            <CardTitle>Add event</CardTitle>
+            <CardTitle>Add product or coaching package</CardTitle>
           </CardHeader>
-          <CardContent className="grid md:grid-cols-4 gap-2">
-            <Input placeholder="Title" value={title} onChange={(e)=> setTitle(e.target.value)} />
-            <Input type="date" value={date} onChange={(e)=> setDate(e.target.value)} />
-            <Input placeholder="Location" value={location} onChange={(e)=> setLocation(e.target.value)} />
-            <div className="md:col-span-4 grid grid-cols-1 gap-2">
-              <Textarea placeholder="Description" value={description} onChange={(e)=> setDescription(e.target.value)} />
-              <Button onClick={()=> { if(title && date) { onAdd({ title, date, location, description }); setTitle(""); setDate(""); setLocation(""); setDescription(""); } }} className="w-full flex items-center gap-2"><Calendar className="w-4 h-4"/>Save event</Button>
-            </div>
+          <CardContent>
+            <ProductEditor key={added} onSave={(p)=> { onAdd(p); setAdded((n)=> n + 1); }} />
           </CardContent>
         </Card>
       )}
 
-      <div className="grid md:grid-cols-2 gap-4">
-        {items.map((e)=> (
-          <Card key={e.id} className="shadow-sm">
-            <CardHeader>
-              <CardTitle>{e.title}</CardTitle>
-            </CardHeader>
-            <CardContent className="space-y-2 text-sm">
-              <p><strong>Date:</strong> {e.date}</p>
-              <p><strong>Location:</strong> {e.location}</p>
-              {e.description && <p className="text-slate-600">{e.description}</p>}
-              {isAdmin && <Button variant="ghost" onClick={()=> onDelete(e.id)}>Delete</Button>}
-            </CardContent>
-          </Card>
-        ))}
+      {cartButton}
+
+      {isAdmin && items.length > 1 && <p className="text-xs text-slate-500">Drag cards to change the order visitors see.</p>}
+      <div className="grid md:grid-cols-3 gap-4">
+        {items.map((p)=> productCard(p))}
       </div>
+
+      {isAdmin && !checkout && <p className="text-xs text-slate-500">Checkout is not configured for this deploy (PAYMENTS), so digital products can only be bought through their payment link.</p>}
+      <p className="text-xs text-slate-500">Tip: Give digital products a Stripe Payment Link, or a file to deliver through checkout, and coaching a Calendly link.</p>
     </div>
   );
 }
 
-function Products({ items, onAdd, onDelete, isAdmin, onApply }) {
-  const [kind, setKind] = useState("digital");
-  const [title, setTitle] = useState("");
-  const [price, setPrice] = useState("");
-  const [description, setDescription] = useState("");
-  const [link, setLink] = useState("");
-  const [cta, setCta] = useState("Buy now");
+function ProductCard({ product: p, isAdmin, checkout, inCart, dragProps, onApply, onAddToCart, onTrack, onEdit, onDelete }) {
+  return (
+    <Card className={`shadow-sm ${isAdmin ? "cursor-move" : ""}`} {...dragProps}>
+      <CardHeader>
+        <CardTitle className="text-lg flex items-center justify-between">
+          <Link to={{ tab: "store", id: p.id }} className="hover:underline">{p.title}</Link>
+          {p.price !== 0 && <Badge>{formatMoney(priceCents(p))}</Badge>}
+          {p.price === 0 && <Badge variant="secondary">Free</Badge>}
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-3 text-sm">
+        <p className="text-slate-600">{p.description}</p>
+        {acceptsApplications(p) ? (
+          <Button className="w-full" onClick={()=> { onTrack(p.id, "apply"); onApply(p); }}>Apply</Button>
+        ) : p.kind === "digital" && !safeHref(p.link) && checkout ? (
+          <Button className="w-full flex items-center gap-2" onClick={()=> { onTrack(p.id, "cart"); onAddToCart(p); }}>
+            <ShoppingCart className="w-4 h-4"/>{inCart ? "In cart" : (p.cta || "Buy now")}
+          </Button>
+        ) : (
+          safeHref(p.link) ? (
+            <a href={safeHref(p.link)} target="_blank" rel="noreferrer" onClick={()=> onTrack(p.id, "link")}>
+              <Button className="w-full">{p.cta || (p.kind === "coaching" ? "Book call" : "Buy now")}</Button>
+            </a>
+          ) : (
+            <Button className="w-full" disabled>{p.cta || (p.kind === "coaching" ? "Book call" : "Buy now")}</Button>
+          )
+        )}
+        {isAdmin && (
+          <div className="flex gap-1">
+            <Button variant="ghost" onClick={onEdit}>Edit</Button>
+            <ConfirmDelete onConfirm={()=> onDelete(p.id)} />
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+function ProductEditor({ initial = {}, file, onSave, onCancel }) {
+  const [kind, setKind] = useState(initial.kind || "digital");
+  const [title, setTitle] = useState(initial.title || "");
+  const [price, setPrice] = useState(initial.price ? String(initial.price) : "");
+  const [description, setDescription] = useState(initial.description || "");
+  const [link, setLink] = useState(initial.link || "");
+  const [downloadUrl, setDownloadUrl] = useState(file?.url || "");
+  const [cta, setCta] = useState(initial.cta || "Buy now");
+  const [questions, setQuestions] = useState(questionsToText(initial.questions));
+  const [errors, setErrors] = useState({});
+
+  function save() {
+    const found = validate({ kind, title, price, downloadUrl, link }, PRODUCT_SCHEMA);
+    setErrors(found);
+    if (hasErrors(found)) return;
+    onSave({ kind, title, price: Number(price)||0, description, link, downloadUrl: kind === "digital" ? downloadUrl : "", cta, questions: parseQuestions(questions, initial.questions) });
+  }
 
   return (
-    <div className="space-y-4">
-      {isAdmin && (
-        <Card className="border-dashed">
-          <CardHeader>
-            <CardTitle>Add product or coaching package</CardTitle>
-          </CardHeader>
-          <CardContent className="grid md:grid-cols-5 gap-2">
-            <select className="border rounded-md p-2" value={kind} onChange={(e)=> setKind(e.target.value)}>
-              <option value="digital">Digital product</option>
-              <option value="coaching">Coaching package</option>
-            </select>
-            <Input placeholder="Title" value={title} onChange={(e)=> setTitle(e.target.value)} />
-            <Input type="number" placeholder="Price (USD)" value={price} onChange={(e)=> setPrice(e.target.value)} />
-            <Input placeholder="CTA label (Buy now / Book call / Apply)" value={cta} onChange={(e)=> setCta(e.target.value)} />
-            <Input placeholder="Checkout or booking link" value={link} onChange={(e)=> setLink(e.target.value)} />
-            <div className="md:col-span-5 grid gap-2">
-              <Textarea placeholder="Short description" value={description} onChange={(e)=> setDescription(e.target.value)} />
-              <Button onClick={()=> { if(title && link) { onAdd({ kind, title, price: Number(price)||0, description, link, cta }); setTitle(""); setPrice(""); setDescription(""); setLink(""); } }} className="w-full flex items-center gap-2"><Plus className="w-4 h-4"/>Save</Button>
-            </div>
-          </CardContent>
-        </Card>
-      )}
+    <div className="grid md:grid-cols-5 gap-2">
+      <select className="border rounded-md p-2" value={kind} onChange={(e)=> setKind(e.target.value)}>
+        <option value="digital">Digital product</option>
+        <option value="coaching">Coaching package</option>
+      </select>
+      <Field error={errors.title}><Input placeholder="Title" value={title} onChange={(e)=> setTitle(e.target.value)} aria-invalid={!!errors.title} /></Field>
+      <Field error={errors.price}><Input type="number" min="0" step="0.01" placeholder={`Price (${STORE_CURRENCY})`} value={price} onChange={(e)=> setPrice(e.target.value)} aria-invalid={!!errors.price} /></Field>
+      <Input placeholder="CTA label (Buy now / Book call / Apply)" value={cta} onChange={(e)=> setCta(e.target.value)} />
+      <Field error={errors.link}><Input placeholder={kind === "digital" ? "Payment link (optional)" : "Booking link"} value={link} onChange={(e)=> setLink(e.target.value)} aria-invalid={!!errors.link} /></Field>
+      {kind === "digital" && <Field error={errors.downloadUrl}><Input placeholder="File link, handed out after checkout" value={downloadUrl} onChange={(e)=> setDownloadUrl(e.target.value)} aria-invalid={!!errors.downloadUrl} /></Field>}
+      <div className="md:col-span-5 grid gap-2">
+        <Textarea placeholder="Short description" value={description} onChange={(e)=> setDescription(e.target.value)} />
+        {cta.toLowerCase() === "apply" && <Textarea placeholder={"Application questions, one per line. End a line with * to make it required."} value={questions} onChange={(e)=> setQuestions(e.target.value)} />}
+        <div className="flex gap-2">
+          <Button onClick={save} className="flex-1 flex items-center gap-2"><Plus className="w-4 h-4"/>Save</Button>
+          {onCancel && <Button variant="ghost" onClick={onCancel}>Cancel</Button>}
+        </div>
+      </div>
+    </div>
+  );
+}
 
-      <div className="grid md:grid-cols-3 gap-4">
-        {items.map((p)=> (
-          <Card key={p.id} className="shadow-sm">
-            <CardHeader>
-              <CardTitle className="text-lg flex items-center justify-between">
-                <span>{p.title}</span>
-                {p.price !== 0 && <Badge>${p.price}</Badge>}
-                {p.price === 0 && <Badge variant="secondary">Free</Badge>}
-              </CardTitle>
-            </CardHeader>
-            <CardContent className="space-y-3 text-sm">
-              <p className="text-slate-600">{p.description}</p>
-              {(p.cta && p.cta.toLowerCase() === "apply") ? (
-              <Button className="w-full" onClick={()=> onApply(p)}>Apply</Button>
-            ) : (
-              <a href={p.link} target="_blank" rel="noreferrer">
-                <Button className="w-full">{p.cta || (p.kind === "coaching" ? "Book call" : "Buy now")}</Button>
-              </a>
+function Cart({ cart, products, orders, onRemove, onQuote, onDownloads, onCheckout, onClose }) {
+  const [name, setName] = useState("");
+  const [email, setEmail] = useState("");
+  const [code, setCode] = useState("");
+  const [quote, setQuote] = useState(null); // { discount, couponCode } from the provider
+  const [codeError, setCodeError] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+  const [errors, setErrors] = useState({});
+  const [paidOrderId, setPaidOrderId] = useState(null);
+
+  const items = orderItems(cart, products);
+  const subtotal = orderSubtotal(items);
+  const discount = quote ? Math.min(subtotal, quote.discount) : 0;
+  const paidOrder = orders.find((o)=> o.id === paidOrderId);
+
+  // a quote is for the cart it was asked about
+  useEffect(() => { setQuote(null); }, [cart]);
+
+  async function applyCode() {
+    setQuote(null);
+    setCodeError("");
+    if (!code.trim()) return;
+    try {
+      const res = await onQuote(items, code.trim());
+      if (res.error) setCodeError(res.error);
+      else setQuote(res);
+    } catch (err) {
+      console.error(err);
+      setCodeError("Could not check that code. Please try again.");
+    }
+  }
+
+  async function pay() {
+    const found = validate({ email }, CHECKOUT_SCHEMA);
+    setErrors(found);
+    if (hasErrors(found) || busy) return;
+    setBusy(true);
+    setError("");
+    const res = await onCheckout({ name, email }, quote);
+    setBusy(false);
+    if (!res.ok) setError(res.error);
+    else if (res.orderId) setPaidOrderId(res.orderId);
+  }
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/40 flex items-center justify-center p-4">
+      <div className="bg-white rounded-2xl shadow-xl w-full max-w-xl p-6 space-y-4">
+        <div className="flex items-center justify-between">
+          <h3 className="text-lg font-semibold">{paidOrder ? "Thank you" : "Your cart"}</h3>
+          <Button variant="ghost" onClick={onClose}>Close</Button>
+        </div>
+        {paidOrder ? (
+          <OrderDownloads order={paidOrder} onDownloads={onDownloads} />
+        ) : (
+          <>
+            {items.length === 0 && <p className="text-sm text-slate-500">Your cart is empty.</p>}
+            {items.map((i)=> (
+              <div key={i.productId} className="flex items-center justify-between text-sm">
+                <span>{i.title}</span>
+                <span className="flex items-center gap-2">{formatMoney(i.unitAmount)}<Button variant="ghost" onClick={()=> onRemove(i.productId)}>Remove</Button></span>
+              </div>
+            ))}
+            {items.length > 0 && (
+              <>
+                <div className="flex gap-2">
+                  <Input placeholder="Discount code" value={code} onChange={(e)=> { setCode(e.target.value); setQuote(null); setCodeError(""); }} />
+                  <Button variant="secondary" onClick={applyCode} disabled={!code.trim()}>Apply</Button>
+                </div>
+                {codeError && <p className="text-sm text-red-700">{codeError}</p>}
+                <div className="text-sm space-y-1 border-t pt-2">
+                  <p className="flex justify-between"><span>Subtotal</span><span>{formatMoney(subtotal)}</span></p>
+                  {discount > 0 && <p className="flex justify-between text-green-700"><span>Discount ({quote.couponCode})</span><span>-{formatMoney(discount)}</span></p>}
+                  <p className="flex justify-between font-semibold"><span>Total</span><span>{formatMoney(subtotal - discount)}</span></p>
+                </div>
+                <div className="grid gap-2">
+                  <Input placeholder="Full name" value={name} onChange={(e)=> setName(e.target.value)} />
+                  <Field error={errors.email}><Input type="email" placeholder="Email for your receipt" value={email} onChange={(e)=> setEmail(e.target.value)} aria-invalid={!!errors.email} /></Field>
+                </div>
+                {error && <p className="text-sm text-red-700">{error}</p>}
+                <Button className="w-full" onClick={pay} disabled={busy || !email}>{busy ? "Processing..." : subtotal - discount === 0 ? "Get it free" : `Pay ${formatMoney(subtotal - discount)}`}</Button>
+              </>
             )}
-              {isAdmin && <Button variant="ghost" onClick={()=> onDelete(p.id)}>Delete</Button>}
-            </CardContent>
-          </Card>
-        ))}
+            {orders.length > 0 && <MyPurchases orders={orders} onDownloads={onDownloads} />}
+          </>
+        )}
       </div>
+    </div>
+  );
+}
+
+// Files come from the payment provider, which only hands them out for paid orders.
+function OrderDownloads({ order, onDownloads }) {
+  const [files, setFiles] = useState(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    let cancelled = false;
+    onDownloads(order).then((list)=> { if (!cancelled) setFiles(list); }, (err)=> {
+      console.error(err);
+      if (!cancelled) setError("Could not load your downloads. Close the cart and open it again to retry.");
+    });
+    return () => { cancelled = true; };
+  }, [order.id]);
+
+  return (
+    <div className="space-y-2 text-sm">
+      <p className="text-green-700">Payment received.</p>
+      {error && <p className="text-red-700">{error}</p>}
+      {!files && !error && <p className="text-slate-500">Getting your downloads...</p>}
+      {files && (
+        <ul className="space-y-1">
+          {order.items.map((i)=> {
+            const url = safeHref(files.find((f)=> f.productId === i.productId)?.url);
+            return (
+              <li key={i.productId} className="flex items-center justify-between">
+                <span>{i.title}</span>
+                {url ? <a href={url} target="_blank" rel="noreferrer" className="underline">Download</a> : <span className="text-slate-500">No download for this item</span>}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
 
-      <p className="text-xs text-slate-500">Tip: Use Stripe Payment Links for digital products and Calendly links for coaching. No code required.</p>
+function MyPurchases({ orders, onDownloads }) {
+  const paid = orders.filter((o)=> o.status === "paid");
+  if (!paid.length) return null;
+  return (
+    <div className="border-t pt-3 space-y-3">
+      <h4 className="font-medium text-sm">Your purchases</h4>
+      {paid.map((o)=> <OrderDownloads key={o.id} order={o} onDownloads={onDownloads} />)}
     </div>
   );
 }
 
-function ApplicationForm({ open, onClose, program }) {
+function Coupons({ items, onAdd, onToggle, onDelete }) {
+  const [code, setCode] = useState("");
+  const [type, setType] = useState("percent");
+  const [value, setValue] = useState("");
+  const [expiresAt, setExpiresAt] = useState("");
+  const [errors, setErrors] = useState({});
+
+  function save() {
+    const found = validate({ code, type, value, expiresAt }, COUPON_SCHEMA);
+    setErrors(found);
+    if (hasErrors(found)) return;
+    onAdd({ code: code.trim().toUpperCase(), type, value: Number(value), expiresAt, active: true });
+    setCode(""); setValue(""); setExpiresAt("");
+  }
+
+  return (
+    <Card className="border-dashed mt-4">
+      <CardHeader>
+        <CardTitle>Discount codes</CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-3 text-sm">
+        <div className="grid md:grid-cols-5 gap-2">
+          <Field error={errors.code}><Input placeholder="CODE" value={code} onChange={(e)=> setCode(e.target.value)} aria-invalid={!!errors.code} /></Field>
+          <select className="border rounded-md p-2" value={type} onChange={(e)=> setType(e.target.value)}>
+            <option value="percent">% off</option>
+            <option value="amount">{STORE_CURRENCY} off</option>
+          </select>
+          <Field error={errors.value}><Input type="number" min="0" placeholder="Value" value={value} onChange={(e)=> setValue(e.target.value)} aria-invalid={!!errors.value} /></Field>
+          <Field error={errors.expiresAt}><Input type="date" value={expiresAt} onChange={(e)=> setExpiresAt(e.target.value)} aria-label="Expires" aria-invalid={!!errors.expiresAt} /></Field>
+          <Button onClick={save} className="flex items-center gap-2"><Plus className="w-4 h-4"/>Add</Button>
+        </div>
+        {items.map((c)=> (
+          <div key={c.id} className="p-2 border rounded-xl flex items-center justify-between">
+            <span className={c.active === false ? "line-through text-slate-500" : ""}>
+              <strong>{c.code}</strong> · {c.type === "percent" ? `${c.value}% off` : `${formatMoney(c.value * 100)} off`}{c.expiresAt && ` · until ${c.expiresAt}`}
+            </span>
+            <span className="flex gap-1">
+              <Button variant="ghost" onClick={()=> onToggle(c.id)}>{c.active === false ? "Enable" : "Disable"}</Button>
+              <ConfirmDelete onConfirm={()=> onDelete(c.id)} />
+            </span>
+          </div>
+        ))}
+      </CardContent>
+    </Card>
+  );
+}
+
+function Orders({ items, onCancel }) {
+  return (
+    <Card className="border-dashed">
+      <CardHeader>
+        <CardTitle>Orders</CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-2 text-sm">
+        {items.length === 0 && <p className="text-slate-500">No orders yet.</p>}
+        {items.map((o)=> (
+          <div key={o.id} className="p-3 border rounded-xl flex items-start justify-between gap-3">
+            <div>
+              <p className="font-medium">{o.items.map((i)=> i.title).join(", ")}</p>
+              <p className="text-slate-500">
+                {o.name ? `${o.name} · ` : ""}{o.email} · {new Date(o.createdAt).toLocaleString()} · {formatMoney(o.total, o.currency)}{o.couponCode && ` (${o.couponCode})`} · {o.provider}
+              </p>
+              {o.error && <p className="text-red-700">{o.error}</p>}
+            </div>
+            <div className="flex items-center gap-2">
+              <Badge variant={o.status === "paid" ? "default" : "secondary"}>{o.status}</Badge>
+              {o.status === "pending" && <Button variant="ghost" onClick={()=> onCancel(o.id)}>Cancel</Button>}
+            </div>
+          </div>
+        ))}
+      </CardContent>
+    </Card>
+  );
+}
+
+function ApplicationForm({ open, onClose, program, onSubmit }) {
   const [name, setName] = useState("");
   const [email, setEmail] = useState("");
   const [phone, setPhone] = useState("");
   const [goals, setGoals] = useState("");
+  const [answers, setAnswers] = useState({});
+  const [errors, setErrors] = useState({});
   const [status, setStatus] = useState("idle");
-  const [webhookUrl] = useLocalState("lr_webhook", "");
+  const questions = program?.questions || [];
 
   if (!open) return null;
 
-  async function submit() {
-    if (!name || !email) return;
-    setStatus("sending");
+  function submit() {
+    const found = {
+      ...validate({ name, email, phone }, APPLICATION_SCHEMA),
+      ...validate(answers, Object.fromEntries(questions.filter((q)=> q.required).map((q)=> [q.id, ["required"]]))),
+    };
+    setErrors(found);
+    if (hasErrors(found)) return;
     const payload = {
       type: "application",
       program: program?.title || "",
       name, email, phone, goals,
+      ...Object.fromEntries(questions.map((q)=> [`Q: ${q.label}`, answers[q.id] || ""])),
       ts: new Date().toISOString(),
     };
-    try {
-      if (webhookUrl) {
-        const body = new URLSearchParams(payload).toString();
-        await fetch(webhookUrl, { method: "POST", headers: { "Content-Type": "application/x-www-form-urlencoded" }, body, mode: "cors" });
-      }
-      setStatus("done");
-      setName(""); setEmail(""); setPhone(""); setGoals("");
-    } catch(e){ console.error(e); setStatus("error"); }
+    onSubmit(payload, answers);
+    setStatus("done");
+    setName(""); setEmail(""); setPhone(""); setGoals(""); setAnswers({});
   }
 
   return (
@@ -475,12 +5133,17 @@ function ApplicationForm({ open, onClose, program }) {
         ) : (
           <>
             <div className="grid gap-2">
-              <Input placeholder="Full name" value={name} onChange={(e)=> setName(e.target.value)} />
-              <Input type="email" placeholder="Email" value={email} onChange={(e)=> setEmail(e.target.value)} />
-              <Input placeholder="Phone (optional)" value={phone} onChange={(e)=> setPhone(e.target.value)} />
+              <Field error={errors.name}><Input placeholder="Full name" value={name} onChange={(e)=> setName(e.target.value)} aria-invalid={!!errors.name} /></Field>
+              <Field error={errors.email}><Input type="email" placeholder="Email" value={email} onChange={(e)=> setEmail(e.target.value)} aria-invalid={!!errors.email} /></Field>
+              <Field error={errors.phone}><Input type="tel" placeholder="Phone (optional)" value={phone} onChange={(e)=> setPhone(e.target.value)} aria-invalid={!!errors.phone} /></Field>
               <Textarea placeholder="What are your goals for this program?" value={goals} onChange={(e)=> setGoals(e.target.value)} />
+              {questions.map((q)=> (
+                <Field key={q.id} error={errors[q.id]}>
+                  <Textarea placeholder={`${q.label}${q.required ? "" : " (optional)"}`} value={answers[q.id] || ""} onChange={(e)=> setAnswers((a)=> ({ ...a, [q.id]: e.target.value }))} aria-invalid={!!errors[q.id]} />
+                </Field>
+              ))}
             </div>
-            <Button className="w-full" onClick={submit} disabled={status === "sending"}>{status === "sending" ? "Submitting..." : "Submit application"}</Button>
+            <Button className="w-full" onClick={submit}>Submit application</Button>
           </>
         )}
       </div>
@@ -488,9 +5151,137 @@ function ApplicationForm({ open, onClose, program }) {
   );
 }
 
-function Resources({ items, onAdd, onDelete, isAdmin }) {
-  const [title, setTitle] = useState("");
-  const [url, setUrl] = useState("");
+function Applications({ items, products, onUpdate }) {
+  const [program, setProgram] = useState("");
+  const [status, setStatus] = useState("");
+  const [query, setQuery] = useState("");
+  const [notes, setNotes] = useState({});
+
+  const programs = [...new Set(items.map((a)=> a.program))].sort();
+  const q = query.trim().toLowerCase();
+  const visible = items.filter((a)=>
+    (!program || a.program === program) &&
+    (!status || a.status === status) &&
+    (!q || [a.name, a.email, a.goals].join(" ").toLowerCase().includes(q))
+  );
+  const counts = Object.fromEntries(APPLICATION_STATUSES.map((s)=> [s, items.filter((a)=> a.status === s && (!program || a.program === program)).length]));
+  const fileName = (ext)=> `locker-room-applications-${slugify(program || "all")}-${new Date().toISOString().slice(0,10)}.${ext}`;
+
+  function addNote(id, existing) {
+    const text = (notes[id] || "").trim();
+    if (!text) return;
+    onUpdate(id, { notes: [...(existing || []), { ts: Date.now(), text }] });
+    setNotes((n)=> ({ ...n, [id]: "" }));
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="grid md:grid-cols-3 gap-2">
+        <Input placeholder="Search by name, email or goals" value={query} onChange={(e)=> setQuery(e.target.value)} />
+        <select className="border rounded-md p-2" value={program} onChange={(e)=> setProgram(e.target.value)}>
+          <option value="">All programs</option>
+          {programs.map((p)=> <option key={p} value={p}>{p}</option>)}
+        </select>
+        <select className="border rounded-md p-2" value={status} onChange={(e)=> setStatus(e.target.value)}>
+          <option value="">All statuses</option>
+          {APPLICATION_STATUSES.map((s)=> <option key={s} value={s}>{s} ({counts[s]})</option>)}
+        </select>
+      </div>
+      <div className="flex gap-2">
+        <Button variant="secondary" onClick={()=> downloadFile(fileName("csv"), toCsv(visible.map((a)=> flattenApplication(a, products)), APPLICATION_CSV_COLUMNS), "text/csv")}>Export CSV</Button>
+        <Button variant="secondary" onClick={()=> downloadFile(fileName("json"), JSON.stringify(visible, null, 2), "application/json")}>Export JSON</Button>
+      </div>
+
+      {visible.length === 0 && <p className="text-sm text-slate-500">No applications{items.length ? " match these filters" : " yet"}.</p>}
+      {visible.map((a)=> {
+        const questions = products.find((p)=> p.id === a.productId)?.questions || [];
+        return (
+          <Card key={a.id} className="shadow-sm">
+            <CardHeader>
+              <CardTitle className="text-base flex items-center justify-between gap-2">
+                <span>{a.name} · {a.program}</span>
+                <select className="border rounded-md p-1 text-sm font-normal" value={a.status} onChange={(e)=> onUpdate(a.id, { status: e.target.value })}>
+                  {APPLICATION_STATUSES.map((s)=> <option key={s} value={s}>{s}</option>)}
+                </select>
+              </CardTitle>
+            </CardHeader>
+            <CardContent className="space-y-2 text-sm">
+              <p className="text-slate-500">{a.email}{a.phone && ` · ${a.phone}`} · {new Date(a.ts).toLocaleString()}{a.memberId && " · member"}</p>
+              {a.goals && <p><strong>Goals:</strong> {a.goals}</p>}
+              {Object.entries(a.answers || {}).map(([id, answer])=> (
+                <p key={id}><strong>{questions.find((q)=> q.id === id)?.label || "Question"}:</strong> {answer}</p>
+              ))}
+              {(a.notes || []).length > 0 && (
+                <ul className="border-t pt-2 space-y-1">
+                  {a.notes.map((n, i)=> <li key={i}><span className="text-slate-500">{new Date(n.ts).toLocaleDateString()}</span> {n.text}</li>)}
+                </ul>
+              )}
+              <div className="flex gap-2">
+                <Input placeholder="Add a note" value={notes[a.id] || ""} onChange={(e)=> setNotes((n)=> ({ ...n, [a.id]: e.target.value }))} onKeyDown={(e)=> e.key === "Enter" && addNote(a.id, a.notes)} />
+                <Button variant="secondary" onClick={()=> addNote(a.id, a.notes)}>Add</Button>
+              </div>
+            </CardContent>
+          </Card>
+        );
+      })}
+    </div>
+  );
+}
+
+function Resources({ items, selectedId, onAdd, onUpdate, onDelete, onMove, isAdmin, isMember, views, onView }) {
+  const [added, setAdded] = useState(0);
+  const [editing, setEditing] = useState(null);
+  const [query, setQuery] = useState("");
+  const [filter, setFilter] = useState({ category: "", type: "", tag: "" });
+  const dragProps = useDragReorder(onMove);
+
+  // hides the link only; the URL is in lr_resources for every visitor
+  const canSee = (r)=> isAdmin || isMember || !r.membersOnly;
+  const categories = [...new Set(items.map((r)=> r.category).filter(Boolean))].sort();
+  const allTags = [...new Set(items.flatMap((r)=> r.tags || []))].sort();
+  const q = query.trim().toLowerCase();
+  const matches = items.filter((r)=>
+    (!filter.category || r.category === filter.category) &&
+    (!filter.type || (r.type || inferResourceType(r.url)) === filter.type) &&
+    (!filter.tag || (r.tags || []).includes(filter.tag)) &&
+    (!q || [r.title, r.description, r.category, ...(r.tags || [])].join(" ").toLowerCase().includes(q))
+  );
+  const visible = matches.filter(canSee);
+  const locked = matches.length - visible.length;
+  const selected = selectedId != null ? items.find((r)=> String(r.id) === selectedId) : null;
+
+  const resourceCard = (r)=> editing === r.id ? (
+    <Card key={r.id} className="border-dashed md:col-span-2">
+      <CardHeader>
+        <CardTitle>Edit {r.title}</CardTitle>
+      </CardHeader>
+      <CardContent>
+        <ResourceEditor initial={r} onSave={(patch)=> { onUpdate(r.id, patch); setEditing(null); }} onCancel={()=> setEditing(null)} />
+      </CardContent>
+    </Card>
+  ) : (
+    <ResourceCard
+      key={r.id}
+      resource={r}
+      isAdmin={isAdmin}
+      views={isAdmin ? views.filter((v)=> v.resourceId === r.id) : []}
+      dragProps={isAdmin && selectedId == null ? dragProps(r.id) : {}}
+      onView={onView}
+      onEdit={()=> setEditing(r.id)}
+      onDelete={onDelete}
+    />
+  );
+
+  if (selectedId != null) {
+    return (
+      <ItemPage back="resources" missing={!selected && "This resource is no longer listed."}>
+        {selected && (canSee(selected) ? resourceCard(selected) : (
+          <p className="text-sm text-slate-600 flex items-center gap-2"><Lock className="w-4 h-4"/>{selected.title} is for members. Join for free on the Community tab to unlock it.</p>
+        ))}
+      </ItemPage>
+    );
+  }
+
   return (
     <div className="space-y-4">
       {isAdmin && (
@@ -498,27 +5289,138 @@ function Resources({ items, onAdd, onDelete, isAdmin }) {
           <CardHeader>
             <CardTitle>Add resource</CardTitle>
           </CardHeader>
-          <CardContent className="grid md:grid-cols-3 gap-2">
-            <Input placeholder="Title" value={title} onChange={(e)=> setTitle(e.target.value)} />
-            <Input placeholder="URL" value={url} onChange={(e)=> setUrl(e.target.value)} />
-            <Button onClick={()=> { if(title && url) { onAdd({ title, url }); setTitle(""); setUrl(""); } }} className="flex items-center gap-2"><Plus className="w-4 h-4"/>Save</Button>
+          <CardContent>
+            <ResourceEditor key={added} onSave={(r)=> { onAdd(r); setAdded((n)=> n + 1); }} />
           </CardContent>
         </Card>
       )}
+      {isAdmin && <datalist id="resource-categories">{categories.map((c)=> <option key={c} value={c} />)}</datalist>}
 
+      <div className="grid md:grid-cols-4 gap-2">
+        <Input placeholder="Search resources" value={query} onChange={(e)=> setQuery(e.target.value)} />
+        <select className="border rounded-md p-2" value={filter.category} onChange={(e)=> setFilter({ ...filter, category: e.target.value })}>
+          <option value="">All categories</option>
+          {categories.map((c)=> <option key={c} value={c}>{c}</option>)}
+        </select>
+        <select className="border rounded-md p-2" value={filter.type} onChange={(e)=> setFilter({ ...filter, type: e.target.value })}>
+          <option value="">All types</option>
+          {Object.entries(RESOURCE_TYPES).map(([value, label])=> <option key={value} value={value}>{label}</option>)}
+        </select>
+        {allTags.length > 0 && (
+          <select className="border rounded-md p-2" value={filter.tag} onChange={(e)=> setFilter({ ...filter, tag: e.target.value })}>
+            <option value="">All tags</option>
+            {allTags.map((t)=> <option key={t} value={t}>{t}</option>)}
+          </select>
+        )}
+      </div>
+
+      {visible.length === 0 && !locked && <p className="text-sm text-slate-500">No resources match.</p>}
+      {isAdmin && visible.length > 1 && <p className="text-xs text-slate-500">Drag cards to change the order visitors see.</p>}
       <div className="grid md:grid-cols-2 gap-4">
-        {items.map((r)=> (
-          <Card key={r.id} className="shadow-sm">
-            <CardHeader>
-              <CardTitle className="text-base">{r.title}</CardTitle>
-            </CardHeader>
-            <CardContent>
-              <a href={r.url} target="_blank" rel="noreferrer" className="underline">Open</a>
-              {isAdmin && <Button variant="ghost" onClick={()=> onDelete(r.id)} className="ml-2">Delete</Button>}
-            </CardContent>
-          </Card>
-        ))}
+        {visible.map(resourceCard)}
+      </div>
+      {locked > 0 && (
+        <p className="text-sm text-slate-600 flex items-center gap-2"><Lock className="w-4 h-4"/>{locked} more resource{locked === 1 ? " is" : "s are"} for members. Join for free on the Community tab to unlock.</p>
+      )}
+    </div>
+  );
+}
+
+function ResourceEditor({ initial = {}, onSave, onCancel }) {
+  const [title, setTitle] = useState(initial.title || "");
+  const [url, setUrl] = useState(initial.url || "");
+  const [type, setType] = useState(initial.type || "");
+  const [category, setCategory] = useState(initial.category || "");
+  const [tags, setTags] = useState((initial.tags || []).join(", "));
+  const [description, setDescription] = useState(initial.description || "");
+  const [membersOnly, setMembersOnly] = useState(!!initial.membersOnly);
+  const [errors, setErrors] = useState({});
+
+  function save() {
+    const found = validate({ title, url }, RESOURCE_SCHEMA);
+    setErrors(found);
+    if (hasErrors(found)) return;
+    onSave({
+      title, url: url.trim(),
+      type: type || inferResourceType(url),
+      category: category.trim(),
+      tags: tags.split(",").map((t)=> t.trim()).filter(Boolean),
+      description: description.trim(),
+      membersOnly,
+    });
+  }
+
+  return (
+    <div className="grid md:grid-cols-3 gap-2">
+      <Field error={errors.title}><Input placeholder="Title" value={title} onChange={(e)=> setTitle(e.target.value)} aria-invalid={!!errors.title} /></Field>
+      <Field error={errors.url}><Input placeholder="https://..." value={url} onChange={(e)=> setUrl(e.target.value)} aria-invalid={!!errors.url} /></Field>
+      <select className="border rounded-md p-2" value={type} onChange={(e)=> setType(e.target.value)}>
+        <option value="">Type: detect from URL{url ? ` (${RESOURCE_TYPES[inferResourceType(url)]})` : ""}</option>
+        {Object.entries(RESOURCE_TYPES).map(([value, label])=> <option key={value} value={value}>{label}</option>)}
+      </select>
+      <Input placeholder="Category" value={category} onChange={(e)=> setCategory(e.target.value)} list="resource-categories" />
+      <Input placeholder="Tags, comma separated" value={tags} onChange={(e)=> setTags(e.target.value)} />
+      <label className="flex items-center gap-2 text-sm"><input type="checkbox" checked={membersOnly} onChange={(e)=> setMembersOnly(e.target.checked)} />Members only</label>
+      {membersOnly && <p className="text-xs text-slate-500">Hidden until someone joins, but the link still reaches every visitor's browser. Don't use it for paid content.</p>}
+      <Textarea className="md:col-span-3" placeholder="Short description (optional)" value={description} onChange={(e)=> setDescription(e.target.value)} />
+      <div className="md:col-span-3 flex gap-2">
+        <Button onClick={save} className="flex-1 flex items-center gap-2"><Plus className="w-4 h-4"/>Save</Button>
+        {onCancel && <Button variant="ghost" onClick={onCancel}>Cancel</Button>}
       </div>
     </div>
   );
 }
+
+function ResourceCard({ resource: r, isAdmin, views, dragProps, onView, onEdit, onDelete }) {
+  const [open, setOpen] = useState(false);
+  const counted = useRef(false);
+  const type = r.type || inferResourceType(r.url);
+  const embed = resourceEmbedUrl(r);
+  const href = safeHref(r.url);
+
+  // one view per card per page load, whether opened inline or in a new tab
+  function track() {
+    if (counted.current) return;
+    counted.current = true;
+    onView(r.id);
+  }
+
+  return (
+    <Card className={`shadow-sm ${isAdmin ? "cursor-move" : ""}`} {...dragProps}>
+      <CardHeader>
+        <CardTitle className="text-base flex items-center justify-between gap-2">
+          <Link to={{ tab: "resources", id: r.id }} className="hover:underline">{r.title}</Link>
+          <span className="flex gap-1">
+            {r.membersOnly && <Badge variant="secondary"><Lock className="w-3 h-3 mr-1"/>Members</Badge>}
+            <Badge variant="secondary">{RESOURCE_TYPES[type]}</Badge>
+          </span>
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-2 text-sm">
+        {r.description && <p className="text-slate-600">{r.description}</p>}
+        {(r.category || (r.tags || []).length > 0) && (
+          <div className="flex flex-wrap gap-1 text-xs text-slate-500">
+            {r.category && <span>{r.category}</span>}
+            {(r.tags || []).map((t)=> <span key={t}>#{t}</span>)}
+          </div>
+        )}
+        {open && embed && (
+          type === "video" ? (
+            <div className="aspect-video">
+              <iframe src={embed} title={r.title} className="w-full h-full rounded-xl" allow="accelerometer; autoplay; encrypted-media; picture-in-picture" allowFullScreen />
+            </div>
+          ) : (
+            <iframe src={embed} title={r.title} className="w-full h-96 rounded-xl border" />
+          )
+        )}
+        <div className="flex items-center gap-2">
+          {embed && <Button variant="secondary" onClick={()=> { setOpen((o)=> !o); track(); }}>{open ? "Hide" : type === "video" ? "Watch" : "Preview"}</Button>}
+          {href && <a href={href} target="_blank" rel="noreferrer" className="underline" onClick={track}>{type === "booking" ? "Book" : "Open"}</a>}
+          {isAdmin && <span className="text-xs text-slate-500">{views.reduce((sum, v)=> sum + v.opens, 0)} views · {new Set(views.flatMap((v)=> v.memberIds)).size} members</span>}
+          {isAdmin && <Button variant="ghost" onClick={onEdit} className="ml-auto">Edit</Button>}
+          {isAdmin && <ConfirmDelete onConfirm={()=> onDelete(r.id)} />}
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
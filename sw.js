@@ -0,0 +1,119 @@
+// Service worker for the Locker Room app. Deploy it next to the app (like site.json)
+// so its scope covers the whole app. It keeps:
+// - the app shell, so the app opens with no connection
+// - the last-known announcements, events and resources from a shared REST backend,
+//   plus site.json, so members can read them offline
+// Bump CACHE_VERSION whenever the caching rules below change.
+const CACHE_VERSION = "v1";
+const SHELL_CACHE = `lr-shell-${CACHE_VERSION}`;
+const CONTENT_CACHE = `lr-content-${CACHE_VERSION}`;
+const SHELL_URL = "./";
+// On a weak connection a request can hang for a minute; past this, a cached copy wins.
+const NETWORK_TIMEOUT_MS = 3500;
+const PRECACHE_URLS = [SHELL_URL, "manifest.webmanifest", "icon.svg"];
+// Collections served by createRestAdapter at <baseUrl>/collections/<key>
+const CONTENT_KEYS = ["lr_announcements", "lr_events", "lr_resources"];
+// Must match OUTBOX_SYNC_TAG and STORAGE_SYNC_TAG in the app
+const OUTBOX_SYNC_TAG = "lr-outbox";
+const STORAGE_SYNC_TAG = "lr-storage";
+
+// "shell": pages, network first, falling back to the cached shell. Hash and history
+// routes both load the same index.html, so one cached copy serves every route.
+// "content": community content and site.json, network first, falling back to the
+// last good copy. "asset": other same-origin files (scripts, styles, images), served
+// from the cache and refreshed in the background. Other collections, which admins
+// edit, and anything cross-origin are left to the browser.
+function strategyFor(request, scope) {
+  if (request.method !== "GET") return null;
+  const url = new URL(request.url);
+  if (request.mode === "navigate") return url.href.startsWith(scope) ? "shell" : null;
+  if (CONTENT_KEYS.some((key)=> url.pathname.endsWith(`/collections/${key}`))) return "content";
+  if (url.pathname.includes("/collections/") || !url.href.startsWith(scope)) return null;
+  if (url.pathname.endsWith("/site.json")) return "content";
+  return "asset";
+}
+
+function cacheable(response) {
+  return response && response.ok && (response.type === "basic" || response.type === "cors");
+}
+
+// The network gets NETWORK_TIMEOUT_MS. If it is slower and there is a cached copy,
+// that copy is served and the response, when it comes, still refreshes the cache.
+async function networkFirst(request, cacheName, cacheKey = request, timeoutMs = NETWORK_TIMEOUT_MS) {
+  const cache = await caches.open(cacheName);
+  const network = fetch(request).then(async (response)=> {
+    if (cacheable(response)) await cache.put(cacheKey, response.clone());
+    return response;
+  });
+  let timer;
+  const slow = new Promise((resolve)=> { timer = setTimeout(resolve, timeoutMs); });
+  try {
+    const first = await Promise.race([network, slow]);
+    if (first) return first;
+    const cached = await cache.match(cacheKey);
+    if (cached) {
+      network.catch(()=> {});
+      return cached;
+    }
+    return await network;
+  } catch (err) {
+    const cached = await cache.match(cacheKey);
+    if (cached) return cached;
+    throw err;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function staleWhileRevalidate(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  const fresh = fetch(request).then((response)=> {
+    if (cacheable(response)) return cache.put(request, response.clone()).then(()=> response);
+    return response;
+  });
+  if (!cached) return fresh;
+  fresh.catch(()=> {});
+  return cached;
+}
+
+function handle(request, scope) {
+  const strategy = strategyFor(request, scope);
+  if (strategy === "shell") return networkFirst(request, SHELL_CACHE, new URL(SHELL_URL, scope).href);
+  if (strategy === "content") return networkFirst(request, CONTENT_CACHE);
+  if (strategy === "asset") return staleWhileRevalidate(request, SHELL_CACHE);
+  return null;
+}
+
+self.addEventListener("install", (event) => {
+  // each URL on its own, so a missing icon does not block offline support
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then((cache)=> Promise.all(PRECACHE_URLS.map((url)=> cache.add(url).catch(()=> {}))))
+      .then(()=> self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys)=> Promise.all(keys.filter((k)=> k.startsWith("lr-") && k !== SHELL_CACHE && k !== CONTENT_CACHE).map((k)=> caches.delete(k))))
+      .then(()=> self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const response = handle(event.request, self.registration.scope);
+  if (response) event.respondWith(response);
+});
+
+// The outbox and unsent list changes live in the page's localStorage, which a
+// service worker cannot read, so a sync wakes any open page to send them. With no
+// page open they wait for the next launch, when the page sends them on its own.
+self.addEventListener("sync", (event) => {
+  if (event.tag !== OUTBOX_SYNC_TAG && event.tag !== STORAGE_SYNC_TAG) return;
+  event.waitUntil(
+    self.clients.matchAll({ type: "window" })
+      .then((clients)=> clients.forEach((client)=> client.postMessage({ type: "sync", tag: event.tag })))
+  );
+});
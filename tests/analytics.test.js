@@ -0,0 +1,63 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadApp, plain } = require("./load-app");
+
+const app = loadApp([
+  "addDays", "weekStart", "ANALYTICS_WEEKLY_AFTER_DAYS", "FUNNEL_STAGES",
+  "localDay", "inRange", "timeSeries", "applicationFunnel",
+]);
+
+// Local times, so the tests hold in any time zone.
+const at = (y, m, d, h = 12, min = 0)=> new Date(y, m - 1, d, h, min).toISOString();
+
+test("timeSeries over an empty list still lists every day", () => {
+  const s = app.timeSeries([], { from: "2024-05-01", to: "2024-05-03" });
+  assert.equal(s.weekly, false);
+  assert.deepEqual(plain(s.points), [
+    { period: "2024-05-01", count: 0 }, { period: "2024-05-02", count: 0 }, { period: "2024-05-03", count: 0 },
+  ]);
+});
+
+test("timeSeries includes both ends of the range and nothing outside it", () => {
+  const days = ["2024-04-30", "2024-05-01", "2024-05-01", "2024-05-03", "2024-05-04"];
+  const s = app.timeSeries(days, { from: "2024-05-01", to: "2024-05-03" });
+  assert.deepEqual(plain(s.points.map((p)=> p.count)), [2, 0, 1]);
+});
+
+test("timeSeries switches to Monday weeks once the range is long", () => {
+  const edge = { from: "2024-01-01", to: app.addDays("2024-01-01", app.ANALYTICS_WEEKLY_AFTER_DAYS) };
+  assert.equal(app.timeSeries([], edge).weekly, false);
+  const range = { from: "2024-01-03", to: app.addDays("2024-01-03", app.ANALYTICS_WEEKLY_AFTER_DAYS + 1) };
+  // 2024-01-02 is before the range, 2024-01-03 and 2024-01-07 share the week of Monday 2024-01-01.
+  const s = app.timeSeries(["2024-01-02", "2024-01-03", "2024-01-07", "2024-01-08"], range);
+  assert.equal(s.weekly, true);
+  assert.deepEqual(plain(s.points.slice(0, 2)), [{ period: "2024-01-01", count: 2 }, { period: "2024-01-08", count: 1 }]);
+  assert.equal(s.points.every((p)=> app.weekStart(p.period) === p.period), true);
+});
+
+test("applicationFunnel with no applications", () => {
+  assert.deepEqual(plain(app.applicationFunnel([], { from: "2024-05-01", to: "2024-05-31" })), []);
+});
+
+test("applicationFunnel counts stages reached and sorts by applications", () => {
+  const apps = [
+    { program: "Bootcamp", status: "new", ts: at(2024, 5, 2) },
+    { program: "Bootcamp", status: "enrolled", ts: at(2024, 5, 3) },
+    { program: "Bootcamp", status: "declined", ts: at(2024, 5, 4) },
+    { program: "Coaching", status: "accepted", ts: at(2024, 5, 5) },
+  ];
+  assert.deepEqual(plain(app.applicationFunnel(apps, { from: "2024-05-01", to: "2024-05-31" })), [
+    { program: "Bootcamp", applied: 3, contacted: 1, accepted: 1, enrolled: 1, declined: 1 },
+    { program: "Coaching", applied: 1, contacted: 1, accepted: 1, enrolled: 0, declined: 0 },
+  ]);
+});
+
+test("applicationFunnel uses the local day the application arrived", () => {
+  const apps = [
+    { program: "Bootcamp", status: "new", ts: at(2024, 4, 30, 23, 59) },
+    { program: "Bootcamp", status: "new", ts: at(2024, 5, 1, 0, 0) },
+    { program: "Bootcamp", status: "new", ts: at(2024, 5, 31, 23, 59) },
+    { program: "Bootcamp", status: "new", ts: at(2024, 6, 1, 0, 0) },
+  ];
+  assert.equal(app.applicationFunnel(apps, { from: "2024-05-01", to: "2024-05-31" })[0].applied, 2);
+});
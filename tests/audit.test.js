@@ -0,0 +1,30 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadApp, plain } = require("./load-app");
+
+const app = loadApp(["auditLabel", "changedFields", "revertEdit"]);
+
+const entry = { before: { id: 1, title: "Kickoff", location: "Gym" }, after: { id: 1, title: "Kickoff night", location: "Gym" } };
+
+test("revertEdit puts back only the fields the edit changed", () => {
+  const current = { id: 1, title: "Kickoff night", location: "Field 2" };
+  assert.deepEqual(plain(app.revertEdit(current, entry)), { record: { id: 1, title: "Kickoff", location: "Field 2" } });
+});
+
+test("revertEdit refuses when a changed field was edited again", () => {
+  const { error } = app.revertEdit({ id: 1, title: "Season kickoff", location: "Gym" }, entry);
+  assert.match(error, /Changed again since \(title\)/);
+});
+
+test("revertEdit refuses when the record is gone", () => {
+  assert.match(app.revertEdit(undefined, entry).error, /deleted/);
+});
+
+test("revertEdit removes fields the edit added", () => {
+  const added = { before: { id: 2, name: "Ana" }, after: { id: 2, name: "Ana", sport: "Rugby" } };
+  assert.deepEqual(plain(app.revertEdit({ id: 2, name: "Ana", sport: "Rugby" }, added)), { record: { id: 2, name: "Ana" } });
+});
+
+test("auditLabel names every logged collection", () => {
+  assert.deepEqual([{ title: "Event" }, { name: "Ana" }, { label: "Sleep 8h" }, { code: "SAVE10" }, { email: "ana@example.com" }, { text: "Hello" }].map(app.auditLabel), ["Event", "Ana", "Sleep 8h", "SAVE10", "ana@example.com", "Hello"]);
+});
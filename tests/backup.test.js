@@ -0,0 +1,63 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadApp, plain } = require("./load-app");
+
+const app = loadApp(["PRIVATE_MEMBER_FIELDS", "omitFields", "publicProfile", "localDay", "compactViews", "compactClicks", "BACKUP_FORMAT", "BACKUP_VERSION", "BACKUP_COLLECTIONS", "BACKUP_SCHEMA", "BACKUP_MIGRATIONS", "migrateBackup", "checkField", "validateBackup"]);
+
+test("every version below the current one has a migration", () => {
+  for (let v = 1; v < app.BACKUP_VERSION; v++) assert.equal(typeof app.BACKUP_MIGRATIONS[v], "function", `missing migration from v${v}`);
+});
+
+test("an unversioned v1 export is upgraded to the current version", () => {
+  const doc = app.migrateBackup({ members: [{ id: 1, name: "Ana", email: "ana@example.com" }], announcements: [], webhookUrl: "https://example.com/hook" });
+  assert.equal(doc.format, app.BACKUP_FORMAT);
+  assert.equal(doc.version, app.BACKUP_VERSION);
+  assert.equal(doc.data.webhookUrl, "https://example.com/hook");
+  assert.deepEqual(plain(app.validateBackup(doc.data)), []);
+});
+
+test("v2 files upgrade and keep their lists", () => {
+  const doc = app.migrateBackup({ format: app.BACKUP_FORMAT, version: 2, exportedAt: null, data: { events: [{ id: 1, title: "Kickoff", date: "2026-01-05" }] } });
+  assert.equal(doc.version, app.BACKUP_VERSION);
+  assert.deepEqual(plain(doc.data.events), [{ id: 1, title: "Kickoff", date: "2026-01-05" }]);
+});
+
+test("v3 files move member emails into memberContacts", () => {
+  const doc = app.migrateBackup({ format: app.BACKUP_FORMAT, version: 3, exportedAt: null, data: { members: [{ id: 1, name: "Ana", email: "ana@example.com" }, { id: 2, name: "Ben" }] } });
+  assert.deepEqual(plain(doc.data.members), [{ id: 1, name: "Ana" }, { id: 2, name: "Ben" }]);
+  assert.deepEqual(plain(doc.data.memberContacts), [{ id: 1, email: "ana@example.com" }]);
+  assert.deepEqual(plain(app.validateBackup(doc.data)), []);
+});
+
+test("v4 files move product download links into productFiles", () => {
+  const doc = app.migrateBackup({ format: app.BACKUP_FORMAT, version: 4, exportedAt: null, data: { products: [{ id: 1, kind: "digital", title: "Playbook", price: 29, downloadUrl: "https://files.example.com/playbook.pdf" }] } });
+  assert.deepEqual(plain(doc.data.products), [{ id: 1, kind: "digital", title: "Playbook", price: 29 }]);
+  assert.deepEqual(plain(doc.data.productFiles), [{ id: 1, url: "https://files.example.com/playbook.pdf" }]);
+  assert.deepEqual(plain(app.validateBackup(doc.data)), []);
+});
+
+test("v6 files fold resource opens into one row per resource per day", () => {
+  const ts = new Date(2026, 2, 1, 12).getTime();
+  const doc = app.migrateBackup({ format: app.BACKUP_FORMAT, version: 6, exportedAt: null, data: { resourceViews: [{ id: 1, resourceId: 7, memberId: 3, ts }, { id: 2, resourceId: 7, memberId: 3, ts: ts + 1000 }, { id: 3, resourceId: 7, ts: ts + 2000 }] } });
+  assert.deepEqual(plain(doc.data.resourceViews), [{ id: 1, resourceId: 7, day: "2026-03-01", opens: 3, memberIds: [3] }]);
+  assert.deepEqual(plain(app.validateBackup(doc.data)), []);
+});
+
+test("v7 files fold product clicks into one row per product, action and day", () => {
+  const ts = new Date(2026, 2, 1, 12).getTime();
+  const doc = app.migrateBackup({ format: app.BACKUP_FORMAT, version: 7, exportedAt: null, data: { productClicks: [{ id: 1, productId: 4, action: "cart", memberId: 3, ts }, { id: 2, productId: 4, action: "cart", ts }, { id: 3, productId: 4, action: "link", ts }] } });
+  assert.deepEqual(plain(doc.data.productClicks), [
+    { id: 1, productId: 4, action: "cart", day: "2026-03-01", count: 2 },
+    { id: 3, productId: 4, action: "link", day: "2026-03-01", count: 1 },
+  ]);
+  assert.deepEqual(plain(app.validateBackup(doc.data)), []);
+});
+
+test("files from a newer app are refused", () => {
+  assert.throws(()=> app.migrateBackup({ format: app.BACKUP_FORMAT, version: app.BACKUP_VERSION + 1, data: {} }), /this app reads up to/);
+});
+
+test("validateBackup reports bad fields and duplicate ids", () => {
+  const errors = app.validateBackup({ coupons: [{ id: 1, code: "A", type: "percent", value: 10 }, { id: 1, code: "B", type: "half", value: "x" }] });
+  assert.deepEqual(plain(errors).map((e)=> e.path), ["coupons[1].type", "coupons[1].value", "coupons[1].id"]);
+});
@@ -0,0 +1,33 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadApp } = require("./load-app");
+
+const app = loadApp(["addDays", "habitsOn", "habitStreak"]);
+
+const log = (day, habits, habitIds)=> ({ id: day, memberId: 1, day, habits, challenges: [], ...(habitIds ? { habitIds } : {}) });
+
+test("a streak counts back from today, or from yesterday while today is unfinished", () => {
+  const habits = [{ id: "a" }, { id: "b" }];
+  const logs = [log("2026-03-01", ["a", "b"]), log("2026-03-02", ["a", "b"]), log("2026-03-03", ["a"])];
+  assert.equal(app.habitStreak(logs, 1, habits, "2026-03-03"), 2);
+  assert.equal(app.habitStreak(logs, 1, habits, "2026-03-02"), 2);
+  assert.equal(app.habitStreak(logs, 2, habits, "2026-03-03"), 0);
+});
+
+test("adding a habit does not break days logged before it existed", () => {
+  const habits = [{ id: "a" }, { id: "b" }, { id: "new" }];
+  const logs = [log("2026-03-01", ["a", "b"], ["a", "b"]), log("2026-03-02", ["a", "b"], ["a", "b"]), log("2026-03-03", ["a", "b", "new"], ["a", "b", "new"])];
+  assert.equal(app.habitStreak(logs, 1, habits, "2026-03-03"), 3);
+});
+
+test("removing a habit does not make an unfinished day perfect", () => {
+  const habits = [{ id: "a" }];
+  const logs = [log("2026-03-01", ["a"], ["a", "b"]), log("2026-03-02", ["a"], ["a"])];
+  assert.equal(app.habitStreak(logs, 1, habits, "2026-03-02"), 1);
+});
+
+test("logs without habitIds use the current habits", () => {
+  const logs = [log("2026-03-01", ["a"]), log("2026-03-02", ["a"], ["a"])];
+  assert.equal(app.habitStreak(logs, 1, [{ id: "a" }], "2026-03-02"), 2);
+  assert.equal(app.habitStreak(logs, 1, [{ id: "a" }, { id: "b" }], "2026-03-02"), 1);
+});
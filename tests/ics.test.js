@@ -0,0 +1,45 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadApp } = require("./load-app");
+
+const app = loadApp([
+  "WEEKDAYS", "DEFAULT_TIME_ZONE", "addDays", "weekdayOf", "zoneOffset", "zonedTime",
+  "ICS_ZONE_YEARS_AHEAD", "ICS_ZONE_STEP_MS", "icsEscape", "icsFold", "icsStamp", "icsDay", "icsLocal",
+  "icsOffset", "icsTimeZone", "icsZoneYears", "eventToIcs", "eventsToIcs",
+]);
+const site = { name: "Test Club", brand: "Test" };
+
+function blocks(ics, name) {
+  return ics.split(`BEGIN:${name}\r\n`).slice(1).map((b)=> b.split(`END:${name}`)[0]);
+}
+
+test("every TZID used by an event has a VTIMEZONE", () => {
+  const ics = app.eventsToIcs([
+    { id: 1, title: "Kickoff", date: "2026-03-03", startTime: "18:00", endTime: "19:00", timeZone: "America/New_York" },
+    { id: 2, title: "Run", date: "2026-06-01", startTime: "07:00", timeZone: "Europe/Berlin", recurrence: { freq: "weekly", byDay: ["MO"], until: "2027-01-31", exdates: [] } },
+    { id: 3, title: "All day", date: "2026-05-01" },
+  ], site);
+  const used = new Set([...ics.matchAll(/TZID=([^:;]+)/g)].map((m)=> m[1]));
+  const defined = new Set([...ics.matchAll(/^TZID:(.+)$/gm)].map((m)=> m[1].trim()));
+  assert.deepEqual([...used].sort(), ["America/New_York", "Europe/Berlin"]);
+  assert.deepEqual([...defined].sort(), [...used].sort());
+  assert.ok(ics.indexOf("BEGIN:VTIMEZONE") < ics.indexOf("BEGIN:VEVENT"));
+});
+
+test("VTIMEZONE observances match the DST changes", () => {
+  const ny = app.icsTimeZone("America/New_York", 2026, 2026).join("\n");
+  assert.match(ny, /BEGIN:DAYLIGHT\nDTSTART:20260308T020000\nTZOFFSETFROM:-0500\nTZOFFSETTO:-0400\nEND:DAYLIGHT/);
+  assert.match(ny, /BEGIN:STANDARD\nDTSTART:20261101T020000\nTZOFFSETFROM:-0400\nTZOFFSETTO:-0500\nEND:STANDARD/);
+  assert.match(ny, /^BEGIN:VTIMEZONE\nTZID:America\/New_York\nBEGIN:STANDARD\nDTSTART:20260101T000000\nTZOFFSETFROM:-0500\nTZOFFSETTO:-0500/);
+});
+
+test("zones without DST get a single STANDARD observance", () => {
+  const lines = app.icsTimeZone("Asia/Kolkata", 2026, 2027);
+  assert.equal(lines.filter((l)=> l.startsWith("BEGIN:")).length, 2);
+  assert.ok(lines.includes("TZOFFSETTO:+0530"));
+});
+
+test("open-ended series cover the years ahead", () => {
+  const zones = app.icsZoneYears([{ id: 1, date: "2026-01-05", startTime: "09:00", timeZone: "UTC", recurrence: { freq: "weekly", byDay: ["MO"], until: "" } }], new Date("2026-10-19T00:00:00Z"));
+  assert.deepEqual([...zones.get("UTC")], [2026, 2026 + app.ICS_ZONE_YEARS_AHEAD]);
+});
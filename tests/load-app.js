@@ -0,0 +1,61 @@
+// The app is one JSX file with no build step, so tests pull the plain-JS helpers
+// they need out of it by name and run them in a fresh context. Only top-level
+// declarations that start at column 0 and close at column 0 can be loaded, which
+// is how every helper in the file is written.
+const fs = require("node:fs");
+const path = require("node:path");
+const vm = require("node:vm");
+
+const APP_FILE = path.join(__dirname, "..", "free_starter_app_locker_room_react_deployable_on_netlify_git_hub_pages (1).jsx");
+const WORKER_FILE = path.join(__dirname, "..", "sw.js");
+const DECLARATION = /^(?:export\s+)?(?:async\s+)?(?:function\s+(\w+)|class\s+(\w+)|(?:const|let)\s+(\w+))/;
+
+function declarations(source) {
+  const lines = source.split("\n");
+  const found = new Map();
+  for (let i = 0; i < lines.length; i++) {
+    const m = DECLARATION.exec(lines[i]);
+    if (!m) continue;
+    const name = m[1] || m[2] || m[3];
+    let end = i;
+    const single = /^(?:const|let)\s/.test(lines[i]) && /;\s*(\/\/.*)?$/.test(lines[i]);
+    if (!single) {
+      while (end + 1 < lines.length && !/^[}\])]/.test(lines[end + 1])) end++;
+      end++;
+    }
+    found.set(name, lines.slice(i, end + 1).join("\n"));
+    i = end;
+  }
+  return found;
+}
+
+// loadApp(["mergeById", "createMockServer"], { fetch }) -> { mergeById, createMockServer }
+// Names are evaluated in the order given, so list dependencies first. `globals`
+// become globals of the context (window, localStorage, crypto, ...).
+function loadApp(names, globals = {}) {
+  const all = declarations(fs.readFileSync(APP_FILE, "utf8"));
+  const missing = names.filter((n)=> !all.has(n));
+  if (missing.length) throw new Error(`Not found in the app file: ${missing.join(", ")}`);
+  const context = vm.createContext({ console, setTimeout, clearTimeout, URL, URLSearchParams, Intl, TextEncoder, ...globals });
+  const code = `${names.map((n)=> all.get(n)).join("\n\n")}\n({ ${names.join(", ")} })`;
+  return vm.runInContext(code, context, { filename: APP_FILE });
+}
+
+// sw.js is plain script, so it runs whole. `globals` stand in for the worker's
+// (caches, fetch, ...); `self` records the listeners it adds by event type.
+// Top-level functions come back on `worker`, constants through read(name).
+function loadWorker(globals = {}) {
+  const listeners = {};
+  const self = { addEventListener: (type, fn)=> { listeners[type] = fn; }, ...globals.self };
+  const context = vm.createContext({ console, URL, Promise, setTimeout, clearTimeout, ...globals, self });
+  vm.runInContext(fs.readFileSync(WORKER_FILE, "utf8"), context, { filename: WORKER_FILE });
+  return { worker: context, listeners, read: (name)=> vm.runInContext(name, context) };
+}
+
+// Values made in the context have its own Array and Object, which deepStrictEqual
+// tells apart from ours; round-trip them before comparing.
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { loadApp, loadWorker, plain };
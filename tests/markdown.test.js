@@ -0,0 +1,22 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadApp } = require("./load-app");
+
+const { INLINE_MARKDOWN } = loadApp(["INLINE_MARKDOWN"]);
+
+// [character before, italic text] for every _italic_ found in text
+function italics(text) {
+  return [...text.matchAll(new RegExp(INLINE_MARKDOWN.source, "g"))].filter((m)=> m[11]).map((m)=> [m[10], m[11]]);
+}
+
+test("the inline pattern has no lookbehind, which older Safari cannot parse", () => {
+  assert.equal(/\(\?<[=!]/.test(INLINE_MARKDOWN.source), false);
+});
+
+test("_italic_ matches at the start, after spaces and after punctuation", () => {
+  assert.deepEqual(italics("_start_ then (_inside_) and _end_"), [["", "start"], ["(", "inside"], [" ", "end"]]);
+});
+
+test("underscores inside words stay literal", () => {
+  assert.deepEqual(italics("snake_case_name and file_name_"), []);
+});
@@ -0,0 +1,33 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadApp, plain } = require("./load-app");
+
+const app = loadApp(["PRIVATE_MEMBER_FIELDS", "isActiveMember", "normalizeEmail", "omitFields", "publicProfile", "withContacts", "remapMemberRefs", "dedupeMembers"]);
+
+test("publicProfile drops the email", () => {
+  assert.deepEqual(plain(app.publicProfile({ id: 1, name: "Ana", email: "ana@example.com" })), { id: 1, name: "Ana" });
+});
+
+test("withContacts fills in emails by member id", () => {
+  const members = [{ id: 1, name: "Ana" }, { id: 2, name: "Ben" }];
+  assert.deepEqual(plain(app.withContacts(members, [{ id: 2, email: "ben@example.com" }])), [{ id: 1, name: "Ana" }, { id: 2, name: "Ben", email: "ben@example.com" }]);
+});
+
+test("dedupeMembers keeps the earliest record per email and unions tags", () => {
+  const { members, remap } = app.dedupeMembers([
+    { id: 1, name: "Ana", email: "Ana@example.com", tags: ["a"] },
+    { id: 2, name: "Ana B", email: "ana@example.com ", sport: "Rugby", tags: ["b"], active: false },
+    { id: 3, name: "Ben", email: "ben@example.com" },
+  ]);
+  assert.deepEqual(plain(members), [
+    { id: 1, name: "Ana", email: "Ana@example.com", tags: ["a", "b"], sport: "Rugby", active: true },
+    { id: 3, name: "Ben", email: "ben@example.com" },
+  ]);
+  assert.deepEqual(plain([...remap]), [[2, 1]]);
+});
+
+test("remapMemberRefs moves memberId and memberIds to the kept member", () => {
+  const remap = new Map([[2, 1]]);
+  assert.deepEqual(plain(app.remapMemberRefs([{ id: 10, memberId: 2 }, { id: 11, memberId: 3 }], remap)), [{ id: 10, memberId: 1 }, { id: 11, memberId: 3 }]);
+  assert.deepEqual(plain(app.remapMemberRefs([{ id: 20, memberIds: [1, 2, 3] }], remap)), [{ id: 20, memberIds: [1, 3] }]);
+});
@@ -0,0 +1,64 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadApp, plain } = require("./load-app");
+
+const app = loadApp([
+  "WEEKDAYS", "EVENTS_WINDOW_DAYS", "DEFAULT_TIME_ZONE", "DEV_MAILBOX_KEY", "REMINDER_LEAD_MS", "REMINDER_MISSED_DAYS",
+  "localToday", "addDays", "weekdayOf", "zoneOffset", "zonedTime", "expandEvent", "upcomingOccurrences", "formatOccurrence",
+  "latestRsvps", "rsvpSummary", "reminderId", "reminderRecipients", "dueReminders", "missedReminders",
+  "createConsoleTransport", "createFileTransport", "createSmtpTransport", "createNotificationTransport",
+]);
+
+const today = app.localToday();
+const members = [{ id: 1, name: "Ana", email: "ana@example.com" }, { id: 2, name: "Ben", email: "ben@example.com" }, { id: 3, name: "Cy" }];
+const going = (eventId, day)=> members.map((m, i)=> ({ id: `${eventId}-${m.id}`, eventId, day, memberId: m.id, status: "going", respondedAt: i }));
+
+test("only the smtp transport delivers", () => {
+  assert.equal(app.createNotificationTransport({ transport: "console" }).delivers, false);
+  assert.equal(app.createNotificationTransport({ transport: "file" }).delivers, false);
+  assert.equal(app.createNotificationTransport({ transport: "smtp", endpoint: "https://mail.test" }).delivers, true);
+  // smtp without an endpoint falls back to the console
+  assert.equal(app.createNotificationTransport({ transport: "smtp" }).delivers, false);
+});
+
+test("dueReminders: confirmed members with an email, within 24 hours of the start", () => {
+  const day = app.addDays(today, 2);
+  const event = { id: "e1", title: "Lift", date: day, startTime: "18:00", timeZone: "UTC" };
+  const start = new Date(`${day}T18:00:00Z`);
+  const due = app.dueReminders([event], going("e1", day), members, new Date(start - 60 * 60 * 1000));
+  assert.deepEqual(due.map((r)=> [r.id, r.recordId, r.to]), [["reminder-e1-" + day + "-1", "e1-1", "ana@example.com"], ["reminder-e1-" + day + "-2", "e1-2", "ben@example.com"]]);
+  assert.deepEqual(plain(app.dueReminders([event], going("e1", day), members, new Date(start - 25 * 60 * 60 * 1000))), []);
+});
+
+test("missedReminders: started events whose reminders were never queued", () => {
+  const day = app.addDays(today, -2);
+  const event = { id: "e1", title: "Lift", date: day, startTime: "10:00", timeZone: "UTC" };
+  const rsvps = going("e1", day);
+  const missed = app.missedReminders([event], rsvps, members, []);
+  assert.deepEqual(missed.map((o)=> [o.event.id, o.day, o.missed]), [["e1", day, 2]]);
+  const items = [{ id: `reminder-e1-${day}-1` }];
+  assert.equal(app.missedReminders([event], rsvps, members, items)[0].missed, 1);
+  assert.deepEqual(plain(app.missedReminders([event], rsvps, members, [...items, { id: `reminder-e1-${day}-2` }])), []);
+});
+
+test("missedReminders ignores events that have not started or are too old", () => {
+  const later = app.addDays(today, 1);
+  const old = app.addDays(today, -(app.REMINDER_MISSED_DAYS + 1));
+  const events = [
+    { id: "soon", title: "Soon", date: later, startTime: "10:00", timeZone: "UTC" },
+    { id: "old", title: "Old", date: old, startTime: "10:00", timeZone: "UTC" },
+  ];
+  assert.deepEqual(plain(app.missedReminders(events, [...going("soon", later), ...going("old", old)], members, [])), []);
+});
+
+test("smtp sends only the template, record and key, with the admin token", async () => {
+  const calls = [];
+  const fetch = async (url, init)=> { calls.push({ url, init }); return { ok: true, json: async ()=> ({ id: "m1" }) }; };
+  const { createSmtpTransport } = loadApp(["createSmtpTransport"], { fetch });
+  const transport = createSmtpTransport({ endpoint: "https://mail.test/", token: ()=> "admin" });
+  const res = await transport.send({ template: "eventReminder", recordId: 7, to: "someone@evil.test", subject: "Free money", text: "Click here", idempotencyKey: "k1" });
+  assert.equal(res.id, "m1");
+  assert.equal(calls[0].url, "https://mail.test/send");
+  assert.equal(calls[0].init.headers.Authorization, "Bearer admin");
+  assert.deepEqual(JSON.parse(calls[0].init.body), { template: "eventReminder", recordId: 7, idempotencyKey: "k1" });
+});
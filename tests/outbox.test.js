@@ -0,0 +1,43 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadApp, plain } = require("./load-app");
+
+const app = loadApp(["OUTBOX_MAX_ATTEMPTS", "OUTBOX_BASE_DELAY_MS", "OUTBOX_MAX_DELAY_MS", "outboxDelay", "outboxItem", "addToOutbox", "dueOutboxItems", "outboxFailure"]);
+
+test("outboxDelay doubles from the base delay and stops at the cap", () => {
+  assert.equal(app.outboxDelay(1), app.OUTBOX_BASE_DELAY_MS);
+  assert.equal(app.outboxDelay(2), app.OUTBOX_BASE_DELAY_MS * 2);
+  assert.equal(app.outboxDelay(4), app.OUTBOX_BASE_DELAY_MS * 8);
+  assert.equal(app.outboxDelay(20), app.OUTBOX_MAX_DELAY_MS);
+});
+
+test("items carry their id as the idempotency key", () => {
+  const item = app.outboxItem({ name: "Ana" }, "signup-1", 1000);
+  assert.deepEqual(plain(item), { id: "signup-1", payload: { name: "Ana", idempotencyKey: "signup-1" }, status: "pending", attempts: 0, nextAttemptAt: 0, lastError: null, createdAt: 1000 });
+});
+
+test("queuing the same id twice keeps one item", () => {
+  const first = app.outboxItem({ name: "Ana" }, "signup-1");
+  const list = app.addToOutbox([], first);
+  assert.equal(app.addToOutbox(list, app.outboxItem({ name: "Ana again" }, "signup-1")), list);
+  assert.deepEqual(plain(app.addToOutbox(list, app.outboxItem({ name: "Ben" }, "signup-2")).map((i)=> i.id)), ["signup-2", "signup-1"]);
+});
+
+test("due items are pending or left sending, and past their retry time", () => {
+  const items = [
+    { id: "a", status: "pending", nextAttemptAt: 0 },
+    { id: "b", status: "pending", nextAttemptAt: 5000 },
+    { id: "c", status: "sending", nextAttemptAt: 0 },
+    { id: "d", status: "sent", nextAttemptAt: 0 },
+    { id: "e", status: "failed", nextAttemptAt: 0 },
+  ];
+  assert.deepEqual(plain(app.dueOutboxItems(items, 1000).map((i)=> i.id)), ["a", "c"]);
+  assert.deepEqual(plain(app.dueOutboxItems(items, 5000).map((i)=> i.id)), ["a", "b", "c"]);
+});
+
+test("failures back off and give up after the last attempt", () => {
+  const item = app.outboxItem({}, "x");
+  assert.deepEqual(plain(app.outboxFailure(item, "Offline", 1000)), { status: "pending", attempts: 1, nextAttemptAt: 1000 + app.OUTBOX_BASE_DELAY_MS, lastError: "Offline" });
+  const last = { ...item, attempts: app.OUTBOX_MAX_ATTEMPTS - 1 };
+  assert.equal(app.outboxFailure(last, "Sheet answered 500", 1000).status, "failed");
+});
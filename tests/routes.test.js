@@ -0,0 +1,66 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadApp, plain } = require("./load-app");
+
+const window = { location: null };
+const app = loadApp(["ROUTER", "ROUTE_SEGMENTS", "parseRoute", "currentRoute", "routeHref", "routeUrl"], { window });
+
+// Points the fake window at `href` under the given router settings.
+function at(href, mode = "hash", base = "/") {
+  Object.assign(app.ROUTER, { mode, base });
+  const url = new URL(href, "https://club.test");
+  window.location = { pathname: url.pathname, search: url.search, hash: url.hash, href: url.href };
+}
+
+const route = (tab = null, id = null, apply = null)=> ({ tab, id, apply });
+
+test("parseRoute maps segments to tabs and drops unknown ones", () => {
+  const none = new URLSearchParams();
+  assert.deepEqual(plain(app.parseRoute("/events/3", none)), route("events", "3"));
+  assert.deepEqual(plain(app.parseRoute("products", none)), route("store"));
+  assert.deepEqual(plain(app.parseRoute("/resources/a%20b", none)), route("resources", "a b"));
+  assert.deepEqual(plain(app.parseRoute("/nope/3", none)), route());
+  assert.deepEqual(plain(app.parseRoute("", new URLSearchParams("apply=7"))), route(null, null, "7"));
+});
+
+test("hash mode: hrefs round-trip through currentRoute", () => {
+  for (const r of [route(), route("events"), route("events", "3"), route("store", "2", "2"), route("resources", "a b")]) {
+    at(`/${app.routeHref(r)}`);
+    assert.deepEqual(plain(app.currentRoute()), r);
+  }
+  assert.equal(app.routeHref(route("store", "2", "2")), "#/products/2?apply=2");
+});
+
+test("hash mode: ?apply= in the real query string is read, and the hash copy wins", () => {
+  at("/?apply=3#/products");
+  assert.deepEqual(plain(app.currentRoute()), route("store", null, "3"));
+  at("/?apply=3#/products?apply=4");
+  assert.equal(app.currentRoute().apply, "4");
+});
+
+test("hash mode: routeUrl moves apply into the hash and keeps other params", () => {
+  at("/app/?checkout=ok&apply=3#/products");
+  assert.equal(app.routeUrl(route("store", null, "3")), "/app/?checkout=ok#/products?apply=3");
+  assert.equal(app.routeUrl(route()), "/app/?checkout=ok#/");
+});
+
+test("history mode: hrefs round-trip under a base folder", () => {
+  for (const r of [route(), route("events", "3"), route("store", null, "2")]) {
+    at("/", "history", "/my-repo/");
+    at(app.routeHref(r), "history", "/my-repo/");
+    assert.deepEqual(plain(app.currentRoute()), r);
+  }
+  at("/", "history", "/my-repo/");
+  assert.equal(app.routeHref(route("events", "3")), "/my-repo/events/3");
+  assert.equal(app.routeUrl(route("store", null, "2")), "/my-repo/products?apply=2");
+});
+
+test("history mode: the GitHub Pages 404 fallback restores the route", () => {
+  at("/my-repo/?route=/events/3", "history", "/my-repo/");
+  assert.deepEqual(plain(app.currentRoute()), route("events", "3"));
+  at("/my-repo/?route=/my-repo/products/2%3Fapply%3D2", "history", "/my-repo/");
+  assert.deepEqual(plain(app.currentRoute()), route("store", "2", "2"));
+  // route= is dropped once restored, other params stay
+  at("/my-repo/?route=/events/3&ref=mail", "history", "/my-repo/");
+  assert.equal(app.routeUrl(app.currentRoute()), "/my-repo/events/3?ref=mail");
+});
@@ -0,0 +1,64 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadApp, plain } = require("./load-app");
+
+const app = loadApp(["latestRsvps", "rsvpSummary", "attendanceByMember"]);
+
+let nextId = 1;
+const reply = (memberId, status, respondedAt, extra = {})=> ({ id: nextId++, eventId: "e1", day: "2024-05-10", memberId, status, respondedAt, checkedInAt: null, ...extra });
+const ids = (list)=> plain(list.map((r)=> r.memberId));
+
+test("rsvpSummary with no replies", () => {
+  const s = app.rsvpSummary([], "e1", "2024-05-10", 10);
+  assert.deepEqual(plain([s.all, s.confirmed, s.waitlist, s.maybe, s.no]), [[], [], [], [], []]);
+  assert.equal(s.spotsLeft, 10);
+  assert.equal(app.rsvpSummary([], "e1", "2024-05-10", 0).spotsLeft, null);
+});
+
+test("rsvpSummary fills capacity in reply order and waitlists the rest", () => {
+  const rsvps = [reply(3, "going", 30), reply(1, "going", 10), reply(2, "going", 20), reply(4, "maybe", 5), reply(5, "no", 6)];
+  const s = app.rsvpSummary(rsvps, "e1", "2024-05-10", 2);
+  assert.deepEqual(ids(s.confirmed), [1, 2]);
+  assert.deepEqual(ids(s.waitlist), [3]);
+  assert.deepEqual(ids(s.maybe), [4]);
+  assert.deepEqual(ids(s.no), [5]);
+  assert.equal(s.spotsLeft, 0);
+  // no capacity means everyone going is confirmed
+  assert.deepEqual(ids(app.rsvpSummary(rsvps, "e1", "2024-05-10").confirmed), [1, 2, 3]);
+});
+
+test("rsvpSummary only counts the requested occurrence", () => {
+  const rsvps = [reply(1, "going", 1), reply(2, "going", 2, { day: "2024-05-17" }), reply(3, "going", 3, { eventId: "e2" })];
+  assert.deepEqual(ids(app.rsvpSummary(rsvps, "e1", "2024-05-10", 0).all), [1]);
+});
+
+test("duplicate replies from two devices count once, the latest winning", () => {
+  const rsvps = [reply(1, "going", 10), reply(2, "going", 20), reply(1, "no", 30)];
+  const s = app.rsvpSummary(rsvps, "e1", "2024-05-10", 1);
+  assert.deepEqual(ids(s.confirmed), [2]);
+  assert.deepEqual(ids(s.no), [1]);
+  assert.equal(s.all.length, 2);
+});
+
+test("a check-in on an older duplicate is kept", () => {
+  const merged = app.latestRsvps([reply(1, "going", 10, { checkedInAt: 99 }), reply(1, "going", 20)]);
+  assert.equal(merged.length, 1);
+  assert.equal(merged[0].respondedAt, 20);
+  assert.equal(merged[0].checkedInAt, 99);
+});
+
+test("attendanceByMember counts yeses and check-ins once per occurrence, most attended first", () => {
+  const members = [{ id: 1, name: "Ana" }, { id: 2, name: "Ben" }, { id: 3, name: "Cy" }];
+  const events = [{ id: "e1", title: "Lift" }];
+  const rsvps = [
+    reply(1, "going", 1, { day: "2024-05-03", checkedInAt: 5 }),
+    reply(1, "going", 2, { day: "2024-05-10", checkedInAt: 6 }),
+    reply(1, "going", 3, { day: "2024-05-10" }), // duplicate from another device
+    reply(2, "going", 4),
+    reply(2, "going", 5, { eventId: "deleted", checkedInAt: 7 }), // event no longer exists
+  ];
+  const rows = app.attendanceByMember(members, rsvps, events);
+  assert.deepEqual(plain(rows.map((r)=> [r.member.id, r.going, r.attended, r.lastAttended])), [[1, 2, 2, "2024-05-10"], [2, 1, 0, null], [3, 0, 0, null]]);
+  assert.deepEqual(plain(rows[0].history), [{ day: "2024-05-10", title: "Lift" }, { day: "2024-05-03", title: "Lift" }]);
+  assert.deepEqual(plain(app.attendanceByMember([], rsvps, events)), []);
+});
@@ -0,0 +1,55 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadApp, plain } = require("./load-app");
+
+const app = loadApp(["SITE_TABS", "isPlainObject", "mergeDeep", "mergeSite", "hexToHsl", "siteTheme"]);
+
+const defaults = {
+  name: "Club",
+  colors: { primary: "#0f172a" },
+  hero: { title: "Hi", bullets: ["a", "b"] },
+  defaultTab: "announcements",
+  tabs: { events: true, store: true, resources: true },
+  seeds: { events: [{ id: 1 }] },
+};
+
+test("mergeSite overlays layers key by key and replaces lists", () => {
+  const site = app.mergeSite(defaults, { hero: { title: "Hello" }, tabs: { store: false } }, { hero: { bullets: ["c"] }, name: "Team" });
+  assert.deepEqual(plain(site.hero), { title: "Hello", bullets: ["c"] });
+  assert.deepEqual(plain(site.tabs), { events: true, store: false, resources: true });
+  assert.equal(site.name, "Team");
+  assert.equal(site.colors.primary, "#0f172a");
+});
+
+test("mergeSite skips layers that are not objects", () => {
+  assert.deepEqual(plain(app.mergeSite(defaults, null, undefined, ["x"], "y")), defaults);
+});
+
+test("mergeSite keeps the default section when an override has the wrong shape", () => {
+  const site = app.mergeSite(defaults, { tabs: null, hero: "Hello", colors: ["red"], seeds: { events: null } }, { hero: { bullets: "one" } });
+  assert.deepEqual(plain(site.tabs), defaults.tabs);
+  assert.deepEqual(plain(site.hero), defaults.hero);
+  assert.deepEqual(plain(site.colors), defaults.colors);
+  assert.deepEqual(plain(site.seeds), defaults.seeds);
+});
+
+test("mergeSite falls back to the community tab when the default tab is unknown or turned off", () => {
+  assert.equal(app.mergeSite(defaults, { defaultTab: "events" }).defaultTab, "events");
+  assert.equal(app.mergeSite(defaults, { defaultTab: "nope" }).defaultTab, "announcements");
+  assert.equal(app.mergeSite(defaults, { defaultTab: "store", tabs: { store: false } }).defaultTab, "announcements");
+});
+
+test("hexToHsl converts six-digit hex colors and rejects anything else", () => {
+  assert.equal(app.hexToHsl("#000000"), "0 0% 0%");
+  assert.equal(app.hexToHsl("#ffffff"), "0 0% 100%");
+  assert.equal(app.hexToHsl("#ff0000"), "0 100% 50%");
+  assert.equal(app.hexToHsl("0000FF"), "240 100% 50%");
+  assert.equal(app.hexToHsl("#0f172a"), "222 47% 11%");
+  for (const bad of ["#fff", "red", "", null, undefined, "#12345g"]) assert.equal(app.hexToHsl(bad), null);
+});
+
+test("siteTheme picks a readable foreground and ignores bad colors", () => {
+  assert.equal(app.siteTheme({ colors: { primary: "#0f172a" } })["--primary-foreground"], "210 40% 98%");
+  assert.equal(app.siteTheme({ colors: { primary: "#fde68a" } })["--primary-foreground"], "222 47% 11%");
+  assert.deepEqual(plain(app.siteTheme({ colors: { primary: "teal" } })), {});
+});
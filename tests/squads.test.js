@@ -0,0 +1,38 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadApp, plain } = require("./load-app");
+
+const app = loadApp(["isActiveMember", "goalFor", "missingCheckIns"]);
+
+const WEEK = "2024-05-06";
+const members = [{ id: 1, name: "Ana" }, { id: 2, name: "Ben" }, { id: 3, name: "Cy", active: false }];
+const squads = [{ id: "s1", name: "Early birds", memberIds: [1, 2, 3, 99] }];
+const rows = (list)=> plain(list.map((r)=> [r.member.id, r.reason]));
+
+test("missingCheckIns with nothing to check", () => {
+  assert.deepEqual(plain(app.missingCheckIns([], members, [], WEEK)), []);
+  assert.deepEqual(plain(app.missingCheckIns([{ id: "s1", memberIds: [] }], members, [], WEEK)), []);
+});
+
+test("missingCheckIns skips inactive and deleted members", () => {
+  assert.deepEqual(rows(app.missingCheckIns(squads, members, [], WEEK)), [[1, "No goal set"], [2, "No goal set"]]);
+});
+
+test("missingCheckIns only looks at the requested week", () => {
+  const goals = [
+    { memberId: 1, week: "2024-04-29", goal: "Run", checkIn: { status: "done" } },
+    { memberId: 2, week: WEEK, goal: "Lift" },
+    { memberId: 2, week: "2024-05-13", goal: "Swim", checkIn: { status: "done" } },
+  ];
+  assert.deepEqual(rows(app.missingCheckIns(squads, members, goals, WEEK)), [[1, "No goal set"], [2, "No check-in"]]);
+  assert.deepEqual(rows(app.missingCheckIns(squads, members, goals, "2024-04-29")), [[2, "No goal set"]]);
+});
+
+test("a checked-in duplicate goal counts as checked in", () => {
+  const goals = [
+    { memberId: 1, week: WEEK, goal: "Run" },
+    { memberId: 1, week: WEEK, goal: "Run", checkIn: { status: "partial" } },
+    { memberId: 2, week: WEEK, goal: "Lift", checkIn: { status: "missed" } },
+  ];
+  assert.deepEqual(plain(app.missingCheckIns(squads, members, goals, WEEK)), []);
+});
@@ -0,0 +1,163 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadApp, plain } = require("./load-app");
+
+const { createRestAdapter, createMockServer, mergeById, StorageConflictError, StorageRateLimitError } = loadApp(["PRIVATE_KEYS", "ADMIN_KEYS", "MOCK_ADMIN_TOKEN", "requiresAdmin", "JOIN_RATE_LIMIT", "JOIN_RATE_WINDOW_MS", "joinRateLimit", "StorageConflictError", "StorageRateLimitError", "createRestAdapter", "createMockServer", "mergeById"]);
+
+// clients are admins unless given another token
+function setup() {
+  const server = createMockServer({ latency: 0, adminToken: "admin" });
+  const client = (token = "admin")=> createRestAdapter({ baseUrl: "https://api.test/", token, fetch: server.fetch });
+  return { server, client };
+}
+
+test("rest adapter: missing collections load as null", async () => {
+  const { client } = setup();
+  assert.equal(await client().load("lr_events"), null);
+});
+
+test("rest adapter: saves bump the version and load returns the saved value", async () => {
+  const { server, client } = setup();
+  const adapter = client();
+  assert.deepEqual(plain(await adapter.save("lr_events", [{ id: 1 }], null)), { version: 1 });
+  assert.deepEqual(plain(await adapter.save("lr_events", [{ id: 1 }, { id: 2 }], 1)), { version: 2 });
+  assert.deepEqual(plain(await client().load("lr_events")), { value: [{ id: 1 }, { id: 2 }], version: 2 });
+  assert.equal(server.rows.get("lr_events").version, 2);
+});
+
+test("rest adapter: sends the token and encodes keys", async () => {
+  const calls = [];
+  const server = createMockServer({ latency: 0 });
+  const adapter = createRestAdapter({ baseUrl: "https://api.test", token: "secret", fetch: (url, init = {})=> { calls.push({ url, init }); return server.fetch(url, init); } });
+  await adapter.save("lr events", [], null);
+  assert.equal(calls[0].url, "https://api.test/collections/lr%20events");
+  assert.equal(calls[0].init.method, "PUT");
+  assert.equal(calls[0].init.headers.Authorization, "Bearer secret");
+});
+
+test("rest adapter: a stale version raises StorageConflictError with the server copy", async () => {
+  const { client } = setup();
+  const a = client();
+  const b = client();
+  await a.save("lr_members", [{ id: 1, name: "Ana" }], null);
+  await b.save("lr_members", [{ id: 2, name: "Ben" }, { id: 1, name: "Ana" }], 1);
+  await assert.rejects(a.save("lr_members", [{ id: 3, name: "Cy" }, { id: 1, name: "Ana" }], 1), (err)=> {
+    assert.ok(err instanceof StorageConflictError);
+    assert.deepEqual(plain(err.remote), { value: [{ id: 2, name: "Ben" }, { id: 1, name: "Ana" }], version: 2 });
+    return true;
+  });
+});
+
+test("mock server: admin lists need the admin token to change, member lists do not", async () => {
+  const { client } = setup();
+  const visitor = client(null);
+  for (const key of ["lr_products", "lr_templates", "lr_site", "lr_announcements"]) {
+    await assert.rejects(visitor.save(key, [], null), new RegExp(`Could not save ${key} \\(401\\)`));
+  }
+  await client().save("lr_products", [{ id: 1, title: "Playbook" }], null);
+  assert.deepEqual(plain(await visitor.load("lr_products")), { value: [{ id: 1, title: "Playbook" }], version: 1 });
+  await assert.rejects(client("guess").save("lr_products", [], 1), /\(401\)/);
+  for (const key of ["lr_members", "lr_rsvps", "lr_habit_logs", "lr_goals", "lr_resource_views", "lr_product_clicks"]) {
+    assert.deepEqual(plain(await visitor.save(key, [{ id: 1 }], null)), { version: 1 });
+  }
+});
+
+test("mock server: private lists take visitors' appends but only admins read or replace them", async () => {
+  const { client } = setup();
+  const visitor = client(null);
+  await visitor.append("lr_applications", { id: 1, name: "Ana" });
+  await assert.rejects(visitor.load("lr_applications"), /\(401\)/);
+  await assert.rejects(visitor.save("lr_applications", [], 1), /\(401\)/);
+  assert.deepEqual(plain(await client().load("lr_applications")), { value: [{ id: 1, name: "Ana" }], version: 1 });
+  // appends are only for private lists
+  await assert.rejects(visitor.append("lr_products", { id: 2 }), /\(405\)/);
+});
+
+test("rest adapter: append adds one record to the front of the list", async () => {
+  const { client } = setup();
+  const adapter = client();
+  await adapter.save("lr_member_contacts", [{ id: 1, email: "ana@example.com" }], null);
+  assert.deepEqual(plain(await adapter.append("lr_member_contacts", { id: 2, email: "ben@example.com" })), { version: 2 });
+  assert.deepEqual(plain(await adapter.load("lr_member_contacts")), { value: [{ id: 2, email: "ben@example.com" }, { id: 1, email: "ana@example.com" }], version: 2 });
+});
+
+test("rest adapter: signups past the server's limit raise StorageRateLimitError", async () => {
+  const { client } = setup();
+  const adapter = client();
+  for (let i = 1; i <= 3; i++) await adapter.append("lr_member_contacts", { id: i, email: `m${i}@example.com` });
+  await assert.rejects(adapter.append("lr_member_contacts", { id: 4, email: "m4@example.com" }), (err)=> {
+    assert.ok(err instanceof StorageRateLimitError);
+    assert.ok(err.retryAfter > 0 && err.retryAfter <= 600);
+    return true;
+  });
+  // other collections are not limited
+  for (let i = 1; i <= 4; i++) await adapter.append("lr_applications", { id: i });
+});
+
+test("rest adapter: a 429 without a body waits a minute", async () => {
+  const adapter = createRestAdapter({ baseUrl: "https://api.test", fetch: async ()=> ({ status: 429, ok: false, json: async ()=> { throw new Error("no body"); } }) });
+  await assert.rejects(adapter.append("lr_member_contacts", { id: 1 }), (err)=> err instanceof StorageRateLimitError && err.retryAfter === 60);
+});
+
+test("rest adapter: other failures throw a plain error", async () => {
+  const adapter = createRestAdapter({ baseUrl: "https://api.test", fetch: async ()=> ({ status: 500, ok: false, json: async ()=> ({}) }) });
+  await assert.rejects(adapter.load("lr_events"), /Could not load lr_events \(500\)/);
+  await assert.rejects(adapter.save("lr_events", [], null), /Could not save lr_events \(500\)/);
+  await assert.rejects(adapter.append("lr_events", { id: 1 }), /Could not send lr_events \(500\)/);
+});
+
+test("mergeById keeps both sides' additions and edits", () => {
+  const base = [{ id: 1, t: "a" }, { id: 2, t: "b" }];
+  const ours = [{ id: 3, t: "ours" }, { id: 1, t: "a2" }, { id: 2, t: "b" }];
+  const theirs = [{ id: 4, t: "theirs" }, { id: 1, t: "a" }, { id: 2, t: "b3" }];
+  assert.deepEqual(plain(mergeById(base, ours, theirs)), [{ id: 3, t: "ours" }, { id: 4, t: "theirs" }, { id: 1, t: "a2" }, { id: 2, t: "b3" }]);
+});
+
+test("mergeById drops what we deleted and keeps what they deleted gone", () => {
+  const base = [{ id: 1 }, { id: 2 }, { id: 3 }];
+  const ours = [{ id: 1 }, { id: 3 }];
+  const theirs = [{ id: 1 }, { id: 2 }];
+  assert.deepEqual(plain(mergeById(base, ours, theirs)), [{ id: 1 }]);
+});
+
+test("mergeById falls back to ours for anything that is not a list", () => {
+  assert.deepEqual(plain(mergeById(null, { name: "ours" }, { name: "theirs" })), { name: "ours" });
+});
+
+test("conflict round trip: merge the server copy and save again", async () => {
+  const { server, client } = setup();
+  const a = client();
+  const b = client();
+  await a.save("lr_rsvps", [{ id: 1, status: "going" }], null);
+  const loaded = await b.load("lr_rsvps");
+  await b.save("lr_rsvps", [{ id: 2, status: "maybe" }, ...loaded.value], loaded.version);
+
+  const base = [{ id: 1, status: "going" }];
+  const ours = [{ id: 1, status: "no" }];
+  let version = 1;
+  try {
+    await a.save("lr_rsvps", ours, version);
+    assert.fail("expected a conflict");
+  } catch (err) {
+    assert.ok(err instanceof StorageConflictError);
+    const merged = mergeById(base, ours, err.remote.value);
+    version = (await a.save("lr_rsvps", merged, err.remote.version)).version;
+  }
+  assert.equal(version, 3);
+  assert.deepEqual(plain(server.rows.get("lr_rsvps").value), [{ id: 2, status: "maybe" }, { id: 1, status: "no" }]);
+});
+
+test("pending writes keep the first base until cleared", () => {
+  const store = new Map();
+  const localStorage = { getItem: (k)=> store.has(k) ? store.get(k) : null, setItem: (k, v)=> store.set(k, String(v)) };
+  const { pendingWrite, markPending, clearPending } = loadApp(["readLocal", "writeLocal", "PENDING_WRITES_KEY", "pendingWrite", "markPending", "clearPending"], { localStorage });
+  assert.equal(pendingWrite("lr_events"), undefined);
+  markPending("lr_events", [{ id: 1 }]);
+  markPending("lr_events", [{ id: 1 }, { id: 2 }]);
+  markPending("lr_goals", undefined);
+  assert.deepEqual(plain(pendingWrite("lr_events")), { base: [{ id: 1 }] });
+  assert.ok(pendingWrite("lr_goals"));
+  clearPending("lr_events");
+  assert.equal(pendingWrite("lr_events"), undefined);
+  assert.ok(pendingWrite("lr_goals"));
+});
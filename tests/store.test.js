@@ -0,0 +1,60 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadApp, plain } = require("./load-app");
+
+const app = loadApp(["acceptsApplications", "localToday", "STORE_CURRENCY", "PAYMENTS", "priceCents", "findCoupon", "couponDiscount", "orderItems", "orderSubtotal", "buildOrder", "createFakePaymentProvider", "createStripePaymentProvider", "createPaymentProvider"]);
+
+const products = [{ id: 1, kind: "digital", title: "Playbook", price: 29 }, { id: 2, kind: "digital", title: "Workbook", price: 10 }];
+const cart = [{ productId: 1 }, { productId: 2 }];
+
+test("checkout is off unless a provider is configured", () => {
+  assert.equal(app.PAYMENTS.provider, null);
+  assert.equal(app.createPaymentProvider({ provider: null }), null);
+  assert.equal(app.createPaymentProvider({ provider: "stripe" }), null);
+  assert.equal(app.createPaymentProvider({ provider: "fake" }).name, "fake");
+});
+
+test("buildOrder takes the discount from the quote, capped at the subtotal", () => {
+  const order = app.buildOrder(cart, products, { discount: 500, couponCode: "SAVE5" }, { name: "Ana", email: "ana@example.com" });
+  assert.equal(order.subtotal, 3900);
+  assert.equal(order.total, 3400);
+  assert.equal(order.couponCode, "SAVE5");
+  assert.equal(app.buildOrder(cart, products, { discount: 9999, couponCode: "ALL" }, {}).total, 0);
+  assert.equal(app.buildOrder(cart, products, null, {}).couponCode, "");
+});
+
+test("fake provider quotes codes and hands out files from the store", async () => {
+  const store = ()=> ({ coupons: [{ id: 1, code: "HALF", type: "percent", value: 50 }, { id: 2, code: "OFF", type: "amount", value: 5, active: false }], files: [{ id: 1, url: "https://files.example.com/playbook.pdf" }] });
+  const provider = app.createFakePaymentProvider({ latency: 0, store });
+  const items = app.orderItems(cart, products);
+  assert.deepEqual(plain(await provider.quote(items, "half")), { discount: 1950, couponCode: "HALF" });
+  assert.deepEqual(plain(await provider.quote(items, "OFF")), { error: "That code is not valid." });
+  assert.deepEqual(plain(await provider.downloads({ items })), [{ productId: 1, url: "https://files.example.com/playbook.pdf" }]);
+});
+
+test("stripe provider sends product ids and the code, never amounts", async () => {
+  const calls = [];
+  const fetch = async (url, init = {})=> {
+    calls.push({ url, body: init.body && JSON.parse(init.body) });
+    if (url.endsWith("/quotes")) return { status: 422, ok: false, json: async ()=> ({ error: "Expired code." }) };
+    if (url.endsWith("/downloads")) return { status: 200, ok: true, json: async ()=> [{ productId: 1, url: "https://files.example.com/p.pdf" }] };
+    return { status: 200, ok: true, json: async ()=> ({ id: "cs_1", url: "https://checkout.example.com/cs_1" }) };
+  };
+  const { createStripePaymentProvider } = loadApp(["createStripePaymentProvider"], { fetch, window: { location: { origin: "https://app.example.com", pathname: "/" } } });
+  const provider = createStripePaymentProvider({ endpoint: "https://pay.example.com/" });
+  const order = app.buildOrder(cart, products, { discount: 500, couponCode: "SAVE5" }, { email: "ana@example.com" });
+  assert.deepEqual(plain(await provider.quote(order.items, "OLD")), { error: "Expired code." });
+  assert.equal((await provider.createCheckout(order)).status, "redirect");
+  assert.deepEqual(calls[1].body.items, [{ productId: 1, quantity: 1 }, { productId: 2, quantity: 1 }]);
+  assert.equal(calls[1].body.couponCode, "SAVE5");
+  assert.equal("discountAmount" in calls[1].body, false);
+  assert.deepEqual(plain(await provider.downloads({ ...order, paymentId: "cs_1" })), [{ productId: 1, url: "https://files.example.com/p.pdf" }]);
+  assert.equal(calls[2].url, "https://pay.example.com/checkout-sessions/cs_1/downloads");
+});
+
+test("only products with an Apply call to action take applications", () => {
+  assert.equal(app.acceptsApplications({ kind: "coaching", cta: "Apply" }), true);
+  assert.equal(app.acceptsApplications({ kind: "coaching", cta: "apply" }), true);
+  assert.equal(app.acceptsApplications({ kind: "coaching", cta: "Book call" }), false);
+  assert.equal(app.acceptsApplications({ kind: "digital" }), false);
+});
@@ -0,0 +1,141 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadApp, loadWorker } = require("./load-app");
+
+const SCOPE = "https://club.test/app/";
+
+// Responses are plain objects; clone() copies them so cached and returned copies
+// can be told apart.
+function response(body, { ok = true, status = 200, type = "basic" } = {}) {
+  return { body, ok, status, type, clone() { return response(body, { ok, status, type }); } };
+}
+
+function fakeCaches() {
+  const stores = new Map();
+  const keyOf = (req)=> typeof req === "string" ? req : req.url;
+  return {
+    stores,
+    async open(name) {
+      if (!stores.has(name)) stores.set(name, new Map());
+      const store = stores.get(name);
+      return {
+        async match(req) { return store.get(keyOf(req)); },
+        async put(req, res) { store.set(keyOf(req), res); },
+      };
+    },
+  };
+}
+
+function setup(fetchImpl) {
+  const caches = fakeCaches();
+  const calls = [];
+  const fetch = async (req)=> { calls.push(req.url); return fetchImpl(req); };
+  return { caches, calls, ...loadWorker({ caches, fetch }) };
+}
+
+const get = (url, mode = "cors")=> ({ url, method: "GET", mode });
+const offline = async ()=> { throw new TypeError("Failed to fetch"); };
+
+test("strategyFor sorts requests by what they are", () => {
+  const { worker } = setup(offline);
+  assert.equal(worker.strategyFor(get(`${SCOPE}events/12`, "navigate"), SCOPE), "shell");
+  assert.equal(worker.strategyFor(get("https://other.test/", "navigate"), SCOPE), null);
+  assert.equal(worker.strategyFor({ ...get(`${SCOPE}app.js`), method: "POST" }, SCOPE), null);
+  assert.equal(worker.strategyFor(get("https://api.test/collections/lr_events"), SCOPE), "content");
+  assert.equal(worker.strategyFor(get("https://api.test/collections/lr_members"), SCOPE), null);
+  assert.equal(worker.strategyFor(get(`${SCOPE}collections/lr_orders`), SCOPE), null);
+  assert.equal(worker.strategyFor(get(`${SCOPE}site.json`), SCOPE), "content");
+  assert.equal(worker.strategyFor(get(`${SCOPE}app.js`), SCOPE), "asset");
+  assert.equal(worker.strategyFor(get("https://cdn.test/lib.js"), SCOPE), null);
+});
+
+test("networkFirst caches good responses and falls back to them offline", async () => {
+  let online = true;
+  const { worker, caches } = setup(async ()=> online ? response("fresh") : offline());
+  const req = get("https://api.test/collections/lr_events");
+  assert.equal((await worker.networkFirst(req, "content")).body, "fresh");
+  assert.equal(caches.stores.get("content").get(req.url).body, "fresh");
+  online = false;
+  assert.equal((await worker.networkFirst(req, "content")).body, "fresh");
+  await assert.rejects(worker.networkFirst(get("https://api.test/collections/lr_resources"), "content"), /Failed to fetch/);
+});
+
+test("networkFirst serves the cached copy when the network hangs", async () => {
+  let hang = false;
+  const { worker, caches, read } = setup(async ()=> hang ? new Promise(()=> {}) : response("fresh"));
+  const req = get("https://api.test/collections/lr_events");
+  await worker.networkFirst(req, "content");
+  hang = true;
+  const started = Date.now();
+  assert.equal((await worker.networkFirst(req, "content", req, 20)).body, "fresh");
+  assert.ok(Date.now() - started < 1000);
+  assert.ok(read("NETWORK_TIMEOUT_MS") <= 4000);
+  assert.equal(caches.stores.get("content").size, 1);
+});
+
+test("networkFirst keeps waiting past the timeout when nothing is cached, and the late response fills the cache", async () => {
+  const { worker, caches } = setup(()=> new Promise((resolve)=> setTimeout(()=> resolve(response("late")), 40)));
+  const req = get(`${SCOPE}site.json`);
+  assert.equal((await worker.networkFirst(req, "content", req, 10)).body, "late");
+  assert.equal(caches.stores.get("content").get(req.url).body, "late");
+});
+
+test("networkFirst does not cache errors or opaque responses", async () => {
+  let next = response("down", { ok: false, status: 503 });
+  const { worker, caches } = setup(async ()=> next);
+  const req = get(`${SCOPE}site.json`);
+  assert.equal((await worker.networkFirst(req, "content")).status, 503);
+  next = response("opaque", { type: "opaque" });
+  await worker.networkFirst(req, "content");
+  assert.equal(caches.stores.get("content").size, 0);
+});
+
+test("networkFirst can store under another key, so every route shares one shell", async () => {
+  const { worker, caches, read } = setup(async ()=> response("<html>"));
+  const shell = read("SHELL_CACHE");
+  await worker.handle(get(`${SCOPE}events/12`, "navigate"), SCOPE);
+  assert.deepEqual([...caches.stores.get(shell).keys()], [SCOPE]);
+});
+
+test("staleWhileRevalidate answers from the cache and refreshes it in the background", async () => {
+  let version = 1;
+  const { worker, caches, calls } = setup(async ()=> response(`v${version}`));
+  const req = get(`${SCOPE}app.js`);
+  assert.equal((await worker.staleWhileRevalidate(req, "shell")).body, "v1");
+  version = 2;
+  assert.equal((await worker.staleWhileRevalidate(req, "shell")).body, "v1");
+  await new Promise((resolve)=> setImmediate(resolve));
+  assert.equal(caches.stores.get("shell").get(req.url).body, "v2");
+  assert.equal(calls.length, 2);
+});
+
+test("staleWhileRevalidate waits for the network when nothing is cached, and a failed refresh keeps the old copy", async () => {
+  let online = true;
+  const { worker, caches } = setup(async ()=> online ? response("v1") : offline());
+  const req = get(`${SCOPE}icon.svg`);
+  assert.equal((await worker.staleWhileRevalidate(req, "shell")).body, "v1");
+  online = false;
+  assert.equal((await worker.staleWhileRevalidate(req, "shell")).body, "v1");
+  await new Promise((resolve)=> setImmediate(resolve));
+  assert.equal(caches.stores.get("shell").get(req.url).body, "v1");
+  await assert.rejects(worker.staleWhileRevalidate(get(`${SCOPE}other.js`), "shell"), /Failed to fetch/);
+});
+
+test("sync wakes open pages for the outbox and storage tags only", async () => {
+  const messages = [];
+  const self = { clients: { matchAll: async ()=> [{ postMessage: (m)=> messages.push(m) }] } };
+  const { listeners } = loadWorker({ caches: fakeCaches(), fetch: offline, self });
+  for (const tag of ["lr-outbox", "lr-storage", "something-else"]) {
+    let waited = Promise.resolve();
+    listeners.sync({ tag, waitUntil: (p)=> { waited = p; } });
+    await waited;
+  }
+  assert.deepEqual(messages.map((m)=> m.tag), ["lr-outbox", "lr-storage"]);
+});
+
+test("the sync tags match the app's", () => {
+  const app = loadApp(["OUTBOX_SYNC_TAG", "STORAGE_SYNC_TAG"]);
+  const { read } = setup(offline);
+  assert.equal(read("OUTBOX_SYNC_TAG"), app.OUTBOX_SYNC_TAG);
+  assert.equal(read("STORAGE_SYNC_TAG"), app.STORAGE_SYNC_TAG);
+});
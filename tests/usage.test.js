@@ -0,0 +1,66 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadApp, plain } = require("./load-app");
+
+const app = loadApp(["USAGE_RETENTION_DAYS", "addDays", "localDay", "inRange", "newId", "compactViews", "recordView", "resourceStats", "compactClicks", "recordClick", "productStats"], { crypto: { randomUUID: ()=> "new-id" } });
+
+const at = (day, hour = 12)=> new Date(`${day}T${String(hour).padStart(2, "0")}:00:00`).getTime();
+
+test("opens on the same day share one row and count each member once", () => {
+  let views = app.recordView([], 7, 1, at("2026-03-01", 9));
+  views = app.recordView(views, 7, 1, at("2026-03-01", 10));
+  views = app.recordView(views, 7, null, at("2026-03-01", 11));
+  views = app.recordView(views, 8, 2, at("2026-03-01", 11));
+  assert.deepEqual(plain(views), [
+    { id: "new-id", resourceId: 8, day: "2026-03-01", opens: 1, memberIds: [2] },
+    { id: "new-id", resourceId: 7, day: "2026-03-01", opens: 3, memberIds: [1] },
+  ]);
+});
+
+test("rows past the retention window are dropped on the next open", () => {
+  const old = { id: "old", resourceId: 7, day: "2024-01-01", opens: 5, memberIds: [] };
+  const views = app.recordView([old], 7, 1, at("2026-03-01"));
+  assert.deepEqual(plain(views).map((v)=> v.day), ["2026-03-01"]);
+});
+
+test("legacy per-open rows are folded into day rows", () => {
+  const views = app.compactViews([
+    { id: 1, resourceId: 7, memberId: 1, ts: at("2026-03-01") },
+    { id: 2, resourceId: 7, memberId: 2, ts: at("2026-03-01") },
+    { id: 3, resourceId: 7, memberId: 1, ts: at("2026-03-02") },
+  ]);
+  assert.deepEqual(plain(views), [
+    { id: 1, resourceId: 7, day: "2026-03-01", opens: 2, memberIds: [1, 2] },
+    { id: 3, resourceId: 7, day: "2026-03-02", opens: 1, memberIds: [1] },
+  ]);
+});
+
+test("resourceStats sums opens and distinct members in range", () => {
+  const views = [
+    { id: 1, resourceId: 7, day: "2026-03-01", opens: 2, memberIds: [1, 2] },
+    { id: 2, resourceId: 7, day: "2026-03-02", opens: 4, memberIds: [1, 3] },
+    { id: 3, resourceId: 7, day: "2026-04-01", opens: 9, memberIds: [4] },
+  ];
+  const stats = app.resourceStats([{ id: 7, title: "Playbook" }], views, { from: "2026-03-01", to: "2026-03-31" });
+  assert.deepEqual(plain(stats), [{ resource: "Playbook", category: "", opens: 6, members: 3 }]);
+});
+
+test("clicks on the same product, action and day share one row", () => {
+  let clicks = app.recordClick([], 4, "cart", at("2026-03-01", 9));
+  clicks = app.recordClick(clicks, 4, "cart", at("2026-03-01", 10));
+  clicks = app.recordClick(clicks, 4, "link", at("2026-03-01", 10));
+  clicks = app.recordClick(clicks, 4, "cart", at("2026-03-02", 10));
+  assert.deepEqual(plain(clicks).map((c)=> [c.action, c.day, c.count]), [["cart", "2026-03-02", 1], ["link", "2026-03-01", 1], ["cart", "2026-03-01", 2]]);
+  assert.deepEqual(plain(app.recordClick([{ id: "old", productId: 4, action: "cart", day: "2024-01-01", count: 3 }], 4, "cart", at("2026-03-01"))).map((c)=> c.day), ["2026-03-01"]);
+});
+
+test("productStats sums clicks per action and counts paid orders in range", () => {
+  const clicks = [
+    { id: 1, productId: 4, action: "cart", day: "2026-03-01", count: 2 },
+    { id: 2, productId: 4, action: "link", day: "2026-03-05", count: 1 },
+    { id: 3, productId: 4, action: "cart", day: "2026-04-01", count: 7 },
+  ];
+  const orders = [{ status: "paid", paidAt: at("2026-03-02"), items: [{ productId: 4 }] }];
+  const stats = app.productStats([{ id: 4, title: "Playbook" }], clicks, orders, { from: "2026-03-01", to: "2026-03-31" });
+  assert.deepEqual(plain(stats), [{ product: "Playbook", clicks: 3, apply: 0, cart: 2, link: 1, paidOrders: 1 }]);
+});
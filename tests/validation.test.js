@@ -0,0 +1,72 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadApp, plain } = require("./load-app");
+
+const { RULES, isDate, validate, hasErrors, joinRateLimit, JOIN_RATE_WINDOW_MS, EVENT_SCHEMA, PRODUCT_SCHEMA } = loadApp([
+  "SAFE_LINK", "safeHref", "EMAIL_PATTERN", "DATE_PATTERN", "PRICE_PATTERN", "JOIN_RATE_LIMIT", "JOIN_RATE_WINDOW_MS",
+  "isDate", "RULES", "EVENT_SCHEMA", "PRODUCT_SCHEMA", "validate", "hasErrors", "joinRateLimit",
+]);
+
+test("required: rejects blank text and empty lists", () => {
+  for (const v of ["", "   ", null, undefined, []]) assert.equal(RULES.required(v), "Required.");
+  for (const v of ["a", 0, ["x"]]) assert.equal(RULES.required(v), "");
+});
+
+test("email: needs a name, an @ and a dotted domain", () => {
+  for (const v of ["", "ana@example.com", " ana@mail.example.org "]) assert.equal(RULES.email(v), "");
+  for (const v of ["ana", "ana@example", "ana@.com", "a na@example.com", "ana@example..com"]) assert.notEqual(RULES.email(v), "");
+});
+
+test("phone: allows common punctuation and 7 to 15 digits", () => {
+  for (const v of ["", "+1 (555) 123-4567", "555.1234"]) assert.equal(RULES.phone(v), "");
+  for (const v of ["123456", "1234567890123456", "555-CALL-NOW"]) assert.notEqual(RULES.phone(v), "");
+});
+
+test("url: only https, http and mailto links", () => {
+  for (const v of ["", "https://example.com", "http://example.com", "mailto:a@example.com"]) assert.equal(RULES.url(v), "");
+  for (const v of ["javascript:alert(1)", "example.com", "ftp://example.com"]) assert.notEqual(RULES.url(v), "");
+});
+
+test("date and isDate: YYYY-MM-DD days that exist", () => {
+  assert.equal(isDate("2024-02-29"), true);
+  assert.equal(isDate("2023-02-29"), false);
+  assert.equal(isDate("2024-13-01"), false);
+  assert.equal(isDate("2024-1-01"), false);
+  assert.equal(RULES.date(""), "");
+  assert.equal(RULES.date("2024-04-31"), "Enter a real date.");
+});
+
+test("price: whole amounts or two decimals", () => {
+  for (const v of ["", null, "29", "29.9", "29.99", 0]) assert.equal(RULES.price(v), "");
+  for (const v of ["29.999", "-1", "$29", "abc"]) assert.notEqual(RULES.price(v), "");
+});
+
+test("count: whole numbers only", () => {
+  for (const v of ["", null, "0", "12", 12]) assert.equal(RULES.count(v), "");
+  for (const v of ["1.5", "-2", "ten"]) assert.notEqual(RULES.count(v), "");
+});
+
+test("validate keeps the first message per field and runs function rules with the form", () => {
+  const form = { title: "", date: "2024-05-10", startTime: "18:00", endTime: "17:00", capacity: "", until: "2024-05-01", exdates: "" };
+  assert.deepEqual(plain(validate(form, EVENT_SCHEMA)), {
+    title: "Required.",
+    endTime: "Must be after the start time.",
+    until: "Must be on or after the first date.",
+  });
+  assert.deepEqual(plain(validate({ ...form, title: "Meetup", endTime: "", until: "", exdates: "2024-05-17, 2024-05-24" }, EVENT_SCHEMA)), {});
+  assert.deepEqual(plain(validate({ title: "Guide", kind: "digital", price: "", link: "", downloadUrl: "" }, PRODUCT_SCHEMA)), { downloadUrl: "Add a payment link or a file to deliver." });
+});
+
+test("hasErrors", () => {
+  assert.equal(hasErrors({}), false);
+  assert.equal(hasErrors({ name: "Required." }), true);
+});
+
+test("joinRateLimit blocks the fourth signup in the window and says when to retry", () => {
+  const now = 1_000_000_000;
+  const old = now - JOIN_RATE_WINDOW_MS - 1;
+  assert.deepEqual(plain(joinRateLimit([old, now - 3000, now - 2000], now)), { recent: [now - 3000, now - 2000], blocked: false, retryInMs: 0 });
+  const limit = joinRateLimit([now - 3000, now - 2000, now - 1000], now);
+  assert.equal(limit.blocked, true);
+  assert.equal(limit.retryInMs, JOIN_RATE_WINDOW_MS - 3000);
+});